@@ -3,12 +3,48 @@ import { useWeb3 } from './contexts/Web3Context';
 import { useAuth } from './contexts/AuthContext';
 import JustDAODashboard from './components/JustDAO.jsx'; // Make sure to include the .jsx extension
 import Loader from './components/Loader';
+import NetworkPicker from './components/NetworkPicker';
 
 function App() {
-  const { isConnected, connectWallet, contractsReady } = useWeb3();
+  const {
+    isConnected,
+    isReadOnly,
+    isCorrectNetwork,
+    connectWallet,
+    switchToCorrectNetwork,
+    retryReadOnly,
+    contractsReady,
+    connectionError,
+    deployment
+  } = useWeb3();
   const { loading: authLoading } = useAuth();
 
-  if (isConnected && (!contractsReady || authLoading)) {
+  // Wallet is on a chain without a registered JustDAO deployment
+  if (isConnected && !isCorrectNetwork) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-gray-50">
+        <div className="max-w-md w-full p-6 bg-white rounded-lg shadow-lg text-center">
+          <h1 className="text-3xl font-bold text-indigo-600 mb-4">JustDAO</h1>
+          <p className="text-gray-600 mb-6">
+            Your wallet is connected to a network without a JustDAO deployment.
+          </p>
+          {connectionError && (
+            <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">
+              {connectionError}
+            </div>
+          )}
+          <button
+            onClick={() => switchToCorrectNetwork()}
+            className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-4 rounded-lg transition duration-150"
+          >
+            Switch to {deployment?.name || 'a supported network'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if ((isConnected || isReadOnly) && (!contractsReady || authLoading)) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
         <Loader size="large" text="Loading DAO data..." />
@@ -18,19 +54,36 @@ function App() {
 
   return (
     <div className="App">
-      {!isConnected ? (
+      {!contractsReady ? (
         <div className="min-h-screen flex items-center justify-center bg-gray-50">
           <div className="max-w-md w-full p-6 bg-white rounded-lg shadow-lg">
             <div className="text-center mb-8">
               <h1 className="text-3xl font-bold text-indigo-600">JustDAO</h1>
               <p className="mt-2 text-gray-600">Connect your wallet to access the DAO dashboard</p>
             </div>
+            {connectionError && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">
+                {connectionError}
+              </div>
+            )}
             <button
               onClick={connectWallet}
               className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 px-4 rounded-lg transition duration-150"
             >
               Connect Wallet
             </button>
+            {/* Read-only mode failed - retry it or browse another deployment */}
+            {!isConnected && connectionError && (
+              <div className="flex items-center justify-between mt-4">
+                <NetworkPicker />
+                <button
+                  onClick={() => retryReadOnly()}
+                  className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50 text-sm"
+                >
+                  Retry read-only
+                </button>
+              </div>
+            )}
           </div>
         </div>
       ) : (
@@ -40,4 +93,4 @@ function App() {
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import DecodedCalldata from './DecodedCalldata';
+import { CALLDATA_SOURCES, decodeCalldata, decodeCalldataWithInterface } from '../utils/calldataDecoder';
+import { parseAbiJson, encodeFunctionInputs } from '../utils/abiInputs';
+
+const CUSTOM_ABI = 'custom';
+
+const isReadOnly = (fragment) => fragment.stateMutability === 'view' || fragment.stateMutability === 'pure';
+
+const getPlaceholder = (param) => {
+  if (param.baseType === 'array') return 'JSON array, e.g. ["0x...", "0x..."]';
+  if (param.baseType === 'tuple') return `JSON, e.g. [${param.components.map(c => c.name || c.type).join(', ')}]`;
+  if (param.baseType === 'address') return '0x...';
+  if (param.baseType.startsWith('bytes')) return '0x...';
+  if (param.baseType.startsWith('uint') || param.baseType.startsWith('int')) return '0';
+  return '';
+};
+
+// Encode a General proposal's calldata from one of the JustDAO ABIs or a pasted / uploaded one.
+// onUse({target, callData}) receives the result; target is null for custom ABIs.
+const CalldataBuilder = ({ onUse }) => {
+  const { deployment } = useWeb3();
+  const addresses = deployment?.addresses || {};
+  const [sourceKey, setSourceKey] = useState(CALLDATA_SOURCES[0].key);
+  const [customAbi, setCustomAbi] = useState('');
+  const [functionSignature, setFunctionSignature] = useState('');
+  const [inputs, setInputs] = useState([]);
+
+  const source = CALLDATA_SOURCES.find(entry => entry.key === sourceKey);
+  let iface = source ? source.iface : null;
+  let abiError = '';
+  if (sourceKey === CUSTOM_ABI && customAbi.trim()) {
+    try {
+      iface = parseAbiJson(customAbi);
+    } catch (err) {
+      abiError = err.message;
+    }
+  }
+
+  const functions = iface ? Object.values(iface.functions).filter(fragment => !isReadOnly(fragment)) : [];
+  const fragment = functions.find(entry => entry.format() === functionSignature) || null;
+  const { data, errors } = fragment
+    ? encodeFunctionInputs(iface, fragment, inputs)
+    : { data: null, errors: {} };
+
+  const target = source ? addresses[source.key] || null : null;
+  const decoded = data && (source
+    ? decodeCalldata(data, target, addresses)
+    : decodeCalldataWithInterface(iface, data, 'Custom ABI'));
+
+  const selectSource = (key) => {
+    setSourceKey(key);
+    setFunctionSignature('');
+    setInputs([]);
+  };
+
+  const selectFunction = (signature) => {
+    setFunctionSignature(signature);
+    setInputs([]);
+  };
+
+  const setInput = (idx, value) => {
+    const next = [...inputs];
+    next[idx] = value;
+    setInputs(next);
+  };
+
+  const handleAbiFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text()
+      .then(text => {
+        setCustomAbi(text);
+        selectFunction('');
+      })
+      .catch(err => console.error("Error reading ABI file:", err));
+  };
+
+  const renderInput = (param, idx) => {
+    const value = inputs[idx] ?? '';
+    const showError = errors[idx] && value !== '';
+
+    return (
+      <div key={idx}>
+        <label className="block text-xs font-medium text-gray-700 mb-1">
+          {param.name || `arg${idx}`} <span className="text-gray-400">({param.format()})</span>
+        </label>
+        {param.baseType === 'bool' ? (
+          <select
+            className="w-full rounded-md border border-gray-300 p-2 text-sm"
+            value={value}
+            onChange={(e) => setInput(idx, e.target.value)}
+          >
+            <option value="">Select...</option>
+            <option value="true">true</option>
+            <option value="false">false</option>
+          </select>
+        ) : (
+          <input
+            type="text"
+            className={`w-full rounded-md border p-2 font-mono text-sm ${showError ? 'border-red-400' : 'border-gray-300'}`}
+            placeholder={getPlaceholder(param)}
+            value={value}
+            onChange={(e) => setInput(idx, e.target.value)}
+          />
+        )}
+        {showError && <p className="text-xs text-red-600 mt-1">{errors[idx]}</p>}
+      </div>
+    );
+  };
+
+  return (
+    <div className="border border-indigo-200 rounded-md p-4 space-y-3">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Contract</label>
+          <select
+            className="w-full rounded-md border border-gray-300 p-2 text-sm"
+            value={sourceKey}
+            onChange={(e) => selectSource(e.target.value)}
+          >
+            {CALLDATA_SOURCES.map(entry => (
+              <option key={entry.key} value={entry.key}>{entry.contract}</option>
+            ))}
+            <option value={CUSTOM_ABI}>Custom ABI...</option>
+          </select>
+          {source && !target && (
+            <p className="text-xs text-yellow-700 mt-1">{source.contract} isn't deployed on this network.</p>
+          )}
+        </div>
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">Function</label>
+          <select
+            className="w-full rounded-md border border-gray-300 p-2 text-sm"
+            value={functionSignature}
+            onChange={(e) => selectFunction(e.target.value)}
+            disabled={functions.length === 0}
+          >
+            <option value="">Select a function...</option>
+            {functions.map(entry => (
+              <option key={entry.format()} value={entry.format()}>{entry.format()}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {sourceKey === CUSTOM_ABI && (
+        <div>
+          <label className="block text-xs font-medium text-gray-700 mb-1">ABI</label>
+          <textarea
+            className={`w-full rounded-md border p-2 font-mono text-xs ${abiError ? 'border-red-400' : 'border-gray-300'}`}
+            rows="4"
+            placeholder="Paste an ABI array or a compiler artifact"
+            value={customAbi}
+            onChange={(e) => {
+              setCustomAbi(e.target.value);
+              selectFunction('');
+            }}
+          ></textarea>
+          <input type="file" accept=".json,application/json" className="text-xs mt-1" onChange={handleAbiFile} />
+          {abiError && <p className="text-xs text-red-600 mt-1">{abiError}</p>}
+        </div>
+      )}
+
+      {fragment && fragment.inputs.length > 0 && (
+        <div className="grid grid-cols-1 gap-3">
+          {fragment.inputs.map(renderInput)}
+        </div>
+      )}
+
+      {data && (
+        <>
+          <div>
+            <p className="text-xs font-medium text-gray-700 mb-1">Round-trip decode</p>
+            <DecodedCalldata decoded={decoded} data={data} showTargetWarning={false} />
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="button"
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md text-sm"
+              onClick={() => onUse({ target, callData: data })}
+            >
+              Use Calldata{target ? ` and ${source.contract} as Target` : ''}
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CalldataBuilder;
@@ -1,6 +1,8 @@
 import React from 'react';
+import { Link } from 'react-router-dom';
 import { Clock, ArrowRight } from 'lucide-react';
 import { formatPercentage, formatCountdown } from '../utils/formatters';
+import { tallyFromProposal, percentOf } from '../utils/votes';
 import Loader from './Loader';
 
 const DashboardTab = ({ user, stats, loading, proposals }) => {
@@ -84,13 +86,13 @@ const DashboardTab = ({ user, stats, loading, proposals }) => {
               <p className="text-2xl font-bold">{formatToFiveDecimals(user.votingPower)} JUST</p>
             </div>
             <div className="mt-4">
-              <button 
+              <Link 
+                to="/delegation"
                 className="text-indigo-600 hover:text-indigo-800 text-sm font-medium flex items-center"
-                onClick={() => document.querySelector('[data-tab="delegation"]')?.click()}
               >
                 View Delegation Details
                 <ArrowRight className="h-4 w-4 ml-1" />
-              </button>
+              </Link>
             </div>
           </div>
         </div>
@@ -133,30 +135,29 @@ const DashboardTab = ({ user, stats, loading, proposals }) => {
       <div className="bg-white p-6 rounded-lg shadow">
         <div className="flex justify-between mb-4">
           <h3 className="text-lg font-medium text-gray-900">Active Proposals</h3>
-          <button 
+          <Link 
+            to="/proposals"
             className="text-indigo-600 hover:text-indigo-800 text-sm font-medium"
-            onClick={() => document.querySelector('[data-tab="proposals"]')?.click()}
           >
             View All
-          </button>
+          </Link>
         </div>
         <div className="space-y-4">
           {proposals && proposals.length > 0 ? (
             proposals.map((proposal, idx) => {
-              const yesVotes = parseFloat(proposal.yesVotes) || 0;
-              const noVotes = parseFloat(proposal.noVotes) || 0;
-              const abstainVotes = parseFloat(proposal.abstainVotes) || 0;
-              const totalVotes = yesVotes + noVotes + abstainVotes;
-              
-              const yesPercentage = totalVotes > 0 ? (yesVotes / totalVotes) * 100 : 0;
-              const noPercentage = totalVotes > 0 ? (noVotes / totalVotes) * 100 : 0;
-              const abstainPercentage = totalVotes > 0 ? (abstainVotes / totalVotes) * 100 : 0;
+              // yesVotes etc. are formatted for display ("1,500"), so percentages come from the wei totals
+              const tally = tallyFromProposal(proposal);
+              const yesPercentage = parseFloat(percentOf(tally.for, tally.total));
+              const noPercentage = parseFloat(percentOf(tally.against, tally.total));
+              const abstainPercentage = parseFloat(percentOf(tally.abstain, tally.total));
               
               return (
                 <div key={idx} className="p-4 border border-gray-200 rounded-lg">
                   <div className="flex justify-between items-start mb-2">
                     <div>
-                      <p className="font-medium">{proposal.title}</p>
+                      <Link to={`/proposals/${proposal.id}`} className="font-medium hover:text-indigo-600">
+                        {proposal.title}
+                      </Link>
                       <p className="text-xs text-gray-500">Proposal #{proposal.id}</p>
                     </div>
                     <span className="text-xs bg-yellow-100 text-yellow-800 px-2 py-1 rounded-full flex items-center">
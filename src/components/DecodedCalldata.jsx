@@ -0,0 +1,29 @@
+import React from 'react';
+import { formatCalldataValue } from '../utils/calldataDecoder';
+
+// Signature, named arguments and raw hex of a call decoded by utils/calldataDecoder.js.
+// `showTargetWarning` flags calls matched against a bundled ABI by selector alone.
+const DecodedCalldata = ({ decoded, data, className = 'bg-gray-50', showTargetWarning = true }) => (
+  <div className={`p-3 rounded-md text-xs ${className}`}>
+    {decoded && decoded.signature && <p className="font-mono mb-2 break-all">{decoded.signature}</p>}
+    {decoded && decoded.params.length > 0 && (
+      <dl className="grid grid-cols-1 md:grid-cols-4 gap-x-4 gap-y-1 mb-2">
+        {decoded.params.map(param => (
+          <React.Fragment key={param.name}>
+            <dt className="text-gray-500">{param.name} <span className="text-gray-400">({param.type})</span></dt>
+            <dd className="md:col-span-3 font-mono break-all">{formatCalldataValue(param.value, param.type)}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+    )}
+    {decoded && !decoded.name && (
+      <p className="text-yellow-700 mb-2">No known ABI has a function with selector {decoded.selector}.</p>
+    )}
+    {showTargetWarning && decoded && !decoded.targetKnown && decoded.name && (
+      <p className="text-yellow-700 mb-2">The target isn't a known JustDAO contract; the call was matched by selector only.</p>
+    )}
+    <p className="font-mono text-gray-500 break-all">{data}</p>
+  </div>
+);
+
+export default DecodedCalldata;
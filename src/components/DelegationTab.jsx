@@ -1,14 +1,27 @@
 import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { Link } from 'react-router-dom';
+import { useWeb3 } from '../contexts/Web3Context';
 import { formatAddress } from '../utils/formatters';
+import { WALLET_REQUIRED_ERROR } from '../utils/constants';
 import Loader from './Loader';
+import { getErrorMessage } from '../utils/errorDecoder';
 
-const DelegationTab = ({ user, delegation }) => {
+const DelegationTab = ({ user, delegation, lookupAddress = '', onLookupAddress }) => {
+  const { requestWallet } = useWeb3();
   // Add debugging
   console.log("DelegationTab rendered, activeTab should be 'delegation'");
   console.log("Delegation prop:", delegation);
   console.log("User prop:", user);
 
   const [delegateAddress, setDelegateAddress] = useState('');
+  const [lookupInput, setLookupInput] = useState(lookupAddress);
+  const [lookupError, setLookupError] = useState('');
+
+  // Keep the lookup field in step with the address in the URL
+  useEffect(() => {
+    setLookupInput(lookupAddress);
+  }, [lookupAddress]);
   
   // Handle the case where delegation might be undefined
   const delegationInfo = delegation?.delegationInfo || {
@@ -49,9 +62,13 @@ const DelegationTab = ({ user, delegation }) => {
     return parseFloat(value).toFixed(5);
   };
 
+  // Without a connected wallet the tab shows whichever address was looked up
+  const isViewingOther = delegation ? !delegation.isOwnAccount : false;
+  const balance = isViewingOther ? delegationInfo.balance : user?.balance;
+
   // Determine delegation status directly in the component
   // Handle potentially missing user address or currentDelegate
-  const userAddress = user?.address || '';
+  const userAddress = (isViewingOther ? delegationInfo.address : user?.address) || '';
   const currentDelegate = delegationInfo?.currentDelegate || '';
   const selfDelegated = isSelfDelegated(userAddress, currentDelegate);
 
@@ -84,8 +101,9 @@ const DelegationTab = ({ user, delegation }) => {
       await delegate(delegateAddress);
       setDelegateAddress('');
     } catch (error) {
+      if (error.code === WALLET_REQUIRED_ERROR) return;
       console.error("Error delegating:", error);
-      alert("Error delegating. See console for details.");
+      alert(getErrorMessage(error, "Error delegating. See console for details."));
     }
   };
 
@@ -94,19 +112,61 @@ const DelegationTab = ({ user, delegation }) => {
       await resetDelegation();
       setDelegateAddress('');
     } catch (error) {
+      if (error.code === WALLET_REQUIRED_ERROR) return;
       console.error("Error resetting delegation:", error);
-      alert("Error resetting delegation. See console for details.");
+      alert(getErrorMessage(error, "Error resetting delegation. See console for details."));
     }
   };
 
+  const handleLookup = (e) => {
+    e.preventDefault();
+    const address = lookupInput.trim();
+    
+    if (!ethers.utils.isAddress(address)) {
+      setLookupError("Please enter a valid address");
+      return;
+    }
+    
+    setLookupError('');
+    if (onLookupAddress) onLookupAddress(address);
+  };
+
   return (
     <div>
       <div className="mb-6">
         <h2 className="text-xl font-semibold">Delegation</h2>
-        <p className="text-gray-500">Manage your voting power delegation</p>
+        <p className="text-gray-500">
+          {isViewingOther ? "Look up the delegation status of any token holder" : "Manage your voting power delegation"}
+        </p>
       </div>
       
-      {loading ? (
+      {isViewingOther && onLookupAddress && (
+        <form className="bg-white p-4 rounded-lg shadow mb-6" onSubmit={handleLookup}>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Holder Address</label>
+          <div className="flex space-x-2">
+            <input 
+              type="text" 
+              className="flex-1 rounded-md border border-gray-300 p-2" 
+              placeholder="0x..." 
+              value={lookupInput}
+              onChange={(e) => setLookupInput(e.target.value)}
+            />
+            <button 
+              type="submit"
+              className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md"
+            >
+              Look Up
+            </button>
+          </div>
+          {lookupError && <p className="text-xs text-red-500 mt-1">{lookupError}</p>}
+        </form>
+      )}
+      
+      {isViewingOther && !userAddress ? (
+        <div className="bg-white p-6 rounded-lg shadow text-center text-gray-500">
+          Enter an address above to view its delegation status, or connect your wallet to manage your own.
+        </div>
+      ) : loading ? (
         <div className="flex justify-center py-8">
           <Loader size="large" text="Loading delegation data..." />
         </div>
@@ -114,7 +174,9 @@ const DelegationTab = ({ user, delegation }) => {
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
           {/* Your delegation status */}
           <div className="bg-white p-6 rounded-lg shadow md:col-span-2">
-            <h3 className="text-lg font-medium text-gray-900 mb-4">Your Delegation Status</h3>
+            <h3 className="text-lg font-medium text-gray-900 mb-4">
+              {isViewingOther ? `Delegation Status of ${formatAddress(userAddress)}` : "Your Delegation Status"}
+            </h3>
             
             <div className="grid grid-cols-2 gap-4 mb-6">
               <div>
@@ -129,26 +191,45 @@ const DelegationTab = ({ user, delegation }) => {
                 <p className="text-sm text-gray-500">Locked Tokens</p>
                 <p className="font-medium">
                   {/* Force 0 locked tokens when self-delegated regardless of contract state */}
-                  {selfDelegated ? "0.00000" : formatToFiveDecimals(user?.balance)} JUST
+                  {selfDelegated ? "0.00000" : formatToFiveDecimals(balance)} JUST
                 </p>
               </div>
               <div>
-                <p className="text-sm text-gray-500">Your Balance</p>
-                <p className="font-medium">{formatToFiveDecimals(user?.balance)} JUST</p>
+                <p className="text-sm text-gray-500">{isViewingOther ? "Balance" : "Your Balance"}</p>
+                <p className="font-medium">{formatToFiveDecimals(balance)} JUST</p>
               </div>
               <div>
-                <p className="text-sm text-gray-500">Your Voting Power</p>
+                <p className="text-sm text-gray-500">{isViewingOther ? "Voting Power" : "Your Voting Power"}</p>
                 <p className="font-medium">
                   {/* Include delegated tokens in voting power when self-delegated */}
                   {selfDelegated ? 
                     formatToFiveDecimals(
-                      parseFloat(user?.balance || "0") + parseFloat(delegationInfo.delegatedToYou || "0")
+                      parseFloat(balance || "0") + parseFloat(delegationInfo.delegatedToYou || "0")
                     ) : 
                     "0.00000"} JUST
                 </p>
               </div>
             </div>
             
+            {isViewingOther ? (
+              <div className="pt-4 border-t border-gray-200">
+                {delegation?.canWrite ? (
+                  <Link
+                    to="/delegation"
+                    className="block w-full text-center bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded-md"
+                  >
+                    Back to Your Delegation
+                  </Link>
+                ) : (
+                  <button 
+                    className="w-full bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded-md"
+                    onClick={() => requestWallet('delegate your voting power')}
+                  >
+                    Connect Wallet to Delegate
+                  </button>
+                )}
+              </div>
+            ) : (
             <div className="space-y-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Delegate To</label>
@@ -163,7 +244,7 @@ const DelegationTab = ({ user, delegation }) => {
                   <button 
                     className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md"
                     onClick={handleDelegate}
-                    disabled={!user?.balance || parseFloat(user?.balance || "0") === 0}
+                    disabled={!balance || parseFloat(balance || "0") === 0}
                   >
                     Delegate
                   </button>
@@ -185,11 +266,12 @@ const DelegationTab = ({ user, delegation }) => {
                 )}
               </div>
             </div>
+            )}
           </div>
           
           {/* Delegated to you */}
           <div className="bg-white p-6 rounded-lg shadow">
-            <h3 className="text-lg font-medium text-gray-900 mb-4">Delegated to You</h3>
+            <h3 className="text-lg font-medium text-gray-900 mb-4">{isViewingOther ? "Delegated to Holder" : "Delegated to You"}</h3>
             
             <div className="text-center py-4">
               <p className="text-3xl font-bold text-indigo-600">
@@ -200,13 +282,13 @@ const DelegationTab = ({ user, delegation }) => {
             
             <p className="text-sm text-gray-700 mb-4">
               {parseFloat(delegationInfo.delegatedToYou) > 0 
-                ? `You have ${formatToFiveDecimals(delegationInfo.delegatedToYou)} JUST tokens delegated to your address from other token holders.`
-                : "No tokens delegated to you yet."}
+                ? `${isViewingOther ? "This address has" : "You have"} ${formatToFiveDecimals(delegationInfo.delegatedToYou)} JUST tokens delegated to ${isViewingOther ? "it" : "your address"} from other token holders.`
+                : isViewingOther ? "No tokens delegated to this address yet." : "No tokens delegated to you yet."}
             </p>
             
             {delegationInfo.delegators && delegationInfo.delegators.length > 0 ? (
               <div className="space-y-2">
-                <h4 className="font-medium text-sm">Your Delegators:</h4>
+                <h4 className="font-medium text-sm">{isViewingOther ? "Delegators:" : "Your Delegators:"}</h4>
                 {delegationInfo.delegators.map((delegator, idx) => (
                   <div key={idx} className="text-sm flex justify-between items-center border-t pt-2">
                     <span>{formatAddress(delegator.address)}</span>
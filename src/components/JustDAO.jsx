@@ -1,7 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useEffect } from 'react';
+import { Routes, Route, Navigate, Link, useLocation, useMatch, useNavigate } from 'react-router-dom';
 import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
 import { useAuth } from '../contexts/AuthContext';
+import { useIndexer } from '../contexts/IndexerContext';
 import { useDelegation } from '../hooks/useDelegation';
 import { useProposals } from '../hooks/useProposals';
 import { useVoting } from '../hooks/useVoting';
@@ -10,15 +12,16 @@ import { formatAddress } from '../utils/formatters';
 import { PROPOSAL_STATES } from '../utils/constants';
 
 // Import components
-import SecuritySettingsTab from './SecuritySettingsTab';
-import RoleManagementTab from './RoleManagementTab';
-import TimelockSettingsTab from './TimelockSettingsTab';
-import EmergencyControlsTab from './EmergencyControlsTab';
+import SecurityTab from './SecurityTab';
 import ProposalsTab from './ProposalsTab';
+import ProposalDetailPage from './ProposalDetailPage';
 import VoteTab from './VoteTab';
 import DelegationTab from './DelegationTab';
 import AnalyticsTab from './AnalyticsTab';
+import TimelockQueueExplorer from './TimelockQueueExplorer';
 import DashboardTab from './DashboardTab';
+import WalletPrompt from './WalletPrompt';
+import NetworkPicker from './NetworkPicker';
 
 // Helper function to safely handle BigNumber objects
 const safeBigNumberToString = (value) => {
@@ -45,17 +48,23 @@ const safeBigNumberToNumber = (value) => {
 };
 
 const JustDAODashboard = () => {
-  // State for active tab
-  const [activeTab, setActiveTab] = useState('dashboard');
+  // Active tab is the first segment of the URL (/proposals/12 -> proposals)
+  const location = useLocation();
+  const navigate = useNavigate();
+  const activeTab = location.pathname.split('/')[1] || 'dashboard';
   
-  // State for active security subtab
-  const [securitySubtab, setSecuritySubtab] = useState('general');
+  // Address being looked at on /delegation/:address
+  const delegationMatch = useMatch('/delegation/:address');
+  const delegationLookup = delegationMatch && ethers.utils.isAddress(delegationMatch.params.address)
+    ? delegationMatch.params.address
+    : '';
   
   // Web3 context for blockchain connection
-  const { account, isConnected, connectWallet, disconnectWallet, contracts } = useWeb3();
+  const { account, isConnected, isReadOnly, connectWallet, disconnectWallet, contracts } = useWeb3();
   
   // Custom hooks for DAO functionality
-  const delegation = useDelegation();
+  // The delegation hook follows the address in the URL, or the connected account
+  const delegation = useDelegation(delegationLookup || (isConnected ? undefined : ''));
   const proposalsHook = useProposals();
   const votingHook = useVoting();
   
@@ -65,6 +74,9 @@ const JustDAODashboard = () => {
   // Use the enhanced DAO stats hook
   const daoStats = useDAOStats();
   
+  // Event index sync status for the header
+  const { syncing, syncProgress } = useIndexer();
+  
   // Debug log for voting power calculation
   useEffect(() => {
     console.log("Voting power calculation data:", {
@@ -110,22 +122,6 @@ const JustDAODashboard = () => {
     return numValue.toFixed(5);
   };
   
-  // Render security subcomponent based on securitySubtab state
-  const renderSecuritySubtab = () => {
-    switch (securitySubtab) {
-      case 'general':
-        return <SecuritySettingsTab contracts={contracts} />;
-      case 'roles':
-        return <RoleManagementTab contracts={contracts} />;
-      case 'timelock':
-        return <TimelockSettingsTab contracts={contracts} />;
-      case 'emergency':
-        return <EmergencyControlsTab contracts={contracts} account={account} hasRole={hasRole} />;
-      default:
-        return <SecuritySettingsTab contracts={contracts} />;
-    }
-  };
-
   // Prepare safe stats object with all BigNumbers converted to standard formats
   const safeStats = {
     totalHolders: formatNumber(daoStats.totalHolders, 0),
@@ -151,6 +147,14 @@ const JustDAODashboard = () => {
             <h1 className="text-2xl font-bold text-indigo-600">JustDAO</h1>
           </div>
           <div className="flex items-center gap-4">
+            {syncing && (
+              <span className="text-xs text-gray-500">
+                {syncProgress
+                  ? `Indexing ${syncProgress.contract} events: block ${syncProgress.toBlock} / ${syncProgress.latestBlock}`
+                  : "Syncing history..."}
+              </span>
+            )}
+            <NetworkPicker />
             {isConnected ? (
               <div className="text-sm text-gray-700">
                 <div>{formatAddress(account)}</div>
@@ -166,7 +170,12 @@ const JustDAODashboard = () => {
                 </div>
               </div>
             ) : (
-              <div className="text-sm text-gray-700">Not connected</div>
+              <div className="text-sm text-gray-700 flex items-center">
+                {isReadOnly && (
+                  <span className="text-xs bg-gray-100 text-gray-800 px-2 py-1 rounded-full mr-2">Read-only</span>
+                )}
+                Not connected
+              </div>
             )}
             {isConnected ? (
               <button 
@@ -191,58 +200,55 @@ const JustDAODashboard = () => {
       <div className="bg-white shadow-sm mb-6">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
           <nav className="flex overflow-x-auto">
-            <div 
+            <Link 
+              to="/"
               className={`py-4 px-6 cursor-pointer border-b-2 ${activeTab === 'dashboard' ? 'border-indigo-500 text-indigo-600' : 'border-transparent hover:text-gray-700 hover:border-gray-300'}`}
-              onClick={() => setActiveTab('dashboard')}
-              data-tab="dashboard"
             >
               Dashboard
-            </div>
-            <div 
+            </Link>
+            <Link 
+              to="/proposals"
               className={`py-4 px-6 cursor-pointer border-b-2 ${activeTab === 'proposals' ? 'border-indigo-500 text-indigo-600' : 'border-transparent hover:text-gray-700 hover:border-gray-300'}`}
-              onClick={() => setActiveTab('proposals')}
-              data-tab="proposals"
             >
               Proposals
-            </div>
-            <div 
+            </Link>
+            <Link 
+              to="/vote"
               className={`py-4 px-6 cursor-pointer border-b-2 ${activeTab === 'vote' ? 'border-indigo-500 text-indigo-600' : 'border-transparent hover:text-gray-700 hover:border-gray-300'}`}
-              onClick={() => setActiveTab('vote')}
-              data-tab="vote"
             >
               Vote
-            </div>
-            <div 
+            </Link>
+            <Link 
+              to="/delegation"
               className={`py-4 px-6 cursor-pointer border-b-2 ${activeTab === 'delegation' ? 'border-indigo-500 text-indigo-600' : 'border-transparent hover:text-gray-700 hover:border-gray-300'}`}
-              onClick={() => setActiveTab('delegation')}
-              data-tab="delegation"
             >
               Delegation
-            </div>
+            </Link>
+            <Link 
+              to="/timelock"
+              className={`py-4 px-6 cursor-pointer border-b-2 ${activeTab === 'timelock' ? 'border-indigo-500 text-indigo-600' : 'border-transparent hover:text-gray-700 hover:border-gray-300'}`}
+            >
+              Timelock
+            </Link>
             
-            {/* Analytics tab - only visible to analytics role */}
-            {hasRole('analytics') && (
-              <div 
+            {/* Analytics tab - visible to analytics role, and to anyone browsing read-only */}
+            {(hasRole('analytics') || isReadOnly) && (
+              <Link 
+                to="/analytics"
                 className={`py-4 px-6 cursor-pointer border-b-2 ${activeTab === 'analytics' ? 'border-indigo-500 text-indigo-600' : 'border-transparent hover:text-gray-700 hover:border-gray-300'}`}
-                onClick={() => setActiveTab('analytics')}
-                data-tab="analytics"
               >
                 Analytics
-              </div>
+              </Link>
             )}
             
             {/* Security tab - only visible to admin or guardian roles */}
             {(hasRole('admin') || hasRole('guardian')) && (
-              <div 
+              <Link 
+                to="/security/general"
                 className={`py-4 px-6 cursor-pointer border-b-2 ${activeTab === 'security' ? 'border-indigo-500 text-indigo-600' : 'border-transparent hover:text-gray-700 hover:border-gray-300'}`}
-                onClick={() => {
-                  setActiveTab('security');
-                  setSecuritySubtab('general');
-                }}
-                data-tab="security"
               >
                 Security
-              </div>
+              </Link>
             )}
           </nav>
         </div>
@@ -250,135 +256,134 @@ const JustDAODashboard = () => {
 
       {/* Main Content */}
       <main className="flex-grow max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 pb-8">
-        {activeTab === 'dashboard' && (
-          <DashboardTab 
-            user={{
-              ...user,
-              balance: formatToFiveDecimals(user.balance),
-              votingPower: formatToFiveDecimals(user.votingPower)
-            }}
-            stats={safeStats} // Using our safely prepared stats object
-            loading={daoStats.isLoading}
-            proposals={proposalsHook.proposals
-              .filter(p => safeBigNumberToNumber(p.state) === PROPOSAL_STATES.ACTIVE)
-              .map(p => ({
-                ...p,
-                state: safeBigNumberToNumber(p.state),
-                yesVotes: formatNumber(p.yesVotes),
-                noVotes: formatNumber(p.noVotes),
-                abstainVotes: formatNumber(p.abstainVotes),
-                // Ensure all other potentially problematic fields are converted
-                id: safeBigNumberToString(p.id),
-                deadline: p.deadline instanceof Date ? p.deadline : new Date(),
-                snapshotId: safeBigNumberToString(p.snapshotId)
-              }))
-            }
-          />
-        )}
-        {activeTab === 'proposals' && (
-          <ProposalsTab 
-            proposals={proposalsHook.proposals.map(proposal => ({
-              ...proposal,
-              // Safely convert all potential BigNumber fields
-              id: safeBigNumberToString(proposal.id),
-              state: safeBigNumberToNumber(proposal.state),
-              yesVotes: formatNumber(proposal.yesVotes),
-              noVotes: formatNumber(proposal.noVotes),
-              abstainVotes: formatNumber(proposal.abstainVotes),
-              snapshotId: safeBigNumberToString(proposal.snapshotId)
-            }))}
-            createProposal={proposalsHook.createProposal}
-            cancelProposal={proposalsHook.cancelProposal}
-            queueProposal={proposalsHook.queueProposal}
-            executeProposal={proposalsHook.executeProposal}
-            claimRefund={proposalsHook.claimRefund}
-            loading={proposalsHook.loading}
-          />
-        )}
-        {activeTab === 'vote' && (
-          <VoteTab 
-            proposals={proposalsHook.proposals.map(proposal => ({
-              ...proposal,
-              // Safely convert all potential BigNumber fields
-              id: safeBigNumberToString(proposal.id),
-              state: safeBigNumberToNumber(proposal.state),
-              yesVotes: formatNumber(proposal.yesVotes),
-              noVotes: formatNumber(proposal.noVotes),
-              abstainVotes: formatNumber(proposal.abstainVotes),
-              snapshotId: safeBigNumberToString(proposal.snapshotId)
-            }))}
-            castVote={votingHook.castVote}
-            hasVoted={votingHook.hasVoted}
-            getVotingPower={votingHook.getVotingPower}
-            voting={votingHook.voting}
-            account={account}
-          />
-        )}
-        {activeTab === 'delegation' && (
-          <DelegationTab 
-            user={{
-              ...user,
-              balance: formatToFiveDecimals(user.balance),
-              votingPower: formatToFiveDecimals(user.votingPower)
-            }}
-            delegation={delegation}
-          />
-        )}
-        {activeTab === 'analytics' && hasRole('analytics') && (
-          <AnalyticsTab contracts={contracts} />
-        )}
-        {activeTab === 'security' && (hasRole('admin') || hasRole('guardian')) && (
-          <div>
-            <div className="mb-6">
-              <h2 className="text-xl font-semibold">Security & Administration</h2>
-              <p className="text-gray-500">Manage security settings and administrative functions</p>
-            </div>
-            
-            {/* Security Subtabs */}
-            <div className="bg-white p-4 rounded-lg shadow mb-6">
-              <div className="flex flex-wrap gap-2">
-                <button
-                  className={`px-3 py-1 rounded-full text-sm ${securitySubtab === 'general' ? 'bg-indigo-100 text-indigo-800' : 'bg-gray-100 text-gray-800'}`}
-                  onClick={() => setSecuritySubtab('general')}
-                >
-                  General Security
-                </button>
-                
-                {hasRole('admin') && (
-                  <button
-                    className={`px-3 py-1 rounded-full text-sm ${securitySubtab === 'roles' ? 'bg-indigo-100 text-indigo-800' : 'bg-gray-100 text-gray-800'}`}
-                    onClick={() => setSecuritySubtab('roles')}
-                  >
-                    Role Management
-                  </button>
-                )}
-                
-                {hasRole('admin') && (
-                  <button
-                    className={`px-3 py-1 rounded-full text-sm ${securitySubtab === 'timelock' ? 'bg-indigo-100 text-indigo-800' : 'bg-gray-100 text-gray-800'}`}
-                    onClick={() => setSecuritySubtab('timelock')}
-                  >
-                    Timelock
-                  </button>
-                )}
-                
-                {(hasRole('admin') || hasRole('guardian')) && (
-                  <button
-                    className={`px-3 py-1 rounded-full text-sm ${securitySubtab === 'emergency' ? 'bg-indigo-100 text-indigo-800' : 'bg-gray-100 text-gray-800'}`}
-                    onClick={() => setSecuritySubtab('emergency')}
-                  >
-                    Emergency Controls
-                  </button>
-                )}
-              </div>
-            </div>
-            
-            {/* Render the selected security subtab */}
-            {renderSecuritySubtab()}
-          </div>
-        )}
+        <Routes>
+          <Route path="/" element={
+            <DashboardTab 
+              user={{
+                ...user,
+                balance: formatToFiveDecimals(user.balance),
+                votingPower: formatToFiveDecimals(user.votingPower)
+              }}
+              stats={safeStats} // Using our safely prepared stats object
+              loading={daoStats.isLoading}
+              proposals={proposalsHook.proposals
+                .filter(p => safeBigNumberToNumber(p.state) === PROPOSAL_STATES.ACTIVE)
+                .map(p => ({
+                  ...p,
+                  state: safeBigNumberToNumber(p.state),
+                  yesVotes: formatNumber(p.yesVotes),
+                  noVotes: formatNumber(p.noVotes),
+                  abstainVotes: formatNumber(p.abstainVotes),
+                  // Ensure all other potentially problematic fields are converted
+                  id: safeBigNumberToString(p.id),
+                  deadline: p.deadline instanceof Date ? p.deadline : new Date(),
+                  snapshotId: safeBigNumberToString(p.snapshotId)
+                }))
+              }
+            />
+          } />
+          <Route path="/proposals" element={
+            <ProposalsTab 
+              proposals={proposalsHook.proposals.map(proposal => ({
+                ...proposal,
+                // Safely convert all potential BigNumber fields
+                id: safeBigNumberToString(proposal.id),
+                state: safeBigNumberToNumber(proposal.state),
+                yesVotes: formatNumber(proposal.yesVotes),
+                noVotes: formatNumber(proposal.noVotes),
+                abstainVotes: formatNumber(proposal.abstainVotes),
+                snapshotId: safeBigNumberToString(proposal.snapshotId)
+              }))}
+              createProposal={proposalsHook.createProposal}
+              cancelProposal={proposalsHook.cancelProposal}
+              queueProposal={proposalsHook.queueProposal}
+              executeProposal={proposalsHook.executeProposal}
+              claimRefund={proposalsHook.claimRefund}
+              loading={proposalsHook.loading}
+              loadingMore={proposalsHook.loadingMore}
+              hasMore={proposalsHook.hasMore}
+              loadMore={proposalsHook.loadMore}
+              totalProposals={proposalsHook.totalProposals}
+              canWrite={proposalsHook.canWrite}
+            />
+          } />
+          <Route path="/proposals/:id" element={
+            <ProposalDetailPage 
+              getProposal={proposalsHook.getProposal}
+              cancelProposal={proposalsHook.cancelProposal}
+              queueProposal={proposalsHook.queueProposal}
+              executeProposal={proposalsHook.executeProposal}
+              claimRefund={proposalsHook.claimRefund}
+              castVote={votingHook.castVote}
+              getVotingPower={votingHook.getVotingPower}
+              canWrite={proposalsHook.canWrite}
+            />
+          } />
+          <Route path="/vote" element={
+            <VoteTab 
+              proposals={proposalsHook.proposals.map(proposal => ({
+                ...proposal,
+                // Safely convert all potential BigNumber fields
+                id: safeBigNumberToString(proposal.id),
+                state: safeBigNumberToNumber(proposal.state),
+                yesVotes: formatNumber(proposal.yesVotes),
+                noVotes: formatNumber(proposal.noVotes),
+                abstainVotes: formatNumber(proposal.abstainVotes),
+                snapshotId: safeBigNumberToString(proposal.snapshotId)
+              }))}
+              castVote={votingHook.castVote}
+              hasVoted={votingHook.hasVoted}
+              getVotingPower={votingHook.getVotingPower}
+              voting={votingHook.voting}
+              account={account}
+              canWrite={votingHook.canWrite}
+            />
+          } />
+          <Route path="/delegation" element={
+            <DelegationTab 
+              user={{
+                ...user,
+                balance: formatToFiveDecimals(user.balance),
+                votingPower: formatToFiveDecimals(user.votingPower)
+              }}
+              delegation={delegation}
+              lookupAddress={delegationLookup}
+              onLookupAddress={(address) => navigate(`/delegation/${address}`)}
+            />
+          } />
+          <Route path="/delegation/:address" element={
+            <DelegationTab 
+              user={{
+                ...user,
+                balance: formatToFiveDecimals(user.balance),
+                votingPower: formatToFiveDecimals(user.votingPower)
+              }}
+              delegation={delegation}
+              lookupAddress={delegationLookup}
+              onLookupAddress={(address) => navigate(`/delegation/${address}`)}
+            />
+          } />
+          <Route path="/timelock" element={<TimelockQueueExplorer />} />
+          {(hasRole('analytics') || isReadOnly) && (
+            <Route path="/analytics" element={
+              <AnalyticsTab contract={contracts.analyticsHelper} />
+            } />
+          )}
+          {(hasRole('admin') || hasRole('guardian')) && (
+            <>
+              <Route path="/security" element={<Navigate to="/security/general" replace />} />
+              <Route path="/security/:subtab" element={
+                <SecurityTab hasRole={hasRole} />
+              } />
+            </>
+          )}
+          <Route path="*" element={<Navigate to="/" replace />} />
+        </Routes>
       </main>
 
+      {/* Prompt opened by write actions attempted without a wallet */}
+      <WalletPrompt />
+
       {/* Footer */}
       <footer className="bg-white border-t border-gray-200 py-4">
         <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 text-center text-gray-500 text-sm">
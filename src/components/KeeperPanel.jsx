@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { Zap, CheckCircle, XCircle } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { percentOf } from '../utils/votes';
+import { formatAddress } from '../utils/formatters';
+
+const formatJust = (value) =>
+  parseFloat(ethers.utils.formatEther(value)).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+// Executor eligibility of the connected account and one-click execution of every ready
+// transaction. `readyTransactions` are the queue rows that can be executed now.
+const KeeperPanel = ({ readyTransactions, timelock }) => {
+  const { account, requestWallet, refreshCounter } = useWeb3();
+  const { getEligibility, executeReadyTransactions } = timelock;
+  const [eligibility, setEligibility] = useState(null);
+  const [executing, setExecuting] = useState(false);
+  const [results, setResults] = useState([]);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  useEffect(() => {
+    if (!account) {
+      setEligibility(null);
+      return;
+    }
+
+    getEligibility()
+      .then(setEligibility)
+      .catch(error => console.error("Error checking executor eligibility:", error));
+  }, [account, refreshCounter, getEligibility]);
+
+  const executeAll = async () => {
+    if (!account) {
+      requestWallet('execute ready timelock transactions');
+      return;
+    }
+
+    setErrorMessage('');
+    setResults([]);
+    setExecuting(true);
+
+    try {
+      setResults(await executeReadyTransactions(readyTransactions.map(tx => tx.txHash)));
+    } catch (error) {
+      console.error("Error executing ready transactions:", error);
+      setErrorMessage(getErrorMessage(error, 'Failed to execute ready transactions'));
+    } finally {
+      setExecuting(false);
+    }
+  };
+
+  const renderEligibility = () => {
+    if (!account) {
+      return <p className="text-sm text-gray-600">Connect a wallet to check whether you can execute ready transactions.</p>;
+    }
+    if (!eligibility) {
+      return <p className="text-sm text-gray-500">Checking executor eligibility...</p>;
+    }
+
+    const progress = eligibility.gap.isZero()
+      ? 100
+      : Math.min(parseFloat(percentOf(eligibility.balance, eligibility.threshold)), 100);
+
+    return (
+      <div className="text-sm">
+        <p className={`font-medium mb-2 ${eligibility.canExecute ? 'text-green-700' : 'text-gray-700'}`}>
+          {eligibility.hasExecutorRole
+            ? "You hold the timelock's executor role."
+            : eligibility.authorizedByTokens
+              ? 'Your JUST balance authorizes you to execute ready transactions.'
+              : "You can't execute timelock transactions yet."}
+        </p>
+
+        {!eligibility.hasExecutorRole && (
+          <>
+            <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden mb-1">
+              <div
+                className={`h-full ${eligibility.authorizedByTokens ? 'bg-green-500' : 'bg-indigo-500'}`}
+                style={{ width: `${progress}%` }}
+              ></div>
+            </div>
+            <div className="flex flex-wrap justify-between text-xs text-gray-600 gap-2">
+              <span>{formatJust(eligibility.balance)} / {formatJust(eligibility.threshold)} JUST executor threshold</span>
+              {!eligibility.gap.isZero() && <span>{formatJust(eligibility.gap)} JUST more needed</span>}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow mb-6">
+      <div className="flex flex-wrap justify-between items-start gap-4">
+        <div className="flex-1">
+          <div className="flex items-center mb-2">
+            <Zap className="w-5 h-5 text-indigo-500 mr-2" />
+            <h3 className="text-lg font-medium text-gray-900">Keeper</h3>
+          </div>
+          {renderEligibility()}
+        </div>
+
+        <button
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md disabled:bg-indigo-400"
+          onClick={executeAll}
+          disabled={executing || readyTransactions.length === 0 || (account && eligibility && !eligibility.canExecute)}
+        >
+          {executing ? 'Executing...' : `Execute All Ready (${readyTransactions.length})`}
+        </button>
+      </div>
+
+      {errorMessage && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mt-4">
+          {errorMessage}
+        </div>
+      )}
+
+      {results.length > 0 && (
+        <ul className="mt-4 space-y-1 text-sm">
+          {results.map(result => (
+            <li key={result.txHash} className="flex items-start">
+              {result.success
+                ? <CheckCircle className="w-4 h-4 text-green-600 mr-2 mt-0.5 flex-shrink-0" />
+                : <XCircle className="w-4 h-4 text-red-600 mr-2 mt-0.5 flex-shrink-0" />}
+              <span>
+                <span className="font-mono">{formatAddress(result.txHash, 10, 6)}</span>
+                {result.success ? ' executed' : `: ${result.error}`}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default KeeperPanel;
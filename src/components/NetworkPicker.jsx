@@ -0,0 +1,41 @@
+import React from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { DEPLOYMENTS, SUPPORTED_CHAIN_IDS } from '../config/deployments';
+
+// Header dropdown listing every network in the deployment registry
+const NetworkPicker = () => {
+  const { selectedChainId, selectNetwork, isConnected, isCorrectNetwork } = useWeb3();
+
+  // Nothing to choose between with a single deployment
+  if (SUPPORTED_CHAIN_IDS.length < 2) return null;
+
+  const handleChange = async (e) => {
+    try {
+      await selectNetwork(e.target.value);
+    } catch (error) {
+      console.error("Error switching network:", error);
+    }
+  };
+
+  return (
+    <div className="flex items-center">
+      {isConnected && !isCorrectNetwork && (
+        <span className="text-xs bg-red-100 text-red-800 px-2 py-1 rounded-full mr-2">Unsupported network</span>
+      )}
+      <select
+        className="rounded-md border border-gray-300 p-2 text-sm"
+        value={selectedChainId}
+        onChange={handleChange}
+        title="Network"
+      >
+        {SUPPORTED_CHAIN_IDS.map(chainId => (
+          <option key={chainId} value={chainId}>
+            {DEPLOYMENTS[chainId].shortName}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default NetworkPicker;
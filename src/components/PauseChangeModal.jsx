@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import { AlertTriangle, Check, X, ExternalLink } from 'lucide-react';
+import Loader from './Loader';
+import { useWeb3 } from '../contexts/Web3Context';
+import { getExplorerLink } from '../config/deployments';
+import { ROLE_CONTRACTS } from '../utils/roles';
+import { describePauseCall } from '../utils/pause';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { formatAddress } from '../utils/formatters';
+
+const CONTRACT_LABELS = ROLE_CONTRACTS.reduce((labels, entry) => {
+  labels[entry.key] = entry.label;
+  return labels;
+}, {});
+
+const PROGRESS_LABELS = {
+  sending: 'Waiting for wallet...',
+  pending: 'Confirming...',
+  done: 'Done',
+  failed: 'Failed'
+};
+
+// Confirms pausing or unpausing several contracts, dry-runs each call first and then sends them
+// one after another with per-contract progress. `emergency` is the useEmergencyControls() result;
+// onClose(results) gets null when nothing was sent.
+const PauseChangeModal = ({ emergency, contractKeys, pause, onClose }) => {
+  const { contracts, selectedChainId } = useWeb3();
+  const { previewPauseChange, changePauseState } = emergency;
+  const [previews, setPreviews] = useState({});
+  const [progress, setProgress] = useState({});
+  const [results, setResults] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const verb = pause ? 'Pause' : 'Unpause';
+
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all(contractKeys.map(async (contractKey) => {
+      try {
+        return [contractKey, await previewPauseChange(contractKey, pause)];
+      } catch (error) {
+        console.error(`Error simulating ${verb.toLowerCase()} of ${contractKey}:`, error);
+        return [contractKey, { success: false, error: { message: getErrorMessage(error) } }];
+      }
+    })).then(entries => {
+      if (cancelled) return;
+      setPreviews(entries.reduce((byKey, [contractKey, preview]) => {
+        byKey[contractKey] = preview;
+        return byKey;
+      }, {}));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contractKeys, pause, verb, previewPauseChange]);
+
+  const previewsLoaded = contractKeys.every(contractKey => contractKey in previews);
+  const failing = contractKeys.filter(contractKey => previews[contractKey] && !previews[contractKey].success);
+
+  const handleConfirm = async () => {
+    setErrorMessage('');
+    setRunning(true);
+
+    try {
+      const sent = await changePauseState(contractKeys, pause, (contractKey, update) => {
+        setProgress(prev => ({ ...prev, [contractKey]: update }));
+      });
+      setResults(sent);
+    } catch (error) {
+      console.error(`Error trying to ${verb.toLowerCase()} contracts:`, error);
+      setErrorMessage(getErrorMessage(error, `Failed to ${verb.toLowerCase()} contracts`));
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const renderTxLink = (hash) => {
+    const url = getExplorerLink(selectedChainId, hash, 'tx');
+    if (!url) return <span className="font-mono">{formatAddress(hash, 10, 6)}</span>;
+
+    return (
+      <a href={url} target="_blank" rel="noopener noreferrer" className="font-mono text-indigo-600 hover:text-indigo-800 inline-flex items-center">
+        {formatAddress(hash, 10, 6)} <ExternalLink className="w-3 h-3 ml-1" />
+      </a>
+    );
+  };
+
+  const renderStatus = (contractKey) => {
+    const update = progress[contractKey];
+    if (update) {
+      return (
+        <div className="text-xs mt-1">
+          <span className={update.status === 'failed' ? 'text-red-600' : update.status === 'done' ? 'text-green-600' : 'text-gray-500'}>
+            {PROGRESS_LABELS[update.status]}
+          </span>
+          {update.hash && <span className="ml-2">{renderTxLink(update.hash)}</span>}
+          {update.error && <p className="text-red-600 mt-1">{update.error}</p>}
+        </div>
+      );
+    }
+
+    // The batch stopped at a rejected wallet prompt before reaching this contract
+    if (results) return <p className="text-xs text-gray-500 mt-1">Not sent</p>;
+
+    const preview = previews[contractKey];
+    if (!(contractKey in previews)) return <p className="text-xs text-gray-500 mt-1">Simulating...</p>;
+    // No wallet connected, so nothing could be simulated
+    if (!preview) return null;
+    if (preview.success) {
+      return (
+        <p className="text-xs text-green-600 mt-1 flex items-center">
+          <Check className="w-3 h-3 mr-1" /> Simulation passed
+        </p>
+      );
+    }
+    return (
+      <p className="text-xs text-red-600 mt-1 flex items-start">
+        <X className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" /> Would fail: {preview.error.message}
+      </p>
+    );
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg max-w-md w-full p-6">
+        <h2 className="text-xl font-semibold mb-4">{verb} {contractKeys.length === 1 ? '1 contract' : `${contractKeys.length} contracts`}</h2>
+
+        {errorMessage && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 flex items-start">
+            <AlertTriangle className="w-5 h-5 mr-2 mt-0.5" />
+            <span>{errorMessage}</span>
+          </div>
+        )}
+
+        <p className="text-sm text-gray-600 mb-4">
+          {pause
+            ? 'Paused contracts reject state-changing calls until they are unpaused.'
+            : 'Unpaused contracts accept state-changing calls again.'}
+          {' '}Each contract is a separate transaction, sent in this order.
+        </p>
+
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md mb-4">
+          {contractKeys.map(contractKey => (
+            <li key={contractKey} className="p-3">
+              <div className="flex justify-between items-center text-sm">
+                <span className="font-medium">{CONTRACT_LABELS[contractKey]}</span>
+                <span className="font-mono text-xs text-gray-500">
+                  {contracts[contractKey] ? describePauseCall(contracts[contractKey], pause) : ''}
+                </span>
+              </div>
+              {renderStatus(contractKey)}
+            </li>
+          ))}
+        </ul>
+
+        {!results && previewsLoaded && failing.length > 0 && (
+          <div className="bg-yellow-50 text-yellow-800 text-sm p-3 rounded-md mb-4 flex items-start">
+            <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+            <span>
+              {failing.length === contractKeys.length
+                ? 'None of these calls would succeed from the connected account.'
+                : `${failing.length} of these calls would fail and will be reported; the others are still sent.`}
+            </span>
+          </div>
+        )}
+
+        {running && <Loader size="small" text={pause ? 'Pausing contracts...' : 'Unpausing contracts...'} />}
+
+        <div className="flex justify-end space-x-2 pt-4">
+          {results ? (
+            <button
+              type="button"
+              className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+              onClick={() => onClose(results)}
+            >
+              Close
+            </button>
+          ) : (
+            <>
+              <button
+                type="button"
+                className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+                onClick={() => onClose(null)}
+                disabled={running}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                className={`px-4 py-2 text-white rounded-md ${pause ? 'bg-red-500 hover:bg-red-600 disabled:bg-red-300' : 'bg-green-500 hover:bg-green-600 disabled:bg-green-300'}`}
+                onClick={handleConfirm}
+                disabled={running || !previewsLoaded || failing.length === contractKeys.length}
+              >
+                {running ? 'Submitting...' : `${verb} ${contractKeys.length === 1 ? 'Contract' : 'Contracts'}`}
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PauseChangeModal;
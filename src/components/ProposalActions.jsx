@@ -0,0 +1,74 @@
+import React from 'react';
+import { PROPOSAL_STATES, WALLET_REQUIRED_ERROR } from '../utils/constants';
+import { getErrorMessage } from '../utils/errorDecoder';
+
+// Cancel / Queue / Execute / Claim Refund buttons for the actions the proposal's state allows
+const ProposalActions = ({
+  proposal,
+  cancelProposal,
+  queueProposal,
+  executeProposal,
+  claimRefund,
+  canWrite = true
+}) => {
+  // Helper function to handle proposal actions with error handling
+  const handleProposalAction = async (action, proposalId, actionName) => {
+    try {
+      await action(proposalId);
+    } catch (error) {
+      // The wallet prompt is already open - nothing else to report
+      if (error.code === WALLET_REQUIRED_ERROR) return;
+
+      console.error(`Error ${actionName} proposal:`, error);
+      alert(`Error ${actionName} proposal: ${getErrorMessage(error, 'See console for details')}`);
+    }
+  };
+
+  return (
+    <>
+      {proposal.state === PROPOSAL_STATES.ACTIVE && (
+        <button
+          className={`bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded-md text-sm ${!canWrite ? 'opacity-60' : ''}`}
+          title={!canWrite ? 'Connect a wallet to use this action' : undefined}
+          onClick={() => handleProposalAction(cancelProposal, proposal.id, 'cancelling')}
+        >
+          Cancel
+        </button>
+      )}
+
+      {proposal.state === PROPOSAL_STATES.SUCCEEDED && (
+        <button
+          className={`bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded-md text-sm ${!canWrite ? 'opacity-60' : ''}`}
+          title={!canWrite ? 'Connect a wallet to use this action' : undefined}
+          onClick={() => handleProposalAction(queueProposal, proposal.id, 'queuing')}
+        >
+          Queue
+        </button>
+      )}
+
+      {proposal.state === PROPOSAL_STATES.QUEUED && (
+        <button
+          className={`bg-purple-500 hover:bg-purple-600 text-white px-3 py-1 rounded-md text-sm ${!canWrite ? 'opacity-60' : ''}`}
+          title={!canWrite ? 'Connect a wallet to use this action' : undefined}
+          onClick={() => handleProposalAction(executeProposal, proposal.id, 'executing')}
+        >
+          Execute
+        </button>
+      )}
+
+      {(proposal.state === PROPOSAL_STATES.DEFEATED ||
+        proposal.state === PROPOSAL_STATES.CANCELED ||
+        proposal.state === PROPOSAL_STATES.EXPIRED) && (
+        <button
+          className={`bg-gray-500 hover:bg-gray-600 text-white px-3 py-1 rounded-md text-sm ${!canWrite ? 'opacity-60' : ''}`}
+          title={!canWrite ? 'Connect a wallet to use this action' : undefined}
+          onClick={() => handleProposalAction(claimRefund, proposal.id, 'claiming refund for')}
+        >
+          Claim Refund
+        </button>
+      )}
+    </>
+  );
+};
+
+export default ProposalActions;
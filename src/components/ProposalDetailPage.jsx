@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { ethers } from 'ethers';
+import { ArrowLeft, Link2 } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useIndexer } from '../contexts/IndexerContext';
+import { loadProposalTimeline } from '../utils/proposalTimeline';
+import { tallyVotes, percentOf } from '../utils/votes';
+import { PROPOSAL_STATES } from '../utils/constants';
+import { formatAddress, formatDateTime, formatCountdown, getStatusColor } from '../utils/formatters';
+import Loader from './Loader';
+import ProposalParameters from './ProposalParameters';
+import ProposalActions from './ProposalActions';
+import ProposalVoteActions from './ProposalVoteActions';
+import QuorumProjection from './QuorumProjection';
+import ProposalTimeline from './ProposalTimeline';
+import ProposalVotersPanel from './ProposalVotersPanel';
+
+// Dedicated page for one proposal, reachable at /proposals/:id
+const ProposalDetailPage = ({
+  getProposal,
+  cancelProposal,
+  queueProposal,
+  executeProposal,
+  claimRefund,
+  castVote,
+  getVotingPower,
+  canWrite
+}) => {
+  const { id } = useParams();
+  const { contractsReady, refreshCounter, selectedChainId, account } = useWeb3();
+  const { getEvents } = useIndexer();
+  const [proposal, setProposal] = useState(null);
+  const [voters, setVoters] = useState([]);
+  const [timeline, setTimeline] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [linkCopied, setLinkCopied] = useState(false);
+  const [votingPower, setVotingPower] = useState("0");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadProposal = async () => {
+      if (!contractsReady) return;
+
+      try {
+        setLoading(true);
+        setError(null);
+
+        const details = await getProposal(id);
+        if (cancelled) return;
+
+        if (!details) {
+          setProposal(null);
+          setError(`Proposal #${id} was not found`);
+          return;
+        }
+
+        const [voteEvents, proposalTimeline] = await Promise.all([
+          getEvents('governance', 'VoteCast', args => args.proposalId === String(details.id)),
+          loadProposalTimeline(getEvents, details.id)
+        ]);
+        if (cancelled) return;
+
+        setProposal(details);
+        setVoters(voteEvents);
+        setTimeline(proposalTimeline);
+      } catch (err) {
+        console.error("Error loading proposal:", err);
+        if (!cancelled) setError("Failed to load proposal: " + err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadProposal();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, contractsReady, getProposal, getEvents, refreshCounter]);
+
+  // Voting power of the connected account at the snapshot of an active proposal
+  useEffect(() => {
+    if (!proposal || proposal.state !== PROPOSAL_STATES.ACTIVE) return undefined;
+
+    let cancelled = false;
+    getVotingPower(proposal.snapshotId)
+      .then(power => {
+        if (!cancelled) setVotingPower(power);
+      })
+      .catch(err => console.error("Error fetching voting power:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [proposal, getVotingPower, account]);
+
+  const copyLink = () => {
+    navigator.clipboard.writeText(window.location.href);
+    setLinkCopied(true);
+    setTimeout(() => setLinkCopied(false), 2000);
+  };
+
+  if (loading && !proposal) {
+    return (
+      <div className="flex justify-center py-8">
+        <Loader size="large" text="Loading proposal..." />
+      </div>
+    );
+  }
+
+  if (!proposal) {
+    return (
+      <div>
+        <Link to="/proposals" className="text-indigo-600 hover:text-indigo-800 text-sm font-medium flex items-center mb-4">
+          <ArrowLeft className="w-4 h-4 mr-1" /> All Proposals
+        </Link>
+        <div className="bg-white p-6 rounded-lg shadow text-center text-gray-500">
+          {error || `Proposal #${id} was not found`}
+        </div>
+      </div>
+    );
+  }
+
+  const tally = tallyVotes(voters);
+  const percentage = (votes) => percentOf(votes, tally.total, 1);
+
+  return (
+    <div>
+      <div className="flex justify-between items-center mb-4">
+        <Link to="/proposals" className="text-indigo-600 hover:text-indigo-800 text-sm font-medium flex items-center">
+          <ArrowLeft className="w-4 h-4 mr-1" /> All Proposals
+        </Link>
+        <button
+          className="text-gray-600 hover:text-indigo-600 text-sm flex items-center"
+          onClick={copyLink}
+        >
+          <Link2 className="w-4 h-4 mr-1" />
+          {linkCopied ? "Link copied!" : "Copy Link"}
+        </button>
+      </div>
+
+      {/* Header */}
+      <div className="bg-white p-6 rounded-lg shadow mb-6">
+        <div className="flex justify-between items-start mb-4">
+          <div>
+            <h2 className="text-xl font-semibold">{proposal.title}</h2>
+            <p className="text-sm text-gray-500">Proposal #{proposal.id}</p>
+          </div>
+          <span className={`text-xs px-2 py-1 rounded-full ${getStatusColor(proposal.stateLabel.toLowerCase())}`}>
+            {proposal.stateLabel}
+          </span>
+        </div>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-sm text-gray-500">
+          <div>
+            <p className="font-medium">Type</p>
+            <p>{proposal.typeLabel}</p>
+          </div>
+          <div>
+            <p className="font-medium">Proposer</p>
+            <Link to={`/delegation/${proposal.proposer}`} className="text-indigo-600 hover:text-indigo-800">
+              {formatAddress(proposal.proposer)}
+            </Link>
+          </div>
+          <div>
+            <p className="font-medium">Created</p>
+            <p>{formatDateTime(proposal.createdAt)}</p>
+          </div>
+          <div>
+            <p className="font-medium">Voting Deadline</p>
+            <p>{formatDateTime(proposal.deadline)} ({formatCountdown(proposal.deadline)})</p>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          <ProposalActions
+            proposal={proposal}
+            cancelProposal={cancelProposal}
+            queueProposal={queueProposal}
+            executeProposal={executeProposal}
+            claimRefund={claimRefund}
+            canWrite={canWrite}
+          />
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
+        {/* Description and parameters */}
+        <div className="bg-white p-6 rounded-lg shadow md:col-span-2">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Description</h3>
+          <p className="text-sm text-gray-700 whitespace-pre-wrap mb-6">{proposal.description}</p>
+
+          <h3 className="text-lg font-medium text-gray-900 mb-2">Proposal Details</h3>
+          <ProposalParameters proposal={proposal} />
+        </div>
+
+        {/* Vote breakdown */}
+        <div className="bg-white p-6 rounded-lg shadow">
+          <h3 className="text-lg font-medium text-gray-900 mb-4">Votes</h3>
+          <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden mb-4">
+            <div className="flex h-full">
+              <div className="bg-green-500 h-full" style={{ width: `${percentage(tally.for)}%` }}></div>
+              <div className="bg-red-500 h-full" style={{ width: `${percentage(tally.against)}%` }}></div>
+              <div className="bg-gray-400 h-full" style={{ width: `${percentage(tally.abstain)}%` }}></div>
+            </div>
+          </div>
+          <div className="space-y-2 text-sm">
+            <div className="flex justify-between">
+              <span>For</span>
+              <span className="font-medium">{ethers.utils.formatEther(tally.for)} JUST ({percentage(tally.for)}%)</span>
+            </div>
+            <div className="flex justify-between">
+              <span>Against</span>
+              <span className="font-medium">{ethers.utils.formatEther(tally.against)} JUST ({percentage(tally.against)}%)</span>
+            </div>
+            <div className="flex justify-between">
+              <span>Abstain</span>
+              <span className="font-medium">{ethers.utils.formatEther(tally.abstain)} JUST ({percentage(tally.abstain)}%)</span>
+            </div>
+          </div>
+
+          {(proposal.state === PROPOSAL_STATES.ACTIVE || proposal.hasVoted) && (
+            <div className="border-t border-gray-200 mt-4 pt-4">
+              {proposal.state === PROPOSAL_STATES.ACTIVE && (
+                <QuorumProjection proposal={proposal} votingPower={canWrite ? votingPower : "0"} />
+              )}
+              <ProposalVoteActions
+                proposal={proposal}
+                votingPower={votingPower}
+                castVote={castVote}
+                canWrite={canWrite}
+              />
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Voters */}
+      <div className="bg-white p-6 rounded-lg shadow mb-6">
+        <ProposalVotersPanel proposalId={proposal.id} voters={voters} quorum={proposal.quorum} />
+      </div>
+
+      {/* Lifecycle */}
+      <div className="bg-white p-6 rounded-lg shadow">
+        <h3 className="text-lg font-medium text-gray-900 mb-4">Timeline</h3>
+        <ProposalTimeline timeline={timeline} chainId={selectedChainId} />
+      </div>
+    </div>
+  );
+};
+
+export default ProposalDetailPage;
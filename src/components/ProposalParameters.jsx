@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { Copy } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import DecodedCalldata from './DecodedCalldata';
+import { PROPOSAL_TYPES } from '../utils/constants';
+import { decodeCalldata } from '../utils/calldataDecoder';
+import { formatBigNumber, formatTime } from '../utils/formatters';
+
+// Decoded createProposal parameters for each proposal type
+const ProposalParameters = ({ proposal }) => {
+  const { deployment } = useWeb3();
+  const [copiedText, setCopiedText] = useState(null);
+
+  const decodedCall = proposal.type === PROPOSAL_TYPES.GENERAL
+    ? decodeCalldata(proposal.callData, proposal.target, deployment?.addresses)
+    : null;
+
+  const copyToClipboard = (text) => {
+    navigator.clipboard.writeText(text);
+    setCopiedText(text);
+    setTimeout(() => setCopiedText(null), 2000);
+  };
+
+  const renderAddress = (address, label) => (
+    <div className="flex items-center">
+      <span className="font-medium mr-2">{label}:</span>
+      <span className="font-mono break-all">{address}</span>
+      <button
+        onClick={() => copyToClipboard(address)}
+        className="ml-2 text-gray-500 hover:text-indigo-600 focus:outline-none"
+        title="Copy to clipboard"
+      >
+        <Copy className="w-4 h-4" />
+      </button>
+      {copiedText === address && (
+        <span className="ml-2 text-xs text-green-600">Copied!</span>
+      )}
+    </div>
+  );
+
+  return (
+    <div>
+      {proposal.type === PROPOSAL_TYPES.GENERAL && (
+        <div className="mt-2 text-xs bg-gray-50 p-4 rounded">
+          {renderAddress(proposal.target, "Target")}
+          <p className="mt-2 font-medium">
+            Call Data: {decodedCall ? decodedCall.label : 'ETH transfer'}
+          </p>
+          <DecodedCalldata decoded={decodedCall} data={proposal.callData} className="mt-1 bg-gray-100" />
+        </div>
+      )}
+
+      {(proposal.type === PROPOSAL_TYPES.WITHDRAWAL ||
+        proposal.type === PROPOSAL_TYPES.TOKEN_TRANSFER ||
+        proposal.type === PROPOSAL_TYPES.TOKEN_MINT ||
+        proposal.type === PROPOSAL_TYPES.TOKEN_BURN) && (
+        <div className="mt-2 text-xs bg-gray-50 p-4 rounded">
+          {renderAddress(proposal.recipient, "Recipient")}
+          <p className="mt-2"><span className="font-medium">Amount:</span> {typeof proposal.amount === 'string' ? proposal.amount : formatBigNumber(proposal.amount)} {proposal.type === PROPOSAL_TYPES.WITHDRAWAL ? 'ETH' : 'JUST'}</p>
+        </div>
+      )}
+
+      {proposal.type === PROPOSAL_TYPES.EXTERNAL_ERC20_TRANSFER && (
+        <div className="mt-2 text-xs bg-gray-50 p-4 rounded">
+          {renderAddress(proposal.recipient, "Recipient")}
+          {renderAddress(proposal.token, "Token")}
+          <p className="mt-2"><span className="font-medium">Amount:</span> {typeof proposal.amount === 'string' ? proposal.amount : formatBigNumber(proposal.amount)}</p>
+        </div>
+      )}
+
+      {proposal.type === PROPOSAL_TYPES.GOVERNANCE_CHANGE && (
+        <div className="mt-2 text-xs bg-gray-50 p-4 rounded">
+          {proposal.newThreshold && <p><span className="font-medium">New Threshold:</span> {formatBigNumber(proposal.newThreshold)}</p>}
+          {proposal.newQuorum && <p className="mt-2"><span className="font-medium">New Quorum:</span> {formatBigNumber(proposal.newQuorum)}</p>}
+          {proposal.newVotingDuration && <p className="mt-2"><span className="font-medium">New Voting Duration:</span> {formatTime(proposal.newVotingDuration)}</p>}
+          {proposal.newTimelockDelay && <p className="mt-2"><span className="font-medium">New Timelock Delay:</span> {formatTime(proposal.newTimelockDelay)}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProposalParameters;
@@ -0,0 +1,80 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ExternalLink, AlertTriangle, CheckCircle, Clock } from 'lucide-react';
+import { getExplorerLink } from '../config/deployments';
+import { formatAddress, formatDateTime } from '../utils/formatters';
+import { getTimelineStatus } from '../utils/proposalTimeline';
+
+const STATUS_STYLES = {
+  complete: { className: 'bg-green-50 text-green-800', Icon: CheckCircle },
+  stalled: { className: 'bg-yellow-50 text-yellow-800', Icon: AlertTriangle },
+  closed: { className: 'bg-gray-50 text-gray-700', Icon: Clock },
+  pending: { className: 'bg-blue-50 text-blue-800', Icon: Clock }
+};
+
+// Lifecycle of one proposal across governance and the timelock (see utils/proposalTimeline.js)
+const ProposalTimeline = ({ timeline, chainId }) => {
+  const { status, message } = getTimelineStatus(timeline);
+  const { className, Icon } = STATUS_STYLES[status] || STATUS_STYLES.pending;
+
+  const renderTxLink = (txHash) => {
+    const url = getExplorerLink(chainId, txHash, 'tx');
+    if (!url) return <span className="font-mono">{formatAddress(txHash, 10, 8)}</span>;
+
+    return (
+      <a href={url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800 inline-flex items-center">
+        {formatAddress(txHash, 10, 8)} <ExternalLink className="w-3 h-3 ml-1" />
+      </a>
+    );
+  };
+
+  return (
+    <div>
+      <div className={`flex items-center p-3 rounded-md text-sm mb-4 ${className}`}>
+        <Icon className="w-4 h-4 mr-2 flex-shrink-0" />
+        {message}
+      </div>
+
+      {timeline.length > 0 ? (
+        <ol className="relative border-l border-gray-200 ml-2">
+          {timeline.map(entry => (
+            <li key={entry.id} className="mb-4 ml-4">
+              <div
+                className={`absolute w-3 h-3 rounded-full -left-1.5 mt-1.5 border border-white ${entry.kind === 'timelock' ? 'bg-purple-500' : 'bg-indigo-500'}`}
+              ></div>
+              <div className="flex flex-wrap justify-between items-baseline gap-2">
+                <p className="text-sm font-medium">
+                  {entry.label}
+                  {entry.kind === 'timelock' && (
+                    <span className="ml-2 text-xs px-2 py-0.5 rounded-full bg-purple-100 text-purple-800">Timelock</span>
+                  )}
+                </p>
+                <span className="text-xs text-gray-500">
+                  {entry.timestamp ? formatDateTime(entry.timestamp * 1000) : `Block ${entry.blockNumber}`}
+                </span>
+              </div>
+              {entry.details && (
+                <p className="text-xs text-gray-600 mt-1 break-all">{entry.details}</p>
+              )}
+              <div className="flex flex-wrap gap-4 text-xs text-gray-500 mt-1">
+                {entry.actor && (
+                  <span>
+                    By{' '}
+                    <Link to={`/delegation/${entry.actor}`} className="text-indigo-600 hover:text-indigo-800">
+                      {formatAddress(entry.actor)}
+                    </Link>
+                  </span>
+                )}
+                <span>Tx {renderTxLink(entry.transactionHash)}</span>
+              </div>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-sm text-gray-500">No history indexed yet</p>
+      )}
+    </div>
+  );
+};
+
+export default ProposalTimeline;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { Check, X } from 'lucide-react';
+import { PROPOSAL_STATES, VOTE_TYPES, WALLET_REQUIRED_ERROR } from '../utils/constants';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { useWeb3 } from '../contexts/Web3Context';
+
+// Yes / No / Abstain buttons of an active proposal, or how the connected account voted.
+// `votingPower` is the account's power at the proposal snapshot as a decimal JUST string.
+const ProposalVoteActions = ({ proposal, votingPower = "0", castVote, canWrite = true }) => {
+  const { requestWallet } = useWeb3();
+  const hasVotingPower = parseFloat(votingPower) > 0;
+
+  // Submit vote
+  const submitVote = async (support) => {
+    try {
+      await castVote(proposal.id, support);
+    } catch (error) {
+      // The wallet prompt is already open - nothing else to report
+      if (error.code === WALLET_REQUIRED_ERROR) return;
+
+      console.error("Error casting vote:", error);
+      alert("Error casting vote: " + getErrorMessage(error, "See console for details"));
+    }
+  };
+
+  if (proposal.hasVoted) {
+    return (
+      <div className="flex items-center text-sm text-gray-700">
+        <span className="mr-2">You voted:</span>
+        <span className="px-2 py-1 rounded-full text-xs bg-blue-100 text-blue-800">
+          {proposal.votedYes ? 'Yes' : proposal.votedNo ? 'No' : 'Abstain'}
+        </span>
+      </div>
+    );
+  }
+
+  if (proposal.state !== PROPOSAL_STATES.ACTIVE) return null;
+
+  if (!canWrite) {
+    return (
+      <div className="text-center py-2">
+        <button
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md"
+          onClick={() => requestWallet('vote on this proposal')}
+        >
+          Connect Wallet to Vote
+        </button>
+      </div>
+    );
+  }
+
+  if (!hasVotingPower) {
+    return (
+      <div className="text-center py-2 text-red-500">
+        You don't have voting power for this proposal. You may need to delegate to yourself or acquire tokens before the snapshot.
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="mb-2 text-sm text-gray-600">
+        Your voting power: {votingPower} JUST
+      </div>
+      <div className="flex space-x-2">
+        <button
+          className="flex-1 bg-green-500 hover:bg-green-600 text-white py-2 rounded-md flex items-center justify-center"
+          onClick={() => submitVote(VOTE_TYPES.FOR)}
+        >
+          <Check className="w-4 h-4 mr-1" />
+          Vote Yes
+        </button>
+        <button
+          className="flex-1 bg-red-500 hover:bg-red-600 text-white py-2 rounded-md flex items-center justify-center"
+          onClick={() => submitVote(VOTE_TYPES.AGAINST)}
+        >
+          <X className="w-4 h-4 mr-1" />
+          Vote No
+        </button>
+        <button
+          className="flex-1 bg-gray-500 hover:bg-gray-600 text-white py-2 rounded-md flex items-center justify-center"
+          onClick={() => submitVote(VOTE_TYPES.ABSTAIN)}
+        >
+          Abstain
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ProposalVoteActions;
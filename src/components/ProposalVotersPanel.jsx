@@ -0,0 +1,142 @@
+import React, { useState, useMemo } from 'react';
+import { Link } from 'react-router-dom';
+import { ethers } from 'ethers';
+import { ArrowDown, ArrowUp, Download } from 'lucide-react';
+import { VOTE_TYPES } from '../utils/constants';
+import { formatAddress } from '../utils/formatters';
+import { percentOf } from '../utils/votes';
+import { downloadCsv } from '../utils/csv';
+
+const SUPPORT_LABELS = {
+  [VOTE_TYPES.AGAINST]: "Against",
+  [VOTE_TYPES.FOR]: "For",
+  [VOTE_TYPES.ABSTAIN]: "Abstain"
+};
+
+const SUPPORT_COLORS = {
+  [VOTE_TYPES.AGAINST]: "bg-red-100 text-red-800",
+  [VOTE_TYPES.FOR]: "bg-green-100 text-green-800",
+  [VOTE_TYPES.ABSTAIN]: "bg-gray-100 text-gray-800"
+};
+
+const FILTERS = [
+  { id: 'all', label: "All" },
+  { id: VOTE_TYPES.FOR, label: "For" },
+  { id: VOTE_TYPES.AGAINST, label: "Against" },
+  { id: VOTE_TYPES.ABSTAIN, label: "Abstain" }
+];
+
+// Voters of one proposal from indexed VoteCast events, with sorting, filtering and CSV export
+const ProposalVotersPanel = ({ proposalId, voters, quorum = "0" }) => {
+  const [filter, setFilter] = useState('all');
+  const [sortDescending, setSortDescending] = useState(true);
+
+  const hasQuorum = !ethers.BigNumber.from(quorum || 0).isZero();
+
+  const visibleVoters = useMemo(() => {
+    const filtered = filter === 'all'
+      ? voters
+      : voters.filter(vote => Number(vote.args.support) === filter);
+
+    return [...filtered].sort((a, b) => {
+      const powerA = ethers.BigNumber.from(a.args.votingPower);
+      const powerB = ethers.BigNumber.from(b.args.votingPower);
+      if (powerA.eq(powerB)) return 0;
+      return powerA.gt(powerB) === sortDescending ? -1 : 1;
+    });
+  }, [voters, filter, sortDescending]);
+
+  const countFor = (filterId) => filterId === 'all'
+    ? voters.length
+    : voters.filter(vote => Number(vote.args.support) === filterId).length;
+
+  const exportCsv = () => {
+    const headers = ["Voter", "Vote", "Voting Power (JUST)", "Voting Power (wei)", "Share of Quorum (%)", "Block", "Transaction"];
+    const rows = visibleVoters.map(vote => [
+      vote.args.voter,
+      SUPPORT_LABELS[vote.args.support] || "Unknown",
+      ethers.utils.formatEther(vote.args.votingPower),
+      vote.args.votingPower,
+      hasQuorum ? percentOf(vote.args.votingPower, quorum) : '',
+      vote.blockNumber,
+      vote.transactionHash
+    ]);
+
+    downloadCsv(`proposal-${proposalId}-voters.csv`, headers, rows);
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <h3 className="text-lg font-medium text-gray-900">Voters ({voters.length})</h3>
+        <div className="flex flex-wrap items-center gap-2">
+          {FILTERS.map(option => (
+            <button
+              key={option.id}
+              className={`px-3 py-1 rounded-full text-sm ${filter === option.id ? 'bg-indigo-100 text-indigo-800' : 'bg-gray-100 text-gray-800'}`}
+              onClick={() => setFilter(option.id)}
+            >
+              {option.label} ({countFor(option.id)})
+            </button>
+          ))}
+          <button
+            className="text-indigo-600 hover:text-indigo-800 text-sm font-medium flex items-center disabled:opacity-50"
+            onClick={exportCsv}
+            disabled={visibleVoters.length === 0}
+          >
+            <Download className="w-4 h-4 mr-1" /> Export CSV
+          </button>
+        </div>
+      </div>
+
+      {visibleVoters.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Voter</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vote</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  <button
+                    className="inline-flex items-center uppercase tracking-wider hover:text-gray-700"
+                    onClick={() => setSortDescending(prev => !prev)}
+                  >
+                    Voting Power
+                    {sortDescending ? <ArrowDown className="w-3 h-3 ml-1" /> : <ArrowUp className="w-3 h-3 ml-1" />}
+                  </button>
+                </th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Share of Quorum</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {visibleVoters.map(vote => (
+                <tr key={vote.id}>
+                  <td className="px-4 py-2 text-sm">
+                    <Link to={`/delegation/${vote.args.voter}`} className="text-indigo-600 hover:text-indigo-800">
+                      {formatAddress(vote.args.voter)}
+                    </Link>
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    <span className={`text-xs px-2 py-1 rounded-full ${SUPPORT_COLORS[vote.args.support] || 'bg-gray-100 text-gray-800'}`}>
+                      {SUPPORT_LABELS[vote.args.support] || "Unknown"}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-sm text-right">{ethers.utils.formatEther(vote.args.votingPower)} JUST</td>
+                  <td className="px-4 py-2 text-sm text-right">
+                    {hasQuorum ? `${percentOf(vote.args.votingPower, quorum)}%` : 'N/A'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">
+          {voters.length === 0 ? "No votes cast yet" : "No votes match this filter"}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ProposalVotersPanel;
@@ -1,9 +1,20 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { ethers } from 'ethers';
-import { PROPOSAL_STATES, PROPOSAL_TYPES } from '../utils/constants';
-import { formatRelativeTime, formatBigNumber, formatAddress, formatTime } from '../utils/formatters';
+import { useWeb3 } from '../contexts/Web3Context';
+import { PROPOSAL_TYPES } from '../utils/constants';
+import { formatRelativeTime, formatAddress } from '../utils/formatters';
 import Loader from './Loader';
-import { ChevronDown, ChevronUp, Copy } from 'lucide-react';
+import ProposalActions from './ProposalActions';
+import TimelockRiskPreview from './TimelockRiskPreview';
+import CalldataBuilder from './CalldataBuilder';
+import { ChevronRight } from 'lucide-react';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { checkProposalCall, describeAllowlistViolation } from '../utils/allowlist';
+import { getSelectorSignature } from '../utils/calldataDecoder';
+
+// Wait this long after the last keystroke before checking the allowlist
+const ALLOWLIST_CHECK_DEBOUNCE_MS = 500;
 
 const ProposalsTab = ({ 
   proposals, 
@@ -12,12 +23,16 @@ const ProposalsTab = ({
   queueProposal, 
   executeProposal, 
   claimRefund,
-  loading
+  loading,
+  loadingMore = false,
+  hasMore = false,
+  loadMore,
+  totalProposals,
+  canWrite = true
 }) => {
+  const { requestWallet, contracts } = useWeb3();
   const [proposalType, setProposalType] = useState('all');
   const [showCreateModal, setShowCreateModal] = useState(false);
-  const [expandedProposalId, setExpandedProposalId] = useState(null);
-  const [copiedText, setCopiedText] = useState(null);
   const [newProposal, setNewProposal] = useState({
     title: '',
     description: '',
@@ -34,42 +49,31 @@ const ProposalsTab = ({
   });
   const [submitting, setSubmitting] = useState(false);
   const [transactionError, setTransactionError] = useState('');
+  const [allowlistCheck, setAllowlistCheck] = useState(null);
+  const [showCalldataBuilder, setShowCalldataBuilder] = useState(false);
 
-  const toggleProposalDetails = (proposalId) => {
-    if (expandedProposalId === proposalId) {
-      setExpandedProposalId(null);
-    } else {
-      setExpandedProposalId(proposalId);
-    }
-  };
+  const isGeneralProposal = parseInt(newProposal.type) === PROPOSAL_TYPES.GENERAL;
 
-  const copyToClipboard = (text) => {
-    navigator.clipboard.writeText(text);
-    setCopiedText(text);
-    setTimeout(() => setCopiedText(null), 2000);
-  };
+  // Check the General proposal's target and selector against the governance allowlist as they are typed
+  useEffect(() => {
+    setAllowlistCheck(null);
+    if (!isGeneralProposal || !contracts.governance || !ethers.utils.isAddress(newProposal.target)
+      || !/^0x[0-9a-fA-F]{8}/.test(newProposal.callData)) return;
 
-  const renderAddress = (address, label) => {
-    const isExpanded = true; // Always show copy button for addresses in expanded view
-    return (
-      <div className="flex items-center">
-        <span className="font-medium mr-2">{label}:</span>
-        <span className="font-mono break-all">{address}</span>
-        {isExpanded && (
-          <button 
-            onClick={() => copyToClipboard(address)} 
-            className="ml-2 text-gray-500 hover:text-indigo-600 focus:outline-none"
-            title="Copy to clipboard"
-          >
-            <Copy className="w-4 h-4" />
-          </button>
-        )}
-        {copiedText === address && (
-          <span className="ml-2 text-xs text-green-600">Copied!</span>
-        )}
-      </div>
-    );
-  };
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      checkProposalCall(contracts.governance, newProposal.target, newProposal.callData)
+        .then(check => {
+          if (!cancelled) setAllowlistCheck(check);
+        })
+        .catch(error => console.error("Error checking governance allowlist:", error));
+    }, ALLOWLIST_CHECK_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isGeneralProposal, contracts.governance, newProposal.target, newProposal.callData]);
 
   const handleSubmitProposal = async (e) => {
     e.preventDefault();
@@ -87,8 +91,9 @@ const ProposalsTab = ({
       const newTimelockDelay = newProposal.newTimelockDelay ? parseInt(newProposal.newTimelockDelay) : 0;
       
       // Validate inputs based on proposal type
-      if (!validateProposalInputs(newProposal)) {
-        setTransactionError('Please fill in all required fields for this proposal type.');
+      const validationError = validateProposalInputs(newProposal);
+      if (validationError) {
+        setTransactionError(validationError);
         setSubmitting(false);
         return;
       }
@@ -139,15 +144,14 @@ const ProposalsTab = ({
       });
     } catch (error) {
       console.error("Error creating proposal:", error);
-      setTransactionError(error.message || 'Error creating proposal. See console for details.');
+      setTransactionError(getErrorMessage(error, 'Error creating proposal. See console for details.'));
     } finally {
       setSubmitting(false);
     }
   };
 
-  // Validate proposal inputs based on type
-  const validateProposalInputs = (proposal) => {
-    
+  // Check the required fields of each proposal type
+  const hasRequiredFields = (proposal) => {
     switch (parseInt(proposal.type)) {
       case PROPOSAL_TYPES.GENERAL:
         return proposal.target && proposal.callData;
@@ -177,14 +181,15 @@ const ProposalsTab = ({
     }
   };
 
-  // Helper function to handle proposal actions with error handling
-  const handleProposalAction = async (action, proposalId, actionName) => {
-    try {
-      await action(proposalId);
-    } catch (error) {
-      console.error(`Error ${actionName} proposal:`, error);
-      alert(`Error ${actionName} proposal: ${error.message || 'See console for details'}`);
+  // Validate proposal inputs based on type; returns an error message, or null when valid
+  const validateProposalInputs = (proposal) => {
+    if (!hasRequiredFields(proposal)) {
+      return 'Please fill in all required fields for this proposal type.';
     }
+    if (parseInt(proposal.type) === PROPOSAL_TYPES.GENERAL && allowlistCheck && !allowlistCheck.allowed) {
+      return describeAllowlistViolation(allowlistCheck, getSelectorSignature(allowlistCheck.selector));
+    }
+    return null;
   };
 
   // Filter out proposals based on the selected filter type
@@ -209,8 +214,9 @@ const ProposalsTab = ({
           <p className="text-gray-500">View, create, and manage proposals</p>
         </div>
         <button 
-          className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md"
-          onClick={() => setShowCreateModal(true)}
+          className={`bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md ${!canWrite ? 'opacity-60' : ''}`}
+          onClick={() => canWrite ? setShowCreateModal(true) : requestWallet('create a proposal')}
+          title={!canWrite ? 'Connect a wallet to create proposals' : undefined}
         >
           Create Proposal
         </button>
@@ -268,102 +274,25 @@ const ProposalsTab = ({
               </div>
               
               <div className="border-t pt-4 mb-4">
-                {expandedProposalId === proposal.id ? (
-                  <div>
-                    <p className="text-sm text-gray-700 mb-2">{proposal.description}</p>
-                    <div className="mt-4 border-t pt-4">
-                      <h4 className="font-medium mb-2">Proposal Details</h4>
-                      {/* Display proposal-specific details */}
-                      {proposal.type === PROPOSAL_TYPES.GENERAL && (
-                        <div className="mt-2 text-xs bg-gray-50 p-4 rounded">
-                          {renderAddress(proposal.target, "Target")}
-                          <p className="mt-2 font-medium">Call Data:</p>
-                          <pre className="bg-gray-100 p-2 mt-1 rounded overflow-x-auto">{proposal.callData}</pre>
-                        </div>
-                      )}
-                      
-                      {(proposal.type === PROPOSAL_TYPES.WITHDRAWAL || 
-                        proposal.type === PROPOSAL_TYPES.TOKEN_TRANSFER || 
-                        proposal.type === PROPOSAL_TYPES.TOKEN_MINT || 
-                        proposal.type === PROPOSAL_TYPES.TOKEN_BURN) && (
-                        <div className="mt-2 text-xs bg-gray-50 p-4 rounded">
-                          {renderAddress(proposal.recipient, "Recipient")}
-                          <p className="mt-2"><span className="font-medium">Amount:</span> {typeof proposal.amount === 'string' ? proposal.amount : formatBigNumber(proposal.amount)} {proposal.type === PROPOSAL_TYPES.WITHDRAWAL ? 'ETH' : 'JUST'}</p>
-                        </div>
-                      )}
-                      
-                      {proposal.type === PROPOSAL_TYPES.EXTERNAL_ERC20_TRANSFER && (
-                        <div className="mt-2 text-xs bg-gray-50 p-4 rounded">
-                          {renderAddress(proposal.recipient, "Recipient")}
-                          {renderAddress(proposal.token, "Token")}
-                          <p className="mt-2"><span className="font-medium">Amount:</span> {typeof proposal.amount === 'string' ? proposal.amount : formatBigNumber(proposal.amount)}</p>
-                        </div>
-                      )}
-                      
-                      {proposal.type === PROPOSAL_TYPES.GOVERNANCE_CHANGE && (
-                        <div className="mt-2 text-xs bg-gray-50 p-4 rounded">
-                          {proposal.newThreshold && <p><span className="font-medium">New Threshold:</span> {formatBigNumber(proposal.newThreshold)}</p>}
-                          {proposal.newQuorum && <p className="mt-2"><span className="font-medium">New Quorum:</span> {formatBigNumber(proposal.newQuorum)}</p>}
-                          {proposal.newVotingDuration && <p className="mt-2"><span className="font-medium">New Voting Duration:</span> {formatTime(proposal.newVotingDuration)}</p>}
-                          {proposal.newTimelockDelay && <p className="mt-2"><span className="font-medium">New Timelock Delay:</span> {formatTime(proposal.newTimelockDelay)}</p>}
-                        </div>
-                      )}
-                    </div>
-                  </div>
-                ) : (
-                  <p className="text-sm text-gray-700 mb-2">{proposal.description.substring(0, 200)}...</p>
-                )}
+                <p className="text-sm text-gray-700 mb-2">{proposal.description.substring(0, 200)}...</p>
               </div>
               
               <div className="flex flex-wrap gap-2">
-                <button 
+                <Link 
+                  to={`/proposals/${proposal.id}`}
                   className="text-indigo-600 border border-indigo-600 px-3 py-1 rounded-md text-sm hover:bg-indigo-50 flex items-center"
-                  onClick={() => toggleProposalDetails(proposal.id)}
                 >
-                  {expandedProposalId === proposal.id ? (
-                    <>View Less <ChevronUp className="w-4 h-4 ml-1" /></>
-                  ) : (
-                    <>View Details <ChevronDown className="w-4 h-4 ml-1" /></>
-                  )}
-                </button>
+                  View Details <ChevronRight className="w-4 h-4 ml-1" />
+                </Link>
                 
-                {proposal.state === PROPOSAL_STATES.ACTIVE && (
-                  <button 
-                    className="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded-md text-sm"
-                    onClick={() => handleProposalAction(cancelProposal, proposal.id, 'cancelling')}
-                  >
-                    Cancel
-                  </button>
-                )}
-                
-                {proposal.state === PROPOSAL_STATES.SUCCEEDED && (
-                  <button 
-                    className="bg-blue-500 hover:bg-blue-600 text-white px-3 py-1 rounded-md text-sm"
-                    onClick={() => handleProposalAction(queueProposal, proposal.id, 'queuing')}
-                  >
-                    Queue
-                  </button>
-                )}
-                
-                {proposal.state === PROPOSAL_STATES.QUEUED && (
-                  <button 
-                    className="bg-purple-500 hover:bg-purple-600 text-white px-3 py-1 rounded-md text-sm"
-                    onClick={() => handleProposalAction(executeProposal, proposal.id, 'executing')}
-                  >
-                    Execute
-                  </button>
-                )}
-                
-                {(proposal.state === PROPOSAL_STATES.DEFEATED || 
-                  proposal.state === PROPOSAL_STATES.CANCELED || 
-                  proposal.state === PROPOSAL_STATES.EXPIRED) && (
-                  <button 
-                    className="bg-gray-500 hover:bg-gray-600 text-white px-3 py-1 rounded-md text-sm"
-                    onClick={() => handleProposalAction(claimRefund, proposal.id, 'claiming refund for')}
-                  >
-                    Claim Refund
-                  </button>
-                )}
+                <ProposalActions 
+                  proposal={proposal}
+                  cancelProposal={cancelProposal}
+                  queueProposal={queueProposal}
+                  executeProposal={executeProposal}
+                  claimRefund={claimRefund}
+                  canWrite={canWrite}
+                />
               </div>
             </div>
           ))
@@ -374,6 +303,24 @@ const ProposalsTab = ({
         )}
       </div>
       
+      {/* Pagination - filters only apply to the proposals loaded so far */}
+      {!loading && hasMore && loadMore && (
+        <div className="flex flex-col items-center mt-6">
+          <button 
+            className="bg-white border border-gray-300 hover:bg-gray-50 text-gray-700 px-4 py-2 rounded-md disabled:opacity-50"
+            onClick={loadMore}
+            disabled={loadingMore}
+          >
+            {loadingMore ? 'Loading...' : 'Load More'}
+          </button>
+          {totalProposals !== undefined && (
+            <p className="text-xs text-gray-500 mt-2">
+              Showing {proposals.length} of {totalProposals} proposals
+            </p>
+          )}
+        </div>
+      )}
+      
       {/* Create Proposal Modal */}
       {showCreateModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -437,26 +384,64 @@ const ProposalsTab = ({
                     <label className="block text-sm font-medium text-gray-700 mb-1">Target Address</label>
                     <input 
                       type="text" 
-                      className="w-full rounded-md border border-gray-300 p-2" 
+                      className={`w-full rounded-md border p-2 ${allowlistCheck && !allowlistCheck.targetAllowed ? 'border-red-400' : 'border-gray-300'}`}
                       placeholder="0x..." 
                       value={newProposal.target}
                       onChange={(e) => setNewProposal({...newProposal, target: e.target.value})}
                       required
                     />
-                    <p className="text-xs text-gray-500 mt-1">The contract address that will be called</p>
+                    {allowlistCheck && !allowlistCheck.targetAllowed ? (
+                      <p className="text-xs text-red-600 mt-1">This target isn't on the governance allowlist</p>
+                    ) : (
+                      <p className="text-xs text-gray-500 mt-1">The contract address that will be called</p>
+                    )}
                   </div>
                   <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Call Data</label>
+                    <div className="flex justify-between items-center mb-1">
+                      <label className="block text-sm font-medium text-gray-700">Call Data</label>
+                      <button
+                        type="button"
+                        className="text-xs text-indigo-600 hover:text-indigo-800"
+                        onClick={() => setShowCalldataBuilder(!showCalldataBuilder)}
+                      >
+                        {showCalldataBuilder ? 'Hide builder' : 'Build calldata'}
+                      </button>
+                    </div>
+                    {showCalldataBuilder && (
+                      <div className="mb-2">
+                        <CalldataBuilder
+                          onUse={({ target, callData }) => {
+                            setNewProposal({ ...newProposal, target: target || newProposal.target, callData });
+                            setShowCalldataBuilder(false);
+                          }}
+                        />
+                      </div>
+                    )}
                     <input 
                       type="text" 
-                      className="w-full rounded-md border border-gray-300 p-2" 
+                      className={`w-full rounded-md border p-2 ${allowlistCheck && !allowlistCheck.selectorAllowed ? 'border-red-400' : 'border-gray-300'}`}
                       placeholder="0x..." 
                       value={newProposal.callData}
                       onChange={(e) => setNewProposal({...newProposal, callData: e.target.value})}
                       required
                     />
-                    <p className="text-xs text-gray-500 mt-1">The encoded function call data</p>
+                    {allowlistCheck && !allowlistCheck.selectorAllowed ? (
+                      <p className="text-xs text-red-600 mt-1">
+                        {getSelectorSignature(allowlistCheck.selector) || allowlistCheck.selector} isn't on the governance allowlist
+                      </p>
+                    ) : (
+                      <p className="text-xs text-gray-500 mt-1">The encoded function call data</p>
+                    )}
                   </div>
+                  {allowlistCheck && !allowlistCheck.allowed && (
+                    <p className="text-xs text-gray-600 bg-yellow-50 p-3 rounded-md">
+                      Governance will reject this proposal. A governance admin can allowlist the target and
+                      function under <Link to="/security/general" className="text-indigo-600 hover:text-indigo-800">Security Settings</Link>,
+                      or the change can be proposed through governance as a call to
+                      JustGovernance.updateSecurity(selector, true, target, true).
+                    </p>
+                  )}
+                  <TimelockRiskPreview target={newProposal.target} callData={newProposal.callData} />
                 </>
               )}
               
@@ -0,0 +1,82 @@
+import React from 'react';
+import { ethers } from 'ethers';
+import { ABSTAIN_COUNTS_TOWARD_QUORUM } from '../utils/constants';
+import { tallyFromProposal, projectOutcome, canChangeOutcome, percentOf } from '../utils/votes';
+
+const OUTCOME_STYLES = {
+  passing: { label: "Passing", className: "bg-green-100 text-green-800" },
+  failing: { label: "Failing", className: "bg-red-100 text-red-800" },
+  'no-quorum': { label: "Quorum not reached", className: "bg-yellow-100 text-yellow-800" }
+};
+
+const formatJust = (value) =>
+  parseFloat(ethers.utils.formatEther(value)).toLocaleString(undefined, { maximumFractionDigits: 2 });
+
+// Quorum progress and projected outcome of an active proposal
+const QuorumProjection = ({ proposal, votingPower = "0" }) => {
+  const quorum = ethers.BigNumber.from(proposal.quorum || 0);
+  const snapshotSupply = ethers.BigNumber.from(proposal.snapshotSupply || 0);
+  const tally = tallyFromProposal(proposal);
+  const projection = projectOutcome(tally, quorum);
+  const outcome = OUTCOME_STYLES[projection.outcome];
+
+  let userPower = ethers.constants.Zero;
+  try {
+    userPower = ethers.utils.parseEther(String(votingPower || "0"));
+  } catch (err) {
+    // Leave the power at zero if it isn't a decimal amount
+  }
+  const canChange = !proposal.hasVoted && canChangeOutcome(tally, quorum, userPower);
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-md mb-4 text-sm">
+      <div className="flex justify-between items-center mb-2">
+        <span className="font-medium">Quorum</span>
+        <span className={`text-xs px-2 py-1 rounded-full ${outcome.className}`}>
+          Projected: {outcome.label}
+        </span>
+      </div>
+
+      <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden mb-2">
+        <div
+          className={`h-full ${projection.quorumReached ? 'bg-green-500' : 'bg-indigo-500'}`}
+          style={{ width: `${Math.min(parseFloat(projection.quorumProgress), 100)}%` }}
+        ></div>
+      </div>
+
+      <div className="flex flex-wrap justify-between text-xs text-gray-600 gap-2">
+        <span>
+          {formatJust(projection.countedVotes)} / {formatJust(quorum)} JUST ({projection.quorumProgress}%)
+        </span>
+        <span>
+          {projection.quorumReached
+            ? "Quorum reached"
+            : `${formatJust(projection.remainingToQuorum)} JUST more needed`}
+        </span>
+      </div>
+
+      {!snapshotSupply.isZero() && (
+        <p className="text-xs text-gray-500 mt-2">
+          Quorum is {percentOf(quorum, snapshotSupply)}% of the {formatJust(snapshotSupply)} JUST supply at the snapshot.
+          Turnout so far: {percentOf(tally.total, snapshotSupply)}%.
+        </p>
+      )}
+
+      <p className="text-xs text-gray-500 mt-2">
+        {ABSTAIN_COUNTS_TOWARD_QUORUM
+          ? "Abstain votes count toward quorum but not toward the outcome, which needs more For than Against votes."
+          : "Abstain votes don't count toward quorum. The outcome needs more For than Against votes."}
+      </p>
+
+      {!proposal.hasVoted && !userPower.isZero() && (
+        <p className={`text-xs mt-2 ${canChange ? 'text-indigo-700 font-medium' : 'text-gray-500'}`}>
+          {canChange
+            ? `Your ${formatJust(userPower)} JUST can still change the projected outcome.`
+            : `Your ${formatJust(userPower)} JUST can't change the projected outcome on its own.`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default QuorumProjection;
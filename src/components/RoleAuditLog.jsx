@@ -0,0 +1,215 @@
+import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { History, Download, ExternalLink, AlertTriangle } from 'lucide-react';
+import Loader from './Loader';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useRoleAuditLog } from '../hooks/useRoleAuditLog';
+import { getExplorerLink } from '../config/deployments';
+import { ROLE_NAMES, ROLE_CONTRACTS, ROLE_ACTION_LABELS, getRoleDisplayName, getContractLabel } from '../utils/roles';
+import { downloadCsv, downloadJson } from '../utils/csv';
+import { sameAddress } from '../utils/eventIndexer';
+import { formatAddress, formatDateTime } from '../utils/formatters';
+
+const ACTION_COLORS = {
+  grant: 'bg-green-100 text-green-800',
+  revoke: 'bg-red-100 text-red-800',
+  'admin-change': 'bg-yellow-100 text-yellow-800',
+  transfer: 'bg-blue-100 text-blue-800'
+};
+
+const CONTRACT_LABELS = ROLE_CONTRACTS.reduce((labels, entry) => {
+  labels[entry.key] = entry.label;
+  return labels;
+}, {});
+
+// Chronological log of role events across the JustDAO contracts, filterable by contract,
+// role and address (?address= preselects one) and exportable for security reviews
+const RoleAuditLog = () => {
+  const { deployment, selectedChainId } = useWeb3();
+  const { entries, loading, error } = useRoleAuditLog();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [contractFilter, setContractFilter] = useState('all');
+  const [roleFilter, setRoleFilter] = useState('all');
+  const addresses = deployment?.addresses || {};
+  const addressFilter = searchParams.get('address') || '';
+
+  const setAddressFilter = (value) => {
+    setSearchParams(value ? { address: value } : {}, { replace: true });
+  };
+
+  const address = addressFilter.trim();
+  const visibleEntries = entries.filter(entry =>
+    (contractFilter === 'all' || entry.contractKey === contractFilter)
+    && (roleFilter === 'all' || entry.roleName === roleFilter)
+    && (!address || sameAddress(entry.account, address) || sameAddress(entry.sender, address)
+      || sameAddress(entry.previousAccount, address)));
+
+  const describeRole = (entry) => (entry.roleName
+    ? getRoleDisplayName(entry.roleName)
+    : formatAddress(entry.role, 10, 4));
+
+  const describeDetail = (entry) => {
+    if (entry.action === 'admin-change') {
+      const name = (role) => (ROLE_NAMES.includes(role) ? getRoleDisplayName(role) : formatAddress(role, 10, 4));
+      return `Admin role ${name(entry.previousAdminRole)} → ${name(entry.newAdminRole)}`;
+    }
+    if (entry.action === 'transfer') return `From ${entry.previousAccount}`;
+    return '';
+  };
+
+  const renderAccount = (value) => {
+    if (!value) return <span className="text-gray-400">-</span>;
+    const label = getContractLabel(value, addresses);
+    return (
+      <button
+        className="font-mono text-xs text-indigo-600 hover:text-indigo-800"
+        title={value}
+        onClick={() => setAddressFilter(value)}
+      >
+        {label || formatAddress(value)}
+      </button>
+    );
+  };
+
+  const renderTxLink = (txHash) => {
+    const url = getExplorerLink(selectedChainId, txHash, 'tx');
+    if (!url) return <span>{formatAddress(txHash, 10, 6)}</span>;
+
+    return (
+      <a href={url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800 inline-flex items-center">
+        {formatAddress(txHash, 10, 6)} <ExternalLink className="w-3 h-3 ml-1" />
+      </a>
+    );
+  };
+
+  const exportRows = () => visibleEntries.map(entry => ({
+    date: entry.timestamp ? new Date(entry.timestamp * 1000).toISOString() : '',
+    contract: CONTRACT_LABELS[entry.contractKey],
+    event: entry.event,
+    action: ROLE_ACTION_LABELS[entry.action] || entry.event,
+    role: entry.roleName || entry.role || '',
+    account: entry.account || '',
+    sender: entry.sender || '',
+    detail: describeDetail(entry),
+    block: entry.blockNumber,
+    transaction: entry.transactionHash
+  }));
+
+  const exportCsv = () => {
+    const rows = exportRows();
+    const headers = ["Date", "Contract", "Event", "Action", "Role", "Account", "Sender", "Detail", "Block", "Transaction"];
+    downloadCsv('role-audit-log.csv', headers, rows.map(row => Object.values(row)));
+  };
+
+  const exportJson = () => downloadJson('role-audit-log.json', exportRows());
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <div className="flex items-center">
+          <History className="w-5 h-5 text-indigo-500 mr-2" />
+          <h3 className="text-lg font-medium text-gray-900">Role Audit Log</h3>
+        </div>
+        <div className="flex gap-2">
+          <button
+            className="px-3 py-1 bg-gray-100 text-gray-800 rounded-md text-sm flex items-center hover:bg-gray-200 disabled:opacity-50"
+            onClick={exportCsv}
+            disabled={visibleEntries.length === 0}
+          >
+            <Download className="w-4 h-4 mr-1" /> CSV
+          </button>
+          <button
+            className="px-3 py-1 bg-gray-100 text-gray-800 rounded-md text-sm flex items-center hover:bg-gray-200 disabled:opacity-50"
+            onClick={exportJson}
+            disabled={visibleEntries.length === 0}
+          >
+            <Download className="w-4 h-4 mr-1" /> JSON
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 flex items-start">
+          <AlertTriangle className="w-5 h-5 mr-2 mt-0.5" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+        <select
+          className="rounded-md border border-gray-300 p-2 text-sm"
+          value={contractFilter}
+          onChange={(e) => setContractFilter(e.target.value)}
+        >
+          <option value="all">All contracts</option>
+          {ROLE_CONTRACTS.map(entry => (
+            <option key={entry.key} value={entry.key}>{entry.label}</option>
+          ))}
+        </select>
+        <select
+          className="rounded-md border border-gray-300 p-2 text-sm"
+          value={roleFilter}
+          onChange={(e) => setRoleFilter(e.target.value)}
+        >
+          <option value="all">All roles</option>
+          {ROLE_NAMES.map(roleName => (
+            <option key={roleName} value={roleName}>{getRoleDisplayName(roleName)}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          className="rounded-md border border-gray-300 p-2 text-sm font-mono"
+          placeholder="Filter by address (account or sender)"
+          value={addressFilter}
+          onChange={(e) => setAddressFilter(e.target.value)}
+        />
+      </div>
+
+      {loading ? (
+        <Loader size="large" text="Loading role history..." />
+      ) : visibleEntries.length === 0 ? (
+        <p className="text-sm text-gray-500">No role changes match these filters.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 text-sm">
+            <thead>
+              <tr>
+                <th className="px-3 py-2 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Date</th>
+                <th className="px-3 py-2 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contract</th>
+                <th className="px-3 py-2 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Change</th>
+                <th className="px-3 py-2 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Account</th>
+                <th className="px-3 py-2 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+                <th className="px-3 py-2 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Transaction</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {visibleEntries.map(entry => (
+                <tr key={entry.id} className="align-top">
+                  <td className="px-3 py-2 whitespace-nowrap">
+                    {entry.timestamp ? formatDateTime(entry.timestamp * 1000) : `Block ${entry.blockNumber}`}
+                  </td>
+                  <td className="px-3 py-2 whitespace-nowrap">{CONTRACT_LABELS[entry.contractKey]}</td>
+                  <td className="px-3 py-2">
+                    <div className="flex items-center gap-2">
+                      <span className={`text-xs px-2 py-0.5 rounded-full ${ACTION_COLORS[entry.action] || 'bg-gray-100 text-gray-800'}`}>
+                        {ROLE_ACTION_LABELS[entry.action] || entry.event}
+                      </span>
+                      <span>{describeRole(entry)}</span>
+                    </div>
+                    {describeDetail(entry) && <p className="text-xs text-gray-500 mt-1 break-all">{describeDetail(entry)}</p>}
+                    <p className="text-xs text-gray-400 mt-1">{entry.event}</p>
+                  </td>
+                  <td className="px-3 py-2">{renderAccount(entry.account)}</td>
+                  <td className="px-3 py-2">{renderAccount(entry.sender)}</td>
+                  <td className="px-3 py-2 font-mono text-xs">{renderTxLink(entry.transactionHash)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoleAuditLog;
@@ -0,0 +1,228 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { AlertTriangle } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { getErrorMessage } from '../utils/errorDecoder';
+import {
+  ROLE_CONTRACTS,
+  getRoleDisplayName,
+  getRoleChangeMethod,
+  supportsContractRoles
+} from '../utils/roles';
+
+const ACTIONS = [
+  { id: 'grant', label: 'Grant' },
+  { id: 'revoke', label: 'Revoke' },
+  { id: 'renounce', label: 'Renounce' }
+];
+
+// Grant, revoke or renounce a role on any JustDAO contract. Checks the caller's admin role, the last
+// admin and self-lockout before sending. `roles` is the useRoleMatrix() result; `initial` can preset
+// {contractKey, roleName, action, account}.
+const RoleChangeModal = ({ roles, initial = {}, onClose }) => {
+  const { contracts, account } = useWeb3();
+  const { matrix, checkRoleChange, changeRole } = roles;
+  const availableContracts = ROLE_CONTRACTS.filter(entry => matrix[entry.key] && !matrix[entry.key].error);
+
+  const firstRoleOf = (key) => Object.keys(matrix[key] || {})[0] || '';
+  const initialContract = initial.contractKey || availableContracts[0]?.key || '';
+
+  const [contractKey, setContractKey] = useState(initialContract);
+  const [roleName, setRoleName] = useState(initial.roleName || firstRoleOf(initialContract));
+  const [action, setAction] = useState(initial.action || 'grant');
+  const [target, setTarget] = useState(initial.account || '');
+  const [contractVariant, setContractVariant] = useState(false);
+  const [assessment, setAssessment] = useState(null);
+  const [confirmed, setConfirmed] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+
+  const roleNames = contractKey && matrix[contractKey] ? Object.keys(matrix[contractKey]) : [];
+  const contract = contracts[contractKey];
+  const hasContractVariant = !!contract && supportsContractRoles(contract) && action !== 'renounce';
+  const useContractVariant = hasContractVariant && contractVariant;
+  // Renouncing always applies to the connected account
+  const subject = action === 'renounce' ? (account || '') : target.trim();
+  const subjectValid = ethers.utils.isAddress(subject);
+
+  // Re-check the change whenever any part of it changes
+  useEffect(() => {
+    setAssessment(null);
+    setConfirmed(false);
+    if (!roleName || !subjectValid) return;
+
+    let cancelled = false;
+    checkRoleChange({ contractKey, roleName, action, account: subject, contractVariant: useContractVariant })
+      .then(result => {
+        if (!cancelled) setAssessment(result);
+      })
+      .catch(error => {
+        console.error("Error checking role change:", error);
+        if (!cancelled) setAssessment({ errors: [getErrorMessage(error, "Couldn't check this change")], warnings: [] });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contractKey, roleName, action, subject, subjectValid, useContractVariant, checkRoleChange]);
+
+  const canSubmit = assessment && assessment.errors.length === 0
+    && (assessment.warnings.length === 0 || confirmed) && !submitting;
+
+  const handleSubmit = async () => {
+    setErrorMessage('');
+    setSubmitting(true);
+
+    try {
+      await changeRole({ contractKey, roleName, action, account: subject, contractVariant: useContractVariant });
+      // Closing unmounts the modal, so `submitting` is only reset when it stays open
+      onClose(true);
+    } catch (error) {
+      console.error(`Error trying to ${action} role:`, error);
+      setErrorMessage(getErrorMessage(error, `Failed to ${action} role`));
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg max-w-md w-full p-6">
+        <h2 className="text-xl font-semibold mb-4">Change Role</h2>
+
+        {errorMessage && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 flex items-start">
+            <AlertTriangle className="w-5 h-5 mr-2 mt-0.5" />
+            <span>{errorMessage}</span>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <div className="flex space-x-2">
+            {ACTIONS.map(option => (
+              <button
+                key={option.id}
+                type="button"
+                className={`px-3 py-1 rounded-full text-sm ${action === option.id ? 'bg-indigo-100 text-indigo-800' : 'bg-gray-100 text-gray-800'}`}
+                onClick={() => setAction(option.id)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Contract</label>
+            <select
+              className="w-full rounded-md border border-gray-300 p-2"
+              value={contractKey}
+              onChange={(e) => {
+                setContractKey(e.target.value);
+                setRoleName(firstRoleOf(e.target.value));
+              }}
+            >
+              {availableContracts.map(entry => (
+                <option key={entry.key} value={entry.key}>{entry.label}</option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Role</label>
+            <select
+              className="w-full rounded-md border border-gray-300 p-2"
+              value={roleName}
+              onChange={(e) => setRoleName(e.target.value)}
+            >
+              {roleNames.map(name => (
+                <option key={name} value={name}>{getRoleDisplayName(name)}</option>
+              ))}
+            </select>
+            {roleName && matrix[contractKey]?.[roleName] && (
+              <p className="text-xs text-gray-500 mt-1">
+                Administered by {matrix[contractKey][roleName].adminName
+                  ? getRoleDisplayName(matrix[contractKey][roleName].adminName)
+                  : matrix[contractKey][roleName].adminHash}
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Account</label>
+            <input
+              type="text"
+              className="w-full rounded-md border border-gray-300 p-2 font-mono text-sm disabled:bg-gray-100"
+              placeholder="0x..."
+              value={action === 'renounce' ? subject : target}
+              onChange={(e) => setTarget(e.target.value)}
+              disabled={action === 'renounce'}
+            />
+            {action === 'renounce' && (
+              <p className="text-xs text-gray-500 mt-1">You can only renounce roles held by the connected account.</p>
+            )}
+          </div>
+
+          {hasContractVariant && (
+            <label className="flex items-center text-sm">
+              <input
+                type="checkbox"
+                className="mr-2"
+                checked={contractVariant}
+                onChange={(e) => setContractVariant(e.target.checked)}
+              />
+              Use {getRoleChangeMethod(action, true)} (for contract accounts)
+            </label>
+          )}
+
+          {assessment && assessment.errors.length > 0 && (
+            <ul className="bg-red-50 text-red-700 text-sm p-3 rounded-md space-y-1">
+              {assessment.errors.map(message => <li key={message}>{message}</li>)}
+            </ul>
+          )}
+
+          {assessment && assessment.errors.length === 0 && assessment.warnings.length > 0 && (
+            <div className="bg-yellow-50 text-yellow-800 text-sm p-3 rounded-md">
+              <ul className="space-y-1 mb-2">
+                {assessment.warnings.map(message => (
+                  <li key={message} className="flex items-start">
+                    <AlertTriangle className="w-4 h-4 mr-2 mt-0.5 flex-shrink-0" />
+                    <span>{message}</span>
+                  </li>
+                ))}
+              </ul>
+              <label className="flex items-center">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={confirmed}
+                  onChange={(e) => setConfirmed(e.target.checked)}
+                />
+                I understand, continue anyway
+              </label>
+            </div>
+          )}
+
+          <div className="flex justify-end space-x-2 pt-4">
+            <button
+              type="button"
+              className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+              onClick={() => onClose(false)}
+              disabled={submitting}
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700 disabled:bg-indigo-400"
+              onClick={handleSubmit}
+              disabled={!canSubmit}
+            >
+              {submitting ? 'Submitting...' : `${ACTIONS.find(option => option.id === action).label} Role`}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RoleChangeModal;
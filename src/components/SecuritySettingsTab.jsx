@@ -1,584 +1,310 @@
-import React, { useState, useEffect } from 'react';
-import { Lock, ShieldAlert, Eye, AlertTriangle, Shield, Users } from 'lucide-react';
+import React, { useState } from 'react';
+import { ethers } from 'ethers';
+import { Lock, Shield, Eye, AlertTriangle, ExternalLink } from 'lucide-react';
 import Loader from '../components/Loader';
+import { useWeb3 } from '../contexts/Web3Context';
+import { getExplorerLink } from '../config/deployments';
+import { useGovernanceAllowlist } from '../hooks/useGovernanceAllowlist';
+import { listFunctionSelectors } from '../utils/calldataDecoder';
+import { parseSelectorInput } from '../utils/allowlist';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { formatAddress, formatDateTime } from '../utils/formatters';
 
-const SecuritySettingsTab = ({ contracts }) => {
-  const [securitySettings, setSecuritySettings] = useState({
-    proposalReviewRequired: false,
-    proposalVotingDelay: 0,
-    delegationLimit: 0,
-    threatAssessmentEnabled: false,
-    guardianDelay: 0,
-    emergencyPauseEnabled: true,
-    permissionlessProposals: false,
-    multisigThreshold: 0,
-    multisigMembers: []
-  });
-  
-  const [loading, setLoading] = useState(true);
+// Signatures offered as suggestions when allowing a function
+const KNOWN_FUNCTIONS = listFunctionSelectors();
+
+// Targets and function selectors that General proposals may call, with the
+// SecuritySettingUpdated history they were rebuilt from
+const SecuritySettingsTab = () => {
+  const { selectedChainId } = useWeb3();
+  const { targets, selectors, audit, isAdmin, loading, error, updateAllowlist } = useGovernanceAllowlist();
+  const [newTarget, setNewTarget] = useState('');
+  const [newSelector, setNewSelector] = useState('');
   const [updating, setUpdating] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
-  
-  // Load security settings
-  useEffect(() => {
-    const loadSecuritySettings = async () => {
-      if (!contracts.governance || !contracts.securityManager) {
-        setLoading(false);
-        return;
-      }
-      
-      setLoading(true);
-      try {
-        // Fetch security settings from the contract
-        const securityConfig = await contracts.securityManager.getSecurityConfiguration();
-        
-        // Get delegation limit
-        const delegationLimit = await contracts.token.getDelegationLimit();
-        
-        // Get multisig details if available
-        let multisigThreshold = 0;
-        let multisigMembers = [];
-        
-        if (contracts.multisig) {
-          multisigThreshold = await contracts.multisig.threshold();
-          const memberCount = await contracts.multisig.getOwnerCount();
-          
-          for (let i = 0; i < memberCount; i++) {
-            const owner = await contracts.multisig.owners(i);
-            multisigMembers.push(owner);
-          }
-        }
-        
-        setSecuritySettings({
-          proposalReviewRequired: securityConfig.proposalReviewRequired,
-          proposalVotingDelay: securityConfig.proposalVotingDelay.toNumber(),
-          delegationLimit: delegationLimit.toNumber(),
-          threatAssessmentEnabled: securityConfig.threatAssessmentEnabled,
-          guardianDelay: securityConfig.guardianDelay.toNumber(),
-          emergencyPauseEnabled: securityConfig.emergencyPauseEnabled,
-          permissionlessProposals: securityConfig.permissionlessProposals,
-          multisigThreshold,
-          multisigMembers
-        });
-      } catch (error) {
-        console.error("Error loading security settings:", error);
-        setErrorMessage("Failed to load security settings");
-      } finally {
-        setLoading(false);
-      }
-    };
-    
-    loadSecuritySettings();
-  }, [contracts.governance, contracts.securityManager, contracts.token, contracts.multisig]);
-  
-  // Handle security setting updates
-  const updateSecuritySetting = async (setting, value) => {
+
+  const parsedSelector = parseSelectorInput(newSelector);
+  const targetValid = ethers.utils.isAddress(newTarget.trim());
+
+  // Run an allowlist update with the shared loading / banner handling
+  const runAction = async (action, successText, fallbackError) => {
     setErrorMessage('');
     setSuccessMessage('');
     setUpdating(true);
-    
+
     try {
-      let tx;
-      
-      switch (setting) {
-        case 'proposalReviewRequired':
-          tx = await contracts.securityManager.setProposalReviewRequired(value);
-          break;
-        case 'proposalVotingDelay':
-          tx = await contracts.securityManager.setProposalVotingDelay(value);
-          break;
-        case 'delegationLimit':
-          tx = await contracts.token.setDelegationLimit(value);
-          break;
-        case 'threatAssessmentEnabled':
-          tx = await contracts.securityManager.setThreatAssessmentEnabled(value);
-          break;
-        case 'guardianDelay':
-          tx = await contracts.securityManager.setGuardianDelay(value);
-          break;
-        case 'emergencyPauseEnabled':
-          tx = await contracts.securityManager.setEmergencyPauseEnabled(value);
-          break;
-        case 'permissionlessProposals':
-          tx = await contracts.securityManager.setPermissionlessProposals(value);
-          break;
-        default:
-          throw new Error('Invalid setting');
-      }
-      
-      await tx.wait();
-      
-      // Update local state
-      setSecuritySettings({
-        ...securitySettings,
-        [setting]: value
-      });
-      
-      setSuccessMessage(`Successfully updated ${setting}`);
-      
+      await action();
+      setSuccessMessage(successText);
+
       // Clear success message after 3 seconds
       setTimeout(() => {
         setSuccessMessage('');
       }, 3000);
-    } catch (error) {
-      console.error(`Error updating ${setting}:`, error);
-      setErrorMessage(error.message || `Failed to update ${setting}`);
+      return true;
+    } catch (err) {
+      console.error(fallbackError, err);
+      setErrorMessage(getErrorMessage(err, fallbackError));
+      return false;
     } finally {
       setUpdating(false);
     }
   };
-  
-  // Format time in seconds to readable format
-  const formatTime = (seconds) => {
-    if (seconds < 60) return `${seconds} seconds`;
-    if (seconds < 3600) return `${Math.floor(seconds / 60)} minutes`;
-    if (seconds < 86400) return `${Math.floor(seconds / 3600)} hours`;
-    return `${Math.floor(seconds / 86400)} days`;
-  };
 
-  // Handle adding a new multisig member
-  const handleAddMultisigMember = async (address) => {
-    setErrorMessage('');
-    setSuccessMessage('');
-    setUpdating(true);
-    
-    try {
-      if (!contracts.multisig) {
-        throw new Error('Multisig contract not available');
-      }
-      
-      // Validate address format
-      if (!address || !address.startsWith('0x') || address.length !== 42) {
-        throw new Error('Invalid Ethereum address format');
-      }
-      
-      // Check if address is already a member
-      if (securitySettings.multisigMembers.includes(address)) {
-        throw new Error('Address is already a multisig member');
-      }
-      
-      const tx = await contracts.multisig.addOwner(address);
-      await tx.wait();
-      
-      // Update local state
-      setSecuritySettings({
-        ...securitySettings,
-        multisigMembers: [...securitySettings.multisigMembers, address]
-      });
-      
-      setSuccessMessage(`Successfully added multisig member: ${address}`);
-      
-      // Clear success message after 3 seconds
-      setTimeout(() => {
-        setSuccessMessage('');
-      }, 3000);
-    } catch (error) {
-      console.error("Error adding multisig member:", error);
-      setErrorMessage(error.message || 'Failed to add multisig member');
-    } finally {
-      setUpdating(false);
+  const handleAddTarget = async () => {
+    const target = ethers.utils.getAddress(newTarget.trim());
+    if (targets.some(entry => entry.address === target.toLowerCase())) {
+      setErrorMessage('This target is already allowed');
+      return;
     }
+
+    const added = await runAction(
+      () => updateAllowlist({ target, targetAllowed: true }),
+      `Allowed target ${formatAddress(target)}`,
+      'Failed to allow target'
+    );
+    if (added) setNewTarget('');
   };
-  
-  // Handle removing a multisig member
-  const handleRemoveMultisigMember = async (address) => {
-    setErrorMessage('');
-    setSuccessMessage('');
-    setUpdating(true);
-    
-    try {
-      if (!contracts.multisig) {
-        throw new Error('Multisig contract not available');
-      }
-      
-      // Check if we'd go below threshold after removal
-      if (securitySettings.multisigMembers.length <= securitySettings.multisigThreshold) {
-        throw new Error('Cannot remove member: would go below required threshold');
-      }
-      
-      const tx = await contracts.multisig.removeOwner(address);
-      await tx.wait();
-      
-      // Update local state
-      setSecuritySettings({
-        ...securitySettings,
-        multisigMembers: securitySettings.multisigMembers.filter(member => member !== address)
-      });
-      
-      setSuccessMessage(`Successfully removed multisig member: ${address}`);
-      
-      // Clear success message after 3 seconds
-      setTimeout(() => {
-        setSuccessMessage('');
-      }, 3000);
-    } catch (error) {
-      console.error("Error removing multisig member:", error);
-      setErrorMessage(error.message || 'Failed to remove multisig member');
-    } finally {
-      setUpdating(false);
+
+  const handleAddSelector = async () => {
+    if (selectors.some(entry => entry.selector === parsedSelector)) {
+      setErrorMessage('This function is already allowed');
+      return;
     }
+
+    const added = await runAction(
+      () => updateAllowlist({ selector: parsedSelector, selectorAllowed: true }),
+      `Allowed function ${parsedSelector}`,
+      'Failed to allow function'
+    );
+    if (added) setNewSelector('');
   };
-  
-  // Handle updating multisig threshold
-  const handleUpdateMultisigThreshold = async (threshold) => {
-    setErrorMessage('');
-    setSuccessMessage('');
-    setUpdating(true);
-    
-    try {
-      if (!contracts.multisig) {
-        throw new Error('Multisig contract not available');
-      }
-      
-      // Validate threshold
-      const numThreshold = parseInt(threshold);
-      if (isNaN(numThreshold) || numThreshold < 1) {
-        throw new Error('Threshold must be at least 1');
-      }
-      
-      if (numThreshold > securitySettings.multisigMembers.length) {
-        throw new Error('Threshold cannot be greater than the number of members');
-      }
-      
-      const tx = await contracts.multisig.changeThreshold(numThreshold);
-      await tx.wait();
-      
-      // Update local state
-      setSecuritySettings({
-        ...securitySettings,
-        multisigThreshold: numThreshold
-      });
-      
-      setSuccessMessage(`Successfully updated multisig threshold to ${numThreshold}`);
-      
-      // Clear success message after 3 seconds
-      setTimeout(() => {
-        setSuccessMessage('');
-      }, 3000);
-    } catch (error) {
-      console.error("Error updating multisig threshold:", error);
-      setErrorMessage(error.message || 'Failed to update multisig threshold');
-    } finally {
-      setUpdating(false);
-    }
+
+  const renderChange = (change, idx) => (
+    <div key={idx} className="flex items-center gap-2">
+      <span className={`text-xs px-2 py-0.5 rounded-full ${change.allowed ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+        {change.allowed ? 'Allowed' : 'Removed'}
+      </span>
+      <span className="text-gray-500">{change.kind === 'target' ? 'Target' : 'Function'}</span>
+      <span className="font-mono text-xs break-all">
+        {change.label ? `${change.label} (${formatAddress(change.value)})` : change.value}
+      </span>
+    </div>
+  );
+
+  const renderTxLink = (txHash) => {
+    const url = getExplorerLink(selectedChainId, txHash, 'tx');
+    if (!url) return <span>{formatAddress(txHash, 10, 6)}</span>;
+
+    return (
+      <a href={url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800 inline-flex items-center">
+        {formatAddress(txHash, 10, 6)} <ExternalLink className="w-3 h-3 ml-1" />
+      </a>
+    );
   };
 
   return (
     <div>
       <div className="mb-6">
         <h2 className="text-xl font-semibold">Security Settings</h2>
-        <p className="text-gray-500">Configure security parameters for the DAO</p>
+        <p className="text-gray-500">
+          General proposals can only call allowlisted targets with allowlisted functions
+        </p>
       </div>
-      
-      {errorMessage && (
+
+      {(errorMessage || error) && (
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 flex items-start">
           <AlertTriangle className="w-5 h-5 mr-2 mt-0.5" />
-          <span>{errorMessage}</span>
+          <span>{errorMessage || error}</span>
         </div>
       )}
-      
+
       {successMessage && (
         <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
           {successMessage}
         </div>
       )}
-      
+
+      {!isAdmin && (
+        <p className="text-sm text-gray-500 mb-4">Only governance admins can change the allowlist.</p>
+      )}
+
       {loading ? (
         <div className="bg-white p-6 rounded-lg shadow">
-          <Loader size="large" text="Loading security settings..." />
+          <Loader size="large" text="Loading governance allowlist..." />
         </div>
       ) : (
         <>
-          {/* Proposal Security */}
+          {/* Allowed Targets */}
           <div className="bg-white p-6 rounded-lg shadow mb-6">
             <div className="flex items-center mb-4">
-              <Lock className="w-5 h-5 text-indigo-500 mr-2" />
-              <h3 className="text-lg font-medium text-gray-900">Proposal Security</h3>
+              <Shield className="w-5 h-5 text-indigo-500 mr-2" />
+              <h3 className="text-lg font-medium text-gray-900">Allowed Targets</h3>
             </div>
-            
-            <div className="space-y-4">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="font-medium">Proposal Review Required</p>
-                  <p className="text-sm text-gray-500">
-                    Require administrative review of proposals before they can be voted on
-                  </p>
-                </div>
-                <div className="relative inline-block w-12 mr-2 align-middle select-none">
-                  <input 
-                    type="checkbox" 
-                    name="toggle" 
-                    id="toggleProposalReview" 
-                    className="sr-only"
-                    checked={securitySettings.proposalReviewRequired}
-                    onChange={() => updateSecuritySetting('proposalReviewRequired', !securitySettings.proposalReviewRequired)}
-                    disabled={updating}
-                  />
-                  <label 
-                    htmlFor="toggleProposalReview" 
-                    className={`block overflow-hidden h-6 rounded-full cursor-pointer ${updating ? 'opacity-50' : ''}`}
-                    style={{ backgroundColor: securitySettings.proposalReviewRequired ? '#4f46e5' : '#cbd5e0' }}
-                  >
-                    <span className={`block h-6 w-6 rounded-full bg-white transform transition-transform duration-200 ease-in ${securitySettings.proposalReviewRequired ? 'translate-x-6' : 'translate-x-0'}`}></span>
-                  </label>
-                </div>
-              </div>
-              
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="font-medium">Threat Assessment</p>
-                  <p className="text-sm text-gray-500">
-                    Automatically analyze proposals for security threats
-                  </p>
-                </div>
-                <div className="relative inline-block w-12 mr-2 align-middle select-none">
-                  <input 
-                    type="checkbox" 
-                    name="toggle" 
-                    id="toggleThreatAssessment" 
-                    className="sr-only"
-                    checked={securitySettings.threatAssessmentEnabled}
-                    onChange={() => updateSecuritySetting('threatAssessmentEnabled', !securitySettings.threatAssessmentEnabled)}
-                    disabled={updating}
-                  />
-                  <label 
-                    htmlFor="toggleThreatAssessment" 
-                    className={`block overflow-hidden h-6 rounded-full cursor-pointer ${updating ? 'opacity-50' : ''}`}
-                    style={{ backgroundColor: securitySettings.threatAssessmentEnabled ? '#4f46e5' : '#cbd5e0' }}
-                  >
-                    <span className={`block h-6 w-6 rounded-full bg-white transform transition-transform duration-200 ease-in ${securitySettings.threatAssessmentEnabled ? 'translate-x-6' : 'translate-x-0'}`}></span>
-                  </label>
-                </div>
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Proposal Voting Delay (seconds)</label>
-                <div className="flex space-x-2">
-                  <input 
-                    type="number" 
-                    className="flex-1 rounded-md border border-gray-300 p-2" 
-                    value={securitySettings.proposalVotingDelay}
-                    onChange={(e) => setSecuritySettings({...securitySettings, proposalVotingDelay: parseInt(e.target.value)})}
-                    min="0"
-                  />
-                  <button 
-                    className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md disabled:bg-indigo-400"
-                    onClick={() => updateSecuritySetting('proposalVotingDelay', securitySettings.proposalVotingDelay)}
-                    disabled={updating}
-                  >
-                    Update
-                  </button>
-                </div>
-                <p className="text-xs text-gray-500 mt-1">Current: {formatTime(securitySettings.proposalVotingDelay)}</p>
-              </div>
-              
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="font-medium">Permissionless Proposals</p>
-                  <p className="text-sm text-gray-500">
-                    Allow anyone to create proposals without needing special permissions
-                  </p>
-                </div>
-                <div className="relative inline-block w-12 mr-2 align-middle select-none">
-                  <input 
-                    type="checkbox" 
-                    name="toggle" 
-                    id="togglePermissionlessProposals" 
-                    className="sr-only"
-                    checked={securitySettings.permissionlessProposals}
-                    onChange={() => updateSecuritySetting('permissionlessProposals', !securitySettings.permissionlessProposals)}
-                    disabled={updating}
-                  />
-                  <label 
-                    htmlFor="togglePermissionlessProposals" 
-                    className={`block overflow-hidden h-6 rounded-full cursor-pointer ${updating ? 'opacity-50' : ''}`}
-                    style={{ backgroundColor: securitySettings.permissionlessProposals ? '#4f46e5' : '#cbd5e0' }}
-                  >
-                    <span className={`block h-6 w-6 rounded-full bg-white transform transition-transform duration-200 ease-in ${securitySettings.permissionlessProposals ? 'translate-x-6' : 'translate-x-0'}`}></span>
-                  </label>
-                </div>
+
+            {targets.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-4">No targets are allowed yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 mb-4">
+                {targets.map(entry => (
+                  <li key={entry.address} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                      {entry.label && <p className="font-medium text-sm">{entry.label}</p>}
+                      <p className="font-mono text-xs text-gray-600 break-all">{ethers.utils.getAddress(entry.address)}</p>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      {entry.updatedAt && (
+                        <span className="text-xs text-gray-500">Since {formatDateTime(entry.updatedAt * 1000)}</span>
+                      )}
+                      {isAdmin && (
+                        <button
+                          className="px-3 py-1 bg-red-100 text-red-800 rounded-md text-xs font-medium hover:bg-red-200 disabled:opacity-50"
+                          onClick={() => runAction(
+                            () => updateAllowlist({ target: entry.address, targetAllowed: false }),
+                            `Removed target ${formatAddress(entry.address)}`,
+                            'Failed to remove target'
+                          )}
+                          disabled={updating}
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {isAdmin && (
+              <div className="flex flex-wrap gap-2">
+                <input
+                  type="text"
+                  className="flex-1 rounded-md border border-gray-300 p-2 font-mono text-sm"
+                  placeholder="Target address (0x...)"
+                  value={newTarget}
+                  onChange={(e) => setNewTarget(e.target.value)}
+                />
+                <button
+                  className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md disabled:bg-indigo-400"
+                  onClick={handleAddTarget}
+                  disabled={updating || !targetValid}
+                >
+                  Allow Target
+                </button>
               </div>
-            </div>
+            )}
           </div>
-          
-          {/* Delegation Security */}
+
+          {/* Allowed Functions */}
           <div className="bg-white p-6 rounded-lg shadow mb-6">
             <div className="flex items-center mb-4">
-              <Eye className="w-5 h-5 text-indigo-500 mr-2" />
-              <h3 className="text-lg font-medium text-gray-900">Delegation Security</h3>
+              <Lock className="w-5 h-5 text-indigo-500 mr-2" />
+              <h3 className="text-lg font-medium text-gray-900">Allowed Functions</h3>
             </div>
-            
-            <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Delegation Depth Limit</label>
-                <div className="flex space-x-2">
-                  <input 
-                    type="number" 
-                    className="flex-1 rounded-md border border-gray-300 p-2" 
-                    value={securitySettings.delegationLimit}
-                    onChange={(e) => setSecuritySettings({...securitySettings, delegationLimit: parseInt(e.target.value)})}
-                    min="0"
-                    max="10"
+
+            {selectors.length === 0 ? (
+              <p className="text-sm text-gray-500 mb-4">No functions are allowed yet.</p>
+            ) : (
+              <ul className="divide-y divide-gray-200 mb-4">
+                {selectors.map(entry => (
+                  <li key={entry.selector} className="py-2 flex flex-wrap items-center justify-between gap-2">
+                    <div>
+                      <p className="font-mono text-sm">{entry.signature || 'Unknown function'}</p>
+                      <p className="font-mono text-xs text-gray-500">{entry.selector}</p>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      {entry.updatedAt && (
+                        <span className="text-xs text-gray-500">Since {formatDateTime(entry.updatedAt * 1000)}</span>
+                      )}
+                      {isAdmin && (
+                        <button
+                          className="px-3 py-1 bg-red-100 text-red-800 rounded-md text-xs font-medium hover:bg-red-200 disabled:opacity-50"
+                          onClick={() => runAction(
+                            () => updateAllowlist({ selector: entry.selector, selectorAllowed: false }),
+                            `Removed function ${entry.signature || entry.selector}`,
+                            'Failed to remove function'
+                          )}
+                          disabled={updating}
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {isAdmin && (
+              <>
+                <div className="flex flex-wrap gap-2">
+                  <input
+                    type="text"
+                    list="known-function-signatures"
+                    className="flex-1 rounded-md border border-gray-300 p-2 font-mono text-sm"
+                    placeholder="Function signature or selector, e.g. transfer(address,uint256)"
+                    value={newSelector}
+                    onChange={(e) => setNewSelector(e.target.value)}
                   />
-                  <button 
+                  <datalist id="known-function-signatures">
+                    {KNOWN_FUNCTIONS.filter(fn => !fn.readOnly).map(fn => (
+                      <option key={fn.selector} value={fn.signature}>{fn.contracts.join(', ')}</option>
+                    ))}
+                  </datalist>
+                  <button
                     className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md disabled:bg-indigo-400"
-                    onClick={() => updateSecuritySetting('delegationLimit', securitySettings.delegationLimit)}
-                    disabled={updating}
+                    onClick={handleAddSelector}
+                    disabled={updating || !parsedSelector}
                   >
-                    Update
+                    Allow Function
                   </button>
                 </div>
-                <p className="text-xs text-gray-500 mt-1">
-                  Maximum delegation depth (0 = no limit, recommended: 3)
-                </p>
-              </div>
-            </div>
-          </div>
-          
-          {/* Emergency Controls */}
-          <div className="bg-white p-6 rounded-lg shadow mb-6">
-            <div className="flex items-center mb-4">
-              <ShieldAlert className="w-5 h-5 text-indigo-500 mr-2" />
-              <h3 className="text-lg font-medium text-gray-900">Emergency Controls</h3>
-            </div>
-            
-            <div className="space-y-4">
-              <div className="flex items-center justify-between">
-                <div>
-                  <p className="font-medium">Emergency Pause Enabled</p>
-                  <p className="text-sm text-gray-500">
-                    Allow guardians to temporarily pause DAO governance in an emergency
+                {newSelector && (
+                  <p className={`text-xs mt-1 ${parsedSelector ? 'text-gray-500' : 'text-red-600'}`}>
+                    {parsedSelector ? `Selector ${parsedSelector}` : 'Enter a function signature or a 4-byte selector'}
                   </p>
-                </div>
-                <div className="relative inline-block w-12 mr-2 align-middle select-none">
-                  <input 
-                    type="checkbox" 
-                    name="toggle" 
-                    id="toggleEmergencyPause" 
-                    className="sr-only"
-                    checked={securitySettings.emergencyPauseEnabled}
-                    onChange={() => updateSecuritySetting('emergencyPauseEnabled', !securitySettings.emergencyPauseEnabled)}
-                    disabled={updating}
-                  />
-                  <label 
-                    htmlFor="toggleEmergencyPause" 
-                    className={`block overflow-hidden h-6 rounded-full cursor-pointer ${updating ? 'opacity-50' : ''}`}
-                    style={{ backgroundColor: securitySettings.emergencyPauseEnabled ? '#4f46e5' : '#cbd5e0' }}
-                  >
-                    <span className={`block h-6 w-6 rounded-full bg-white transform transition-transform duration-200 ease-in ${securitySettings.emergencyPauseEnabled ? 'translate-x-6' : 'translate-x-0'}`}></span>
-                  </label>
-                </div>
-              </div>
-              
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-1">Guardian Action Delay (seconds)</label>
-                <div className="flex space-x-2">
-                  <input 
-                    type="number" 
-                    className="flex-1 rounded-md border border-gray-300 p-2" 
-                    value={securitySettings.guardianDelay}
-                    onChange={(e) => setSecuritySettings({...securitySettings, guardianDelay: parseInt(e.target.value)})}
-                    min="0"
-                  />
-                  <button 
-                    className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md disabled:bg-indigo-400"
-                    onClick={() => updateSecuritySetting('guardianDelay', securitySettings.guardianDelay)}
-                    disabled={updating}
-                  >
-                    Update
-                  </button>
-                </div>
-                <p className="text-xs text-gray-500 mt-1">Current: {formatTime(securitySettings.guardianDelay)}</p>
-                <p className="text-xs text-gray-500">Time delay before guardian actions take effect</p>
-              </div>
-            </div>
+                )}
+              </>
+            )}
           </div>
-          
-          {/* Multisig Settings */}
+
+          {/* Audit Trail */}
           <div className="bg-white p-6 rounded-lg shadow">
             <div className="flex items-center mb-4">
-              <Users className="w-5 h-5 text-indigo-500 mr-2" />
-              <h3 className="text-lg font-medium text-gray-900">Multisig Security</h3>
+              <Eye className="w-5 h-5 text-indigo-500 mr-2" />
+              <h3 className="text-lg font-medium text-gray-900">Audit Trail</h3>
             </div>
-            
-            {contracts.multisig ? (
-              <div className="space-y-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">Multisig Threshold</label>
-                  <div className="flex space-x-2">
-                    <input 
-                      type="number" 
-                      className="flex-1 rounded-md border border-gray-300 p-2" 
-                      value={securitySettings.multisigThreshold}
-                      onChange={(e) => setSecuritySettings({...securitySettings, multisigThreshold: parseInt(e.target.value)})}
-                      min="1"
-                      max={securitySettings.multisigMembers.length}
-                    />
-                    <button 
-                      className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md disabled:bg-indigo-400"
-                      onClick={() => handleUpdateMultisigThreshold(securitySettings.multisigThreshold)}
-                      disabled={updating}
-                    >
-                      Update
-                    </button>
-                  </div>
-                  <p className="text-xs text-gray-500 mt-1">
-                    Number of signers required to approve multisig transactions
-                  </p>
-                </div>
-                
-                <div className="pt-4 border-t border-gray-200">
-                  <div className="flex justify-between items-center mb-3">
-                    <h4 className="font-medium">Multisig Members ({securitySettings.multisigMembers.length})</h4>
-                  </div>
-                  
-                  <div className="space-y-2 mb-4 max-h-60 overflow-y-auto">
-                    {securitySettings.multisigMembers.map((member, index) => (
-                      <div key={index} className="flex justify-between items-center p-2 bg-gray-50 rounded">
-                        <span className="text-sm font-mono">{member}</span>
-                        <button 
-                          className="text-red-600 hover:text-red-800 text-sm"
-                          onClick={() => handleRemoveMultisigMember(member)}
-                          disabled={updating || securitySettings.multisigMembers.length <= securitySettings.multisigThreshold}
-                        >
-                          Remove
-                        </button>
-                      </div>
-                    ))}
-                  </div>
-                  
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-1">Add New Member</label>
-                    <div className="flex space-x-2">
-                      <input 
-                        type="text" 
-                        id="newMemberAddress"
-                        className="flex-1 rounded-md border border-gray-300 p-2" 
-                        placeholder="0x..."
-                      />
-                      <button 
-                        className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md disabled:bg-indigo-400"
-                        onClick={() => {
-                          const address = document.getElementById('newMemberAddress').value;
-                          handleAddMultisigMember(address);
-                          document.getElementById('newMemberAddress').value = '';
-                        }}
-                        disabled={updating}
-                      >
-                        Add
-                      </button>
-                    </div>
-                    <p className="text-xs text-gray-500 mt-1">
-                      Enter Ethereum address of new multisig member
-                    </p>
-                  </div>
-                </div>
-              </div>
+
+            {audit.length === 0 ? (
+              <p className="text-sm text-gray-500">The allowlist hasn't been changed yet.</p>
             ) : (
-              <div className="text-center py-4 text-gray-500">
-                <Shield className="w-8 h-8 text-gray-400 mx-auto mb-2" />
-                <p>Multisig contract not available or configured for this DAO</p>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-xs text-gray-500 uppercase">
+                      <th className="py-2 pr-4">Date</th>
+                      <th className="py-2 pr-4">Changes</th>
+                      <th className="py-2 pr-4">By</th>
+                      <th className="py-2">Transaction</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {audit.map(entry => (
+                      <tr key={entry.id} className="align-top">
+                        <td className="py-2 pr-4 whitespace-nowrap">
+                          {entry.timestamp ? formatDateTime(entry.timestamp * 1000) : `Block ${entry.blockNumber}`}
+                        </td>
+                        <td className="py-2 pr-4 space-y-1">
+                          {entry.changes.length > 0
+                            ? entry.changes.map(renderChange)
+                            : <span className="text-gray-500">No change</span>}
+                        </td>
+                        <td className="py-2 pr-4 font-mono text-xs">{entry.sender ? formatAddress(entry.sender) : '-'}</td>
+                        <td className="py-2 font-mono text-xs">{renderTxLink(entry.transactionHash)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
               </div>
             )}
           </div>
@@ -588,4 +314,4 @@ const SecuritySettingsTab = ({ contracts }) => {
   );
 };
 
-export default SecuritySettingsTab;
\ No newline at end of file
+export default SecuritySettingsTab;
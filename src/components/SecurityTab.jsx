@@ -0,0 +1,74 @@
+import React from 'react';
+import { Link, Navigate, useParams } from 'react-router-dom';
+import SecuritySettingsTab from './SecuritySettingsTab';
+import RoleManagementTab from './RoleManagementTab';
+import RoleAuditLog from './RoleAuditLog';
+import TimelockSettingsTab from './TimelockSettingsTab';
+import ThreatLevelPolicyEditor from './ThreatLevelPolicyEditor';
+import EmergencyControlsTab from './EmergencyControlsTab';
+
+// Security & Administration section, with the subtab taken from /security/:subtab
+const SecurityTab = ({ hasRole }) => {
+  const { subtab = 'general' } = useParams();
+
+  const subtabs = [
+    { id: 'general', label: 'General Security', visible: true },
+    { id: 'roles', label: 'Role Management', visible: hasRole('admin') },
+    { id: 'role-audit', label: 'Role Audit Log', visible: hasRole('admin') },
+    { id: 'timelock', label: 'Timelock', visible: hasRole('admin') },
+    { id: 'threat-levels', label: 'Threat Levels', visible: hasRole('admin') },
+    { id: 'emergency', label: 'Emergency Controls', visible: hasRole('admin') || hasRole('guardian') }
+  ];
+
+  // Unknown or unauthorized subtabs fall back to the general settings
+  if (!subtabs.some(tab => tab.id === subtab && tab.visible)) {
+    return <Navigate to="/security/general" replace />;
+  }
+
+  // Render security subcomponent based on the subtab in the URL
+  const renderSecuritySubtab = () => {
+    switch (subtab) {
+      case 'roles':
+        return <RoleManagementTab />;
+      case 'role-audit':
+        return <RoleAuditLog />;
+      case 'timelock':
+        return <TimelockSettingsTab />;
+      case 'threat-levels':
+        return <ThreatLevelPolicyEditor />;
+      case 'emergency':
+        return <EmergencyControlsTab />;
+      default:
+        return <SecuritySettingsTab />;
+    }
+  };
+
+  return (
+    <div>
+      <div className="mb-6">
+        <h2 className="text-xl font-semibold">Security & Administration</h2>
+        <p className="text-gray-500">Manage security settings and administrative functions</p>
+      </div>
+
+      {/* Security Subtabs */}
+      <div className="bg-white p-4 rounded-lg shadow mb-6">
+        <div className="flex flex-wrap gap-2">
+          {subtabs.filter(tab => tab.visible).map(tab => (
+            <Link
+              key={tab.id}
+              to={`/security/${tab.id}`}
+              className={`px-3 py-1 rounded-full text-sm ${subtab === tab.id ? 'bg-indigo-100 text-indigo-800' : 'bg-gray-100 text-gray-800'}`}
+            >
+              {tab.label}
+            </Link>
+          ))}
+        </div>
+      </div>
+
+      {/* Render the selected security subtab */}
+      {renderSecuritySubtab()}
+    </div>
+  );
+};
+
+export default SecurityTab;
@@ -0,0 +1,205 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { AlertTriangle, RotateCcw } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { formatAddress, formatDateTime, getStatusColor } from '../utils/formatters';
+
+// Recovery action offered for each kind of stuck transaction; `method` is both the timelock
+// function and the matching useTimelock action
+const RECOVERY_ACTIONS = {
+  failed: { method: 'executeFailedTransaction', label: 'Retry Execution' },
+  expired: { method: 'executeExpiredTransaction', label: 'Execute Expired' },
+  reverting: { method: 'markTransactionAsFailed', label: 'Mark as Failed' }
+};
+
+// Failed and expired timelock transactions, plus ready ones whose execution would revert, with the
+// recovery action the connected account is allowed to take. `timelock` is the useTimelock() result.
+const StuckTransactionsPanel = ({ transactions, timelock }) => {
+  const { account, requestWallet } = useWeb3();
+  const { getAccountRoles, previewTransactionAction } = timelock;
+  const [roles, setRoles] = useState({ held: {}, hashes: {} });
+  const [previews, setPreviews] = useState({});
+  const [checking, setChecking] = useState(false);
+  const [txLoading, setTxLoading] = useState(null);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  // Ready transactions are only stuck if executing them would revert
+  useEffect(() => {
+    const checkTransactions = async () => {
+      if (!account) {
+        setPreviews({});
+        return;
+      }
+
+      setChecking(true);
+      try {
+        const accountRoles = await getAccountRoles();
+        const candidates = transactions.filter(tx => ['failed', 'expired', 'ready'].includes(tx.status));
+        const results = {};
+
+        await Promise.all(candidates.map(async (tx) => {
+          let kind = tx.status;
+          let revert = null;
+
+          if (tx.status === 'ready') {
+            const execution = await previewTransactionAction('executeTransaction', tx.txHash);
+            // Missing roles aren't a revert of the call itself
+            if (!execution || execution.success || execution.error?.name === 'NotAuthorized') return;
+            kind = 'reverting';
+            revert = execution.error;
+          }
+
+          const action = RECOVERY_ACTIONS[kind];
+          results[tx.txHash] = {
+            kind,
+            revert,
+            action: await previewTransactionAction(action.method, tx.txHash)
+          };
+        }));
+
+        setRoles(accountRoles);
+        setPreviews(results);
+      } catch (error) {
+        console.error("Error checking stuck transactions:", error);
+      } finally {
+        setChecking(false);
+      }
+    };
+
+    checkTransactions();
+  }, [account, transactions, getAccountRoles, previewTransactionAction]);
+
+  // Without a wallet we can't preview actions, so list failed and expired items as-is
+  const stuck = account
+    ? transactions.filter(tx => previews[tx.txHash])
+    : transactions.filter(tx => tx.status === 'failed' || tx.status === 'expired');
+
+  // Role name of a NotAuthorized revert, from the role hashes read off the timelock
+  const getMissingRole = (error) => {
+    if (!error || error.name !== 'NotAuthorized' || !error.args?.role) return null;
+    const role = String(error.args.role).toLowerCase();
+    return Object.keys(roles.hashes).find(name => roles.hashes[name].toLowerCase() === role) || formatAddress(role, 10, 4);
+  };
+
+  const runRecovery = async (tx, kind) => {
+    if (!account) {
+      requestWallet('recover timelock transactions');
+      return;
+    }
+
+    setErrorMessage('');
+    setSuccessMessage('');
+    setTxLoading(tx.txHash);
+
+    try {
+      await timelock[RECOVERY_ACTIONS[kind].method](tx.txHash);
+      setSuccessMessage(`${RECOVERY_ACTIONS[kind].label} succeeded for ${formatAddress(tx.txHash, 10, 6)}`);
+
+      // Clear success message after 3 seconds
+      setTimeout(() => {
+        setSuccessMessage('');
+      }, 3000);
+    } catch (error) {
+      console.error("Error recovering timelock transaction:", error);
+      setErrorMessage(getErrorMessage(error, 'Failed to recover transaction'));
+    } finally {
+      setTxLoading(null);
+    }
+  };
+
+  if (stuck.length === 0 && !errorMessage && !successMessage) return null;
+
+  const heldRoles = Object.keys(roles.held).filter(role => roles.held[role]);
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow mb-6">
+      <div className="flex items-center mb-2">
+        <RotateCcw className="w-5 h-5 text-red-500 mr-2" />
+        <h3 className="text-lg font-medium text-gray-900">Stuck Transactions</h3>
+        {checking && <span className="ml-2 text-xs text-gray-500">Checking...</span>}
+      </div>
+      {account && (
+        <p className="text-xs text-gray-500 mb-4">
+          Your timelock roles: {heldRoles.length > 0 ? heldRoles.join(', ') : 'none'}
+        </p>
+      )}
+
+      {errorMessage && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 flex items-start">
+          <AlertTriangle className="w-5 h-5 mr-2 mt-0.5" />
+          <span>{errorMessage}</span>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {successMessage}
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {stuck.map(tx => {
+          const preview = previews[tx.txHash];
+          const kind = preview ? preview.kind : tx.status;
+          const action = RECOVERY_ACTIONS[kind];
+          const actionError = preview?.action && !preview.action.success ? preview.action.error : null;
+          const missingRole = getMissingRole(actionError);
+
+          return (
+            <div key={tx.txHash} className="border border-gray-200 rounded-md p-4">
+              <div className="flex flex-wrap justify-between items-start gap-2 mb-2">
+                <div>
+                  <p className="font-mono text-sm break-all">{tx.decoded ? tx.decoded.label : 'ETH transfer'}</p>
+                  <p className="text-xs text-gray-500">
+                    {formatAddress(tx.txHash, 10, 6)} · target {formatAddress(tx.target)}
+                    {tx.proposalId && (
+                      <> · <Link to={`/proposals/${tx.proposalId}`} className="text-indigo-600 hover:text-indigo-800">Proposal #{tx.proposalId}</Link></>
+                    )}
+                  </p>
+                </div>
+                <span className={`text-xs px-2 py-1 rounded-full capitalize ${getStatusColor(kind === 'reverting' ? 'failed' : kind)}`}>
+                  {kind === 'reverting' ? 'Would revert' : kind}
+                </span>
+              </div>
+
+              <div className="text-xs bg-gray-50 p-2 rounded-md mb-3 space-y-1">
+                {kind === 'expired' && (
+                  <p>Grace period ended {formatDateTime(tx.expiresAt * 1000)}.</p>
+                )}
+                {tx.failure && (
+                  <p>
+                    Failed{tx.failure.timestamp ? ` ${formatDateTime(tx.failure.timestamp * 1000)}` : ''}:{' '}
+                    <span className="font-mono break-all">{tx.failure.reason || 'no revert reason'}</span>
+                  </p>
+                )}
+                {kind === 'failed' && !tx.failure && <p>Marked as failed without a recorded revert reason.</p>}
+                {preview?.revert && (
+                  <p>Executing now would revert: <span className="break-all">{preview.revert.message}</span></p>
+                )}
+              </div>
+
+              <div className="flex flex-wrap justify-between items-center gap-2">
+                <p className="text-xs text-gray-500">
+                  {!account && 'Connect a wallet to see which recovery action your account can take.'}
+                  {missingRole && `Requires ${missingRole}.`}
+                  {actionError && !missingRole && `Not available: ${actionError.message}`}
+                </p>
+                <button
+                  className="px-3 py-1 bg-indigo-100 text-indigo-800 rounded-md text-sm hover:bg-indigo-200 disabled:opacity-50"
+                  onClick={() => runRecovery(tx, kind)}
+                  disabled={!!txLoading || (account && (!preview || !!actionError))}
+                >
+                  {txLoading === tx.txHash ? 'Submitting...' : action.label}
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default StuckTransactionsPanel;
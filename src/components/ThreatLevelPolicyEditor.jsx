@@ -0,0 +1,468 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Shield, AlertTriangle, Search } from 'lucide-react';
+import Loader from './Loader';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useThreatLevels } from '../hooks/useThreatLevels';
+import { listFunctionSelectors, CALLDATA_SOURCES } from '../utils/calldataDecoder';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { THREAT_LEVELS } from '../utils/constants';
+import { formatAddress, formatTime, getThreatLevelName, getThreatLevelColor } from '../utils/formatters';
+
+const LEVEL_OPTIONS = Object.values(THREAT_LEVELS);
+
+// Every selector in the bundled ABIs, computed once
+const ALL_FUNCTIONS = listFunctionSelectors();
+
+// Function and address threat level classifications of JustTimelock, with staged bulk changes
+const ThreatLevelPolicyEditor = () => {
+  const { deployment, contractsReady, refreshCounter } = useWeb3();
+  const {
+    getFunctionThreatLevels,
+    getAddressThreatLevels,
+    getThreatLevelDelays,
+    setFunctionThreatLevels,
+    setAddressThreatLevels
+  } = useThreatLevels();
+
+  const [functionLevels, setFunctionLevels] = useState({});
+  const [addressLevels, setAddressLevels] = useState({});
+  const [levelDelays, setLevelDelays] = useState([]);
+  const [functionChanges, setFunctionChanges] = useState({});
+  const [addressChanges, setAddressChanges] = useState({});
+  const [selected, setSelected] = useState([]);
+  const [bulkLevel, setBulkLevel] = useState(THREAT_LEVELS.LOW);
+  const [search, setSearch] = useState('');
+  const [showReadOnly, setShowReadOnly] = useState(false);
+  const [customAddress, setCustomAddress] = useState('');
+  const [extraAddresses, setExtraAddresses] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [txLoading, setTxLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+
+  // Deployment contracts are always listed; admins can add any other target
+  const addressRows = useMemo(() => {
+    const addresses = deployment?.addresses || {};
+    const known = CALLDATA_SOURCES
+      .filter(source => addresses[source.key])
+      .map(source => ({ address: addresses[source.key], label: source.contract }));
+    return [...known, ...extraAddresses.map(address => ({ address, label: 'Custom' }))];
+  }, [deployment, extraAddresses]);
+
+  // Load current classifications and the delay of each level
+  useEffect(() => {
+    const loadPolicy = async () => {
+      if (!contractsReady) return;
+
+      setLoading(true);
+      try {
+        const [levels, delays] = await Promise.all([
+          getFunctionThreatLevels(ALL_FUNCTIONS.map(fn => fn.selector)),
+          getThreatLevelDelays()
+        ]);
+        setFunctionLevels(levels);
+        setLevelDelays(delays);
+      } catch (error) {
+        console.error("Error loading threat level policy:", error);
+        setErrorMessage(getErrorMessage(error, 'Failed to load threat level policy'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadPolicy();
+  }, [contractsReady, refreshCounter, getFunctionThreatLevels, getThreatLevelDelays]);
+
+  useEffect(() => {
+    if (!contractsReady || addressRows.length === 0) return;
+
+    getAddressThreatLevels(addressRows.map(row => row.address))
+      .then(setAddressLevels)
+      .catch(error => console.error("Error loading address threat levels:", error));
+  }, [contractsReady, refreshCounter, addressRows, getAddressThreatLevels]);
+
+  const visibleFunctions = ALL_FUNCTIONS.filter(fn => {
+    if (!showReadOnly && fn.readOnly) return false;
+    if (!search) return true;
+    const term = search.toLowerCase();
+    return fn.signature.toLowerCase().includes(term) || fn.selector.includes(term)
+      || fn.contracts.some(contract => contract.toLowerCase().includes(term));
+  });
+
+  // Stage a level for a selector; choosing the current level again drops the change
+  const stageFunctionChange = (selector, level) => {
+    const next = { ...functionChanges };
+    if (level === functionLevels[selector]) delete next[selector];
+    else next[selector] = level;
+    setFunctionChanges(next);
+  };
+
+  const stageAddressChange = (address, level) => {
+    const key = address.toLowerCase();
+    const next = { ...addressChanges };
+    if (level === addressLevels[key]) delete next[key];
+    else next[key] = level;
+    setAddressChanges(next);
+  };
+
+  const applyBulkLevel = () => {
+    const next = { ...functionChanges };
+    selected.forEach(selector => {
+      if (bulkLevel === functionLevels[selector]) delete next[selector];
+      else next[selector] = bulkLevel;
+    });
+    setFunctionChanges(next);
+    setSelected([]);
+  };
+
+  const toggleSelected = (selector) => {
+    setSelected(selected.includes(selector)
+      ? selected.filter(item => item !== selector)
+      : [...selected, selector]);
+  };
+
+  const toggleAllVisible = () => {
+    const visibleSelectors = visibleFunctions.map(fn => fn.selector);
+    const allSelected = visibleSelectors.every(selector => selected.includes(selector));
+    setSelected(allSelected
+      ? selected.filter(selector => !visibleSelectors.includes(selector))
+      : [...new Set([...selected, ...visibleSelectors])]);
+  };
+
+  const addCustomAddress = () => {
+    setErrorMessage('');
+    if (!/^0x[a-fA-F0-9]{40}$/.test(customAddress)) {
+      setErrorMessage('Please enter a valid address');
+      return;
+    }
+    if (addressRows.some(row => row.address.toLowerCase() === customAddress.toLowerCase())) {
+      setCustomAddress('');
+      return;
+    }
+    setExtraAddresses([...extraAddresses, customAddress]);
+    setCustomAddress('');
+  };
+
+  const renderDelayChange = (fromLevel, toLevel) => {
+    const fromDelay = levelDelays[fromLevel];
+    const toDelay = levelDelays[toLevel];
+    if (fromDelay === undefined || toDelay === undefined) return null;
+
+    return (
+      <span className={toDelay < fromDelay ? 'text-red-600' : toDelay > fromDelay ? 'text-green-700' : 'text-gray-500'}>
+        {formatTime(fromDelay)} → {formatTime(toDelay)}
+      </span>
+    );
+  };
+
+  const submitChanges = async (kind) => {
+    setErrorMessage('');
+    setSuccessMessage('');
+    setTxLoading(true);
+
+    const changes = kind === 'functions' ? functionChanges : addressChanges;
+    const keys = Object.keys(changes);
+    const levels = keys.map(key => changes[key]);
+
+    try {
+      if (kind === 'functions') {
+        await setFunctionThreatLevels(keys, levels);
+        setFunctionChanges({});
+      } else {
+        await setAddressThreatLevels(keys.map(key => addressRows.find(row => row.address.toLowerCase() === key).address), levels);
+        setAddressChanges({});
+      }
+      setSuccessMessage(`Updated ${keys.length} ${kind === 'functions' ? 'function' : 'address'} threat level${keys.length > 1 ? 's' : ''}`);
+
+      // Clear success message after 3 seconds
+      setTimeout(() => {
+        setSuccessMessage('');
+      }, 3000);
+    } catch (error) {
+      console.error("Error updating threat levels:", error);
+      setErrorMessage(getErrorMessage(error, 'Failed to update threat levels'));
+    } finally {
+      setTxLoading(false);
+    }
+  };
+
+  const renderLevelSelect = (value, onChange) => (
+    <select
+      className="rounded-md border border-gray-300 p-1 text-sm"
+      value={value}
+      onChange={(e) => onChange(parseInt(e.target.value))}
+      disabled={txLoading}
+    >
+      {LEVEL_OPTIONS.map(level => (
+        <option key={level} value={level}>{getThreatLevelName(level)}</option>
+      ))}
+    </select>
+  );
+
+  const renderLevelBadge = (level) => (
+    <span className={`text-xs px-2 py-1 rounded-full ${getThreatLevelColor(level)}`}>
+      {getThreatLevelName(level)}
+    </span>
+  );
+
+  const functionChangeKeys = Object.keys(functionChanges);
+  const addressChangeKeys = Object.keys(addressChanges);
+
+  return (
+    <div>
+      <div className="mb-6">
+        <h2 className="text-xl font-semibold">Threat Level Policy</h2>
+        <p className="text-gray-500">Classify functions and targets so queued transactions get the matching timelock delay</p>
+      </div>
+
+      {errorMessage && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 flex items-start">
+          <AlertTriangle className="w-5 h-5 mr-2 mt-0.5" />
+          <span>{errorMessage}</span>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {successMessage}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="bg-white p-6 rounded-lg shadow">
+          <Loader size="large" text="Loading threat level policy..." />
+        </div>
+      ) : (
+        <>
+          {/* Delay per level */}
+          <div className="bg-white p-6 rounded-lg shadow mb-6">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {LEVEL_OPTIONS.map(level => (
+                <div key={level} className="text-center">
+                  {renderLevelBadge(level)}
+                  <p className="text-sm mt-2">{levelDelays[level] !== undefined ? formatTime(levelDelays[level]) : '-'}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          {/* Function classifications */}
+          <div className="bg-white p-6 rounded-lg shadow mb-6">
+            <div className="flex items-center mb-4">
+              <Shield className="w-5 h-5 text-indigo-500 mr-2" />
+              <h3 className="text-lg font-medium text-gray-900">Function Threat Levels</h3>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-3 mb-4">
+              <div className="relative flex-1">
+                <Search className="w-4 h-4 text-gray-400 absolute left-2 top-3" />
+                <input
+                  type="text"
+                  className="w-full rounded-md border border-gray-300 p-2 pl-8 text-sm"
+                  placeholder="Search by signature, selector or contract"
+                  value={search}
+                  onChange={(e) => setSearch(e.target.value)}
+                />
+              </div>
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={showReadOnly}
+                  onChange={(e) => setShowReadOnly(e.target.checked)}
+                />
+                Show view functions
+              </label>
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-gray-700">{selected.length} selected →</span>
+                {renderLevelSelect(bulkLevel, setBulkLevel)}
+                <button
+                  className="px-3 py-1 bg-indigo-100 text-indigo-800 rounded-md text-sm hover:bg-indigo-200 disabled:opacity-50"
+                  onClick={applyBulkLevel}
+                  disabled={selected.length === 0 || txLoading}
+                >
+                  Apply
+                </button>
+              </div>
+            </div>
+
+            <div className="overflow-x-auto max-h-96 overflow-y-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead>
+                  <tr>
+                    <th className="px-4 py-3 bg-gray-50 text-left">
+                      <input
+                        type="checkbox"
+                        checked={visibleFunctions.length > 0 && visibleFunctions.every(fn => selected.includes(fn.selector))}
+                        onChange={toggleAllVisible}
+                      />
+                    </th>
+                    <th className="px-4 py-3 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Function</th>
+                    <th className="px-4 py-3 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Contracts</th>
+                    <th className="px-4 py-3 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Current</th>
+                    <th className="px-4 py-3 bg-gray-50 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">New Level</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {visibleFunctions.map(fn => {
+                    const current = functionLevels[fn.selector] ?? THREAT_LEVELS.LOW;
+                    const staged = functionChanges[fn.selector];
+                    return (
+                      <tr key={fn.selector} className={staged !== undefined ? 'bg-indigo-50' : ''}>
+                        <td className="px-4 py-2">
+                          <input
+                            type="checkbox"
+                            checked={selected.includes(fn.selector)}
+                            onChange={() => toggleSelected(fn.selector)}
+                          />
+                        </td>
+                        <td className="px-4 py-2 text-sm">
+                          <div className="font-mono break-all">{fn.signature}</div>
+                          <div className="text-xs text-gray-500 font-mono">{fn.selector}</div>
+                        </td>
+                        <td className="px-4 py-2 text-xs text-gray-500">{fn.contracts.join(', ')}</td>
+                        <td className="px-4 py-2">{renderLevelBadge(current)}</td>
+                        <td className="px-4 py-2">
+                          {renderLevelSelect(staged ?? current, (level) => stageFunctionChange(fn.selector, level))}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          {/* Address classifications */}
+          <div className="bg-white p-6 rounded-lg shadow mb-6">
+            <div className="flex items-center mb-4">
+              <Shield className="w-5 h-5 text-indigo-500 mr-2" />
+              <h3 className="text-lg font-medium text-gray-900">Address Threat Levels</h3>
+            </div>
+
+            <div className="space-y-2 mb-4">
+              {addressRows.map(row => {
+                const key = row.address.toLowerCase();
+                const current = addressLevels[key] ?? THREAT_LEVELS.LOW;
+                const staged = addressChanges[key];
+                return (
+                  <div key={key} className={`flex flex-wrap items-center justify-between gap-2 p-2 rounded-md ${staged !== undefined ? 'bg-indigo-50' : 'bg-gray-50'}`}>
+                    <div className="text-sm">
+                      <span className="font-medium">{row.label}</span>
+                      <span className="ml-2 font-mono text-gray-500" title={row.address}>{formatAddress(row.address)}</span>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      {renderLevelBadge(current)}
+                      {renderLevelSelect(staged ?? current, (level) => stageAddressChange(row.address, level))}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className="flex space-x-2">
+              <input
+                type="text"
+                className="flex-1 rounded-md border border-gray-300 p-2 text-sm"
+                placeholder="Other target address (0x...)"
+                value={customAddress}
+                onChange={(e) => setCustomAddress(e.target.value)}
+              />
+              <button
+                className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md text-sm hover:bg-gray-200"
+                onClick={addCustomAddress}
+              >
+                Add
+              </button>
+            </div>
+          </div>
+
+          {/* Staged changes and their effect on delays */}
+          {(functionChangeKeys.length > 0 || addressChangeKeys.length > 0) && (
+            <div className="bg-white p-6 rounded-lg shadow">
+              <h3 className="text-lg font-medium text-gray-900 mb-4">Pending Changes</h3>
+
+              {functionChangeKeys.length > 0 && (
+                <div className="mb-6">
+                  <h4 className="font-medium mb-2">Functions ({functionChangeKeys.length})</h4>
+                  <ul className="space-y-1 text-sm mb-3">
+                    {functionChangeKeys.map(selector => {
+                      const fn = ALL_FUNCTIONS.find(item => item.selector === selector);
+                      const current = functionLevels[selector] ?? THREAT_LEVELS.LOW;
+                      return (
+                        <li key={selector} className="flex flex-wrap justify-between gap-2 bg-gray-50 p-2 rounded-md">
+                          <span className="font-mono break-all">{fn ? fn.signature : selector}</span>
+                          <span className="text-xs">
+                            {getThreatLevelName(current)} → {getThreatLevelName(functionChanges[selector])} · {renderDelayChange(current, functionChanges[selector])}
+                          </span>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                  <div className="flex justify-end space-x-2">
+                    <button
+                      className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md text-sm hover:bg-gray-200"
+                      onClick={() => setFunctionChanges({})}
+                      disabled={txLoading}
+                    >
+                      Discard
+                    </button>
+                    <button
+                      className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md text-sm disabled:bg-indigo-400"
+                      onClick={() => submitChanges('functions')}
+                      disabled={txLoading}
+                    >
+                      {txLoading ? 'Submitting...' : 'Submit Function Changes'}
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              {addressChangeKeys.length > 0 && (
+                <div>
+                  <h4 className="font-medium mb-2">Addresses ({addressChangeKeys.length})</h4>
+                  <ul className="space-y-1 text-sm mb-3">
+                    {addressChangeKeys.map(key => {
+                      const row = addressRows.find(item => item.address.toLowerCase() === key);
+                      const current = addressLevels[key] ?? THREAT_LEVELS.LOW;
+                      return (
+                        <li key={key} className="flex flex-wrap justify-between gap-2 bg-gray-50 p-2 rounded-md">
+                          <span>{row ? row.label : 'Custom'} <span className="font-mono text-gray-500">{formatAddress(key)}</span></span>
+                          <span className="text-xs">
+                            {getThreatLevelName(current)} → {getThreatLevelName(addressChanges[key])} · {renderDelayChange(current, addressChanges[key])}
+                          </span>
+                        </li>
+                      );
+                    })}
+                  </ul>
+                  <div className="flex justify-end space-x-2">
+                    <button
+                      className="px-4 py-2 bg-gray-100 text-gray-800 rounded-md text-sm hover:bg-gray-200"
+                      onClick={() => setAddressChanges({})}
+                      disabled={txLoading}
+                    >
+                      Discard
+                    </button>
+                    <button
+                      className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md text-sm disabled:bg-indigo-400"
+                      onClick={() => submitChanges('addresses')}
+                      disabled={txLoading}
+                    >
+                      {txLoading ? 'Submitting...' : 'Submit Address Changes'}
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <p className="text-xs text-gray-500 mt-4">
+                Delays show the timelock's current delay for each level. Transactions already queued keep their ETA.
+              </p>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ThreatLevelPolicyEditor;
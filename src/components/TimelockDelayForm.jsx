@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import { ClockIcon, AlertTriangle } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { formatDateTime, formatTime, getStatusColor, getThreatLevelName } from '../utils/formatters';
+import {
+  BOUND_DELAY_KEYS,
+  THREAT_DELAY_KEYS,
+  validateDelayBounds,
+  validateThreatLevelDelays
+} from '../utils/timelockDelays';
+
+const FIELD_LABELS = {
+  minDelay: "Minimum Delay",
+  maxDelay: "Maximum Delay",
+  gracePeriod: "Grace Period",
+  ...THREAT_DELAY_KEYS.reduce((labels, key, level) => {
+    labels[key] = `${getThreatLevelName(level)} Threat Delay`;
+    return labels;
+  }, {})
+};
+
+// Timelock functions that change delays, with the settings field of each argument
+const DELAY_UPDATE_FUNCTIONS = {
+  updateDelays: BOUND_DELAY_KEYS,
+  updateThreatLevelDelays: THREAT_DELAY_KEYS
+};
+
+const pickDelays = (settings, keys) => keys.reduce((values, key) => {
+  values[key] = settings[key];
+  return values;
+}, {});
+
+// Delay bounds and threat level delays with client-side validation. Admins can apply changes
+// immediately; anyone allowed to queue can route them through the timelock instead.
+// `timelock` is the useTimelock() result.
+const TimelockDelayForm = ({ settings, transactions, timelock }) => {
+  const { account, refreshCounter } = useWeb3();
+  const [bounds, setBounds] = useState(pickDelays(settings, BOUND_DELAY_KEYS));
+  const [threatDelays, setThreatDelays] = useState(pickDelays(settings, THREAT_DELAY_KEYS));
+  const [mode, setMode] = useState('queued');
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [txLoading, setTxLoading] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [successMessage, setSuccessMessage] = useState('');
+  const { getAccountRoles } = timelock;
+
+  // Reset the inputs to the on-chain values whenever they are (re)loaded
+  useEffect(() => {
+    setBounds(pickDelays(settings, BOUND_DELAY_KEYS));
+    setThreatDelays(pickDelays(settings, THREAT_DELAY_KEYS));
+  }, [settings]);
+
+  // Immediate updates are only offered to timelock admins
+  useEffect(() => {
+    if (!account) {
+      setIsAdmin(false);
+      return;
+    }
+
+    getAccountRoles()
+      .then(roles => {
+        setIsAdmin(!!roles.held.ADMIN_ROLE);
+        setMode(roles.held.ADMIN_ROLE ? 'immediate' : 'queued');
+      })
+      .catch(error => console.error("Error checking timelock roles:", error));
+  }, [account, refreshCounter, getAccountRoles]);
+
+  const boundErrors = validateDelayBounds(bounds, pickDelays(settings, THREAT_DELAY_KEYS));
+  const threatErrors = validateThreatLevelDelays(threatDelays, settings);
+  const boundsChanged = BOUND_DELAY_KEYS.some(key => bounds[key] !== settings[key]);
+  const threatsChanged = THREAT_DELAY_KEYS.some(key => threatDelays[key] !== settings[key]);
+
+  // Queued delay updates that haven't been executed yet
+  const pendingUpdates = transactions
+    .filter(tx => ['pending', 'ready'].includes(tx.status) && tx.decoded?.targetKnown
+      && tx.decoded.contractKey === 'timelock' && DELAY_UPDATE_FUNCTIONS[tx.decoded.name])
+    .map(tx => ({
+      ...tx,
+      changes: DELAY_UPDATE_FUNCTIONS[tx.decoded.name].map((key, idx) => ({
+        key,
+        current: settings[key],
+        queued: tx.decoded.params[idx].value.toNumber()
+      }))
+    }));
+
+  const parseSeconds = (value) => (value === '' ? '' : Number(value));
+
+  // Run a delay action with the shared loading / banner handling
+  const runAction = async (action, successText, fallbackError) => {
+    setErrorMessage('');
+    setSuccessMessage('');
+    setTxLoading(true);
+
+    try {
+      await action();
+      setSuccessMessage(successText);
+
+      // Clear success message after 3 seconds
+      setTimeout(() => {
+        setSuccessMessage('');
+      }, 3000);
+    } catch (error) {
+      console.error(fallbackError, error);
+      setErrorMessage(getErrorMessage(error, fallbackError));
+    } finally {
+      setTxLoading(false);
+    }
+  };
+
+  const submitBounds = () => {
+    const args = BOUND_DELAY_KEYS.map(key => bounds[key]);
+    return mode === 'immediate'
+      ? runAction(() => timelock.updateDelays(...args), 'Timelock delays updated', 'Failed to update timelock delays')
+      : runAction(() => timelock.queueDelayUpdate(...args), 'Delay update queued in the timelock', 'Failed to queue delay update');
+  };
+
+  const submitThreatDelays = () => {
+    const args = THREAT_DELAY_KEYS.map(key => threatDelays[key]);
+    return mode === 'immediate'
+      ? runAction(() => timelock.updateThreatLevelDelays(...args), 'Threat level delays updated', 'Failed to update threat level delays')
+      : runAction(() => timelock.queueThreatLevelDelaysUpdate(...args), 'Threat level delay update queued in the timelock', 'Failed to queue threat level delay update');
+  };
+
+  const renderInput = (key, values, setValues, errors) => (
+    <div key={key}>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{FIELD_LABELS[key]} (seconds)</label>
+      <input
+        type="number"
+        className={`w-full rounded-md border p-2 ${errors[key] ? 'border-red-400' : 'border-gray-300'}`}
+        value={values[key]}
+        onChange={(e) => setValues({ ...values, [key]: parseSeconds(e.target.value) })}
+        min="0"
+      />
+      {errors[key] ? (
+        <p className="text-xs text-red-600 mt-1">{errors[key]}</p>
+      ) : (
+        <p className="text-xs text-gray-500 mt-1">
+          {formatTime(values[key] || 0)}
+          {values[key] !== settings[key] && ` (currently ${formatTime(settings[key])})`}
+        </p>
+      )}
+    </div>
+  );
+
+  const submitLabel = mode === 'immediate' ? 'Update' : 'Queue Update';
+
+  return (
+    <div className="bg-white p-6 rounded-lg shadow mb-6">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+        <div className="flex items-center">
+          <ClockIcon className="w-5 h-5 text-indigo-500 mr-2" />
+          <h3 className="text-lg font-medium text-gray-900">Timelock Delays</h3>
+        </div>
+        <div className="flex items-center space-x-4 text-sm">
+          <label className={`flex items-center ${isAdmin ? '' : 'text-gray-400'}`}>
+            <input
+              type="radio"
+              className="mr-1"
+              checked={mode === 'immediate'}
+              onChange={() => setMode('immediate')}
+              disabled={!isAdmin}
+            />
+            Apply immediately
+          </label>
+          <label className="flex items-center">
+            <input
+              type="radio"
+              className="mr-1"
+              checked={mode === 'queued'}
+              onChange={() => setMode('queued')}
+            />
+            Queue through timelock
+          </label>
+        </div>
+      </div>
+      {!isAdmin && (
+        <p className="text-xs text-gray-500 mb-4">Immediate updates require the timelock's ADMIN_ROLE.</p>
+      )}
+
+      {errorMessage && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 flex items-start">
+          <AlertTriangle className="w-5 h-5 mr-2 mt-0.5" />
+          <span>{errorMessage}</span>
+        </div>
+      )}
+
+      {successMessage && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {successMessage}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        {BOUND_DELAY_KEYS.map(key => renderInput(key, bounds, setBounds, boundErrors))}
+      </div>
+      <div className="flex justify-end mb-6">
+        <button
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md disabled:bg-indigo-400"
+          onClick={submitBounds}
+          disabled={txLoading || !boundsChanged || Object.keys(boundErrors).length > 0}
+        >
+          {submitLabel}
+        </button>
+      </div>
+
+      <h4 className="font-medium mb-1">Threat Level Delays</h4>
+      <p className="text-xs text-gray-500 mb-3">
+        Must increase from low to critical and stay between the minimum and maximum delay.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        {THREAT_DELAY_KEYS.map(key => renderInput(key, threatDelays, setThreatDelays, threatErrors))}
+      </div>
+      <div className="flex justify-end">
+        <button
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md disabled:bg-indigo-400"
+          onClick={submitThreatDelays}
+          disabled={txLoading || !threatsChanged || Object.keys(threatErrors).length > 0}
+        >
+          {submitLabel}
+        </button>
+      </div>
+
+      {pendingUpdates.length > 0 && (
+        <div className="mt-6 pt-6 border-t border-gray-200">
+          <h4 className="font-medium mb-3">Queued Delay Changes</h4>
+          <div className="space-y-4">
+            {pendingUpdates.map(update => (
+              <div key={update.txHash} className="bg-gray-50 p-4 rounded-md">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-2 text-sm">
+                  <span className="font-mono">{update.decoded.label}</span>
+                  <span className="flex items-center gap-2">
+                    <span className="text-xs text-gray-500">ETA {formatDateTime(update.eta * 1000)}</span>
+                    <span className={`text-xs px-2 py-1 rounded-full capitalize ${getStatusColor(update.status)}`}>{update.status}</span>
+                  </span>
+                </div>
+                <table className="min-w-full text-sm mb-2">
+                  <tbody>
+                    {update.changes.map(change => (
+                      <tr key={change.key}>
+                        <td className="py-1 text-gray-600">{FIELD_LABELS[change.key]}</td>
+                        <td className="py-1 text-right">{formatTime(change.current)}</td>
+                        <td className="py-1 px-2 text-center text-gray-400">→</td>
+                        <td className={`py-1 ${change.queued !== change.current ? 'font-medium text-indigo-700' : 'text-gray-500'}`}>
+                          {formatTime(change.queued)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {update.status === 'ready' && (
+                  <div className="flex justify-end">
+                    <button
+                      className="px-3 py-1 bg-green-100 text-green-800 rounded-md text-xs font-medium hover:bg-green-200 disabled:opacity-50"
+                      onClick={() => runAction(
+                        () => timelock.executeTransaction(update.txHash),
+                        'Queued delay change executed',
+                        'Failed to execute queued delay change'
+                      )}
+                      disabled={txLoading}
+                    >
+                      Execute
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimelockDelayForm;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { ExternalLink, AlertTriangle, ClockIcon } from 'lucide-react';
+import Loader from './Loader';
+import StuckTransactionsPanel from './StuckTransactionsPanel';
+import KeeperPanel from './KeeperPanel';
+import DecodedCalldata from './DecodedCalldata';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useTimelock } from '../hooks/useTimelock';
+import { getExplorerLink } from '../config/deployments';
+import {
+  formatAddress,
+  formatDateTime,
+  formatCountdownDetailed,
+  formatTime,
+  getStatusColor,
+  getThreatLevelName,
+  getThreatLevelColor
+} from '../utils/formatters';
+
+const STATUS_FILTERS = ['all', 'pending', 'ready', 'expired', 'failed', 'executed', 'canceled'];
+
+// Status as of `nowSeconds`, so rows move from pending to ready to expired while the page is open
+const getLiveStatus = (tx, nowSeconds) => {
+  if (tx.status !== 'pending' && tx.status !== 'ready') return tx.status;
+  if (nowSeconds > tx.expiresAt) return 'expired';
+  if (nowSeconds >= tx.eta) return 'ready';
+  return 'pending';
+};
+
+// Every JustTimelock transaction with its threat level, countdowns and decoded calldata
+const TimelockQueueExplorer = () => {
+  const { selectedChainId } = useWeb3();
+  const timelock = useTimelock();
+  const { settings, transactions, loading, error } = timelock;
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [expandedTx, setExpandedTx] = useState(null);
+  // Ticks every second so the ETA and grace period countdowns stay current
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const nowSeconds = Math.floor(now / 1000);
+  const liveTransactions = transactions.map(tx => ({ ...tx, liveStatus: getLiveStatus(tx, nowSeconds) }));
+  const rows = liveTransactions.filter(tx => statusFilter === 'all' || tx.liveStatus === statusFilter);
+  const readyTransactions = liveTransactions.filter(tx => tx.liveStatus === 'ready' && tx.isQueued);
+
+  const renderLink = (value, type) => {
+    const url = getExplorerLink(selectedChainId, value, type);
+    const label = type === 'tx' ? formatAddress(value, 10, 8) : formatAddress(value);
+    if (!url) return <span className="font-mono" title={value}>{label}</span>;
+
+    return (
+      <a href={url} target="_blank" rel="noopener noreferrer" className="text-indigo-600 hover:text-indigo-800 inline-flex items-center" title={value}>
+        {label} <ExternalLink className="w-3 h-3 ml-1" />
+      </a>
+    );
+  };
+
+  const renderCountdowns = (tx) => {
+    if (tx.liveStatus === 'executed' || tx.liveStatus === 'canceled') {
+      return <span className="text-gray-500">ETA was {formatDateTime(tx.eta * 1000)}</span>;
+    }
+
+    return (
+      <div className="space-y-1">
+        <div title={formatDateTime(tx.eta * 1000)}>
+          <span className="text-gray-500">ETA: </span>
+          {tx.liveStatus === 'pending'
+            ? <span className="font-mono">{formatCountdownDetailed(tx.eta * 1000)}</span>
+            : <span>reached {formatDateTime(tx.eta * 1000)}</span>}
+        </div>
+        <div title={formatDateTime(tx.expiresAt * 1000)}>
+          <span className="text-gray-500">Grace period: </span>
+          {tx.liveStatus === 'expired'
+            ? <span className="text-red-600">expired {formatDateTime(tx.expiresAt * 1000)}</span>
+            : <span className="font-mono">{formatCountdownDetailed(tx.expiresAt * 1000)}</span>}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <div className="mb-6">
+        <h2 className="text-xl font-semibold">Timelock Queue</h2>
+        <p className="text-gray-500">
+          Every transaction queued in the timelock
+          {settings && ` · executable for ${formatTime(settings.gracePeriod)} after its ETA`}
+        </p>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 flex items-start">
+          <AlertTriangle className="w-5 h-5 mr-2 mt-0.5" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      <KeeperPanel readyTransactions={readyTransactions} timelock={timelock} />
+
+      <StuckTransactionsPanel transactions={transactions} timelock={timelock} />
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {STATUS_FILTERS.map(filter => (
+          <button
+            key={filter}
+            className={`px-3 py-1 rounded-full text-sm capitalize ${statusFilter === filter ? 'bg-indigo-100 text-indigo-800 font-medium' : 'bg-gray-100 text-gray-800'}`}
+            onClick={() => setStatusFilter(filter)}
+          >
+            {filter}
+          </button>
+        ))}
+      </div>
+
+      {loading && transactions.length === 0 ? (
+        <div className="bg-white p-6 rounded-lg shadow">
+          <Loader size="large" text="Loading timelock queue..." />
+        </div>
+      ) : rows.length === 0 ? (
+        <div className="bg-white p-6 rounded-lg shadow text-center text-gray-500">
+          <ClockIcon className="w-8 h-8 mx-auto mb-2 text-gray-400" />
+          No {statusFilter === 'all' ? '' : `${statusFilter} `}timelock transactions
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {rows.map(tx => (
+            <div key={tx.txHash} className="bg-white p-6 rounded-lg shadow">
+              <div className="flex flex-wrap justify-between items-start gap-2 mb-3">
+                <div>
+                  <p className="font-medium font-mono text-sm break-all">
+                    {tx.decoded ? tx.decoded.label : 'ETH transfer'}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Timelock tx {formatAddress(tx.txHash, 10, 8)}
+                    {tx.queuedAt && ` · queued ${formatDateTime(tx.queuedAt * 1000)}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <span className={`text-xs px-2 py-1 rounded-full ${getThreatLevelColor(tx.threatLevel)}`}>
+                    {getThreatLevelName(tx.threatLevel)} threat
+                  </span>
+                  <span className={`text-xs px-2 py-1 rounded-full capitalize ${getStatusColor(tx.liveStatus)}`}>
+                    {tx.liveStatus}
+                  </span>
+                </div>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+                <div>
+                  <p className="text-gray-500">Target</p>
+                  {renderLink(tx.target, 'address')}
+                  {parseFloat(tx.value) > 0 && <p className="text-xs text-gray-500 mt-1">Value: {tx.value} ETH</p>}
+                </div>
+                <div>
+                  <p className="text-gray-500">Proposal</p>
+                  {tx.proposalId ? (
+                    <Link to={`/proposals/${tx.proposalId}`} className="text-indigo-600 hover:text-indigo-800">
+                      Proposal #{tx.proposalId}
+                    </Link>
+                  ) : (
+                    <span className="text-gray-500 italic">Queued directly</span>
+                  )}
+                  {tx.queuedTxHash && <div className="text-xs mt-1">{renderLink(tx.queuedTxHash, 'tx')}</div>}
+                </div>
+                <div className="text-xs">{renderCountdowns(tx)}</div>
+              </div>
+
+              {tx.decoded && (
+                <div className="mt-3">
+                  <button
+                    className="text-xs text-indigo-600 hover:text-indigo-800"
+                    onClick={() => setExpandedTx(expandedTx === tx.txHash ? null : tx.txHash)}
+                  >
+                    {expandedTx === tx.txHash ? 'Hide calldata' : 'Show calldata'}
+                  </button>
+
+                  {expandedTx === tx.txHash && (
+                    <DecodedCalldata decoded={tx.decoded} data={tx.data} className="mt-2 bg-gray-50" />
+                  )}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimelockQueueExplorer;
@@ -0,0 +1,108 @@
+import React, { useState, useEffect } from 'react';
+import { ethers } from 'ethers';
+import { ShieldAlert } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { decodeCalldata } from '../utils/calldataDecoder';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { formatDateTime, formatTime, getThreatLevelName, getThreatLevelColor } from '../utils/formatters';
+
+// Wait this long after the last keystroke before asking the helper
+const ANALYZE_DEBOUNCE_MS = 500;
+
+const isCalldata = (data) => /^0x([0-9a-fA-F]{2})*$/.test(data) && data.length >= 10;
+
+// Threat level and timelock delay of a General proposal's call, from JustDAOHelper.analyzeTransactionRisk,
+// and the earliest date it could execute (created now + voting duration + delay)
+const TimelockRiskPreview = ({ target, callData }) => {
+  const { contracts, deployment } = useWeb3();
+  const [votingDuration, setVotingDuration] = useState(null);
+  const [risk, setRisk] = useState(null);
+  const [analyzing, setAnalyzing] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!contracts.governance) return;
+
+    contracts.governance.govParams()
+      .then(params => setVotingDuration(params.votingDuration.toNumber()))
+      .catch(err => console.error("Error loading voting duration:", err));
+  }, [contracts.governance]);
+
+  useEffect(() => {
+    setRisk(null);
+    setError('');
+    if (!contracts.daoHelper || !ethers.utils.isAddress(target) || !isCalldata(callData)) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setAnalyzing(true);
+      try {
+        const result = await contracts.daoHelper.analyzeTransactionRisk(target, callData);
+        if (!cancelled) {
+          setRisk({ level: Number(result.riskLevel), delay: result.delayPeriod.toNumber() });
+        }
+      } catch (err) {
+        console.error("Error analyzing transaction risk:", err);
+        if (!cancelled) setError(getErrorMessage(err, "Couldn't analyze this call"));
+      } finally {
+        if (!cancelled) setAnalyzing(false);
+      }
+    }, ANALYZE_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [contracts.daoHelper, target, callData]);
+
+  if (!ethers.utils.isAddress(target) || !isCalldata(callData)) return null;
+
+  const decoded = decodeCalldata(callData, target, deployment?.addresses);
+  const earliestExecution = risk && votingDuration !== null
+    ? new Date(Date.now() + (votingDuration + risk.delay) * 1000)
+    : null;
+
+  return (
+    <div className="bg-gray-50 p-4 rounded-md text-sm">
+      <div className="flex items-center mb-2">
+        <ShieldAlert className="w-4 h-4 text-indigo-500 mr-2" />
+        <span className="font-medium">Timelock Preview</span>
+      </div>
+
+      {decoded && <p className="font-mono text-xs text-gray-600 mb-2 break-all">{decoded.label}</p>}
+
+      {!contracts.daoHelper ? (
+        <p className="text-xs text-gray-500">The DAO helper isn't available on this network, so the risk can't be previewed.</p>
+      ) : analyzing ? (
+        <p className="text-xs text-gray-500">Analyzing call...</p>
+      ) : error ? (
+        <p className="text-xs text-red-600">{error}</p>
+      ) : risk && (
+        <div className="space-y-1 text-xs">
+          <div className="flex items-center justify-between">
+            <span className="text-gray-600">Threat level</span>
+            <span className={`px-2 py-0.5 rounded-full ${getThreatLevelColor(risk.level)}`}>{getThreatLevelName(risk.level)}</span>
+          </div>
+          <div className="flex items-center justify-between">
+            <span className="text-gray-600">Timelock delay</span>
+            <span>{formatTime(risk.delay)}</span>
+          </div>
+          {votingDuration !== null && (
+            <div className="flex items-center justify-between">
+              <span className="text-gray-600">Voting period</span>
+              <span>{formatTime(votingDuration)}</span>
+            </div>
+          )}
+          {earliestExecution && (
+            <div className="flex items-center justify-between font-medium">
+              <span>Earliest execution</span>
+              <span>{formatDateTime(earliestExecution)}</span>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TimelockRiskPreview;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Wallet } from 'lucide-react';
+import { useWeb3 } from '../contexts/Web3Context';
+
+// Modal shown when a write action is attempted in read-only mode
+const WalletPrompt = () => {
+  const { walletPrompt, connectWallet, dismissWalletPrompt, connectionError } = useWeb3();
+
+  if (!walletPrompt) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg max-w-md w-full p-6">
+        <div className="flex items-center mb-4">
+          <Wallet className="w-6 h-6 text-indigo-500 mr-2" />
+          <h2 className="text-xl font-semibold">Wallet Required</h2>
+        </div>
+
+        <p className="text-gray-700 mb-2">
+          You are browsing JustDAO in read-only mode. Connect your wallet to {walletPrompt}.
+        </p>
+        <p className="text-sm text-gray-500 mb-4">
+          Proposals, votes, delegation and analytics stay visible without a wallet.
+        </p>
+
+        {connectionError && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">
+            {connectionError}
+          </div>
+        )}
+
+        <div className="flex justify-end space-x-2">
+          <button
+            type="button"
+            className="px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50"
+            onClick={dismissWalletPrompt}
+          >
+            Not now
+          </button>
+          <button
+            type="button"
+            className="px-4 py-2 bg-indigo-600 text-white rounded-md hover:bg-indigo-700"
+            onClick={connectWallet}
+          >
+            Connect Wallet
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WalletPrompt;
@@ -0,0 +1,112 @@
+// src/config/deployments.js
+// Deployment registry: every chain the JustDAO contracts are deployed on, keyed by chainId.
+// Web3Context reads addresses, RPC endpoints and explorer links from here, so adding a
+// network means adding one entry below (or filling in the matching REACT_APP_* variables).
+
+const env = process.env;
+
+// Contract address set from REACT_APP_<PREFIX>_<CONTRACT>_ADDRESS variables
+const addressesFromEnv = (prefix) => ({
+  token: env[`REACT_APP_${prefix}_TOKEN_ADDRESS`] || null,
+  governance: env[`REACT_APP_${prefix}_GOVERNANCE_ADDRESS`] || null,
+  timelock: env[`REACT_APP_${prefix}_TIMELOCK_ADDRESS`] || null,
+  analyticsHelper: env[`REACT_APP_${prefix}_ANALYTICS_HELPER_ADDRESS`] || null,
+  daoHelper: env[`REACT_APP_${prefix}_DAO_HELPER_ADDRESS`] || null
+});
+
+const ETH = { name: 'Ether', symbol: 'ETH', decimals: 18 };
+
+const registry = [
+  {
+    chainId: 31337,
+    name: 'Local Devnet',
+    shortName: 'Devnet',
+    nativeCurrency: ETH,
+    rpcUrls: [env.REACT_APP_DEVNET_RPC_URL || 'http://127.0.0.1:8545'],
+    explorerUrl: null,
+    explorerApiUrl: null,
+    explorerApiKey: null,
+    deploymentBlock: 0,
+    addresses: addressesFromEnv('DEVNET')
+  },
+  {
+    chainId: 11155111,
+    name: 'Sepolia Test Network',
+    shortName: 'Sepolia',
+    nativeCurrency: { name: 'Sepolia ETH', symbol: 'ETH', decimals: 18 },
+    rpcUrls: [
+      env.REACT_APP_SEPOLIA_RPC_URL || env.REACT_APP_RPC_URL || 'https://ethereum-sepolia-rpc.publicnode.com'
+    ],
+    explorerUrl: 'https://sepolia.etherscan.io',
+    // Etherscan API V2: one endpoint for every chain, selected by the chainid parameter
+    explorerApiUrl: 'https://api.etherscan.io/v2/api',
+    explorerApiKey: env.REACT_APP_SEPOLIA_EXPLORER_API_KEY || null,
+    // First block the indexer scans.
+    // TODO: pin the block of the deployment transactions of the addresses below. Until then the
+    // indexer looks up each contract's creation block on the explorer API (needs an API key),
+    // then falls back to a getCode search that needs an archive node.
+    deploymentBlock: parseInt(env.REACT_APP_SEPOLIA_DEPLOYMENT_BLOCK || '0', 10),
+    addresses: {
+      token: "0xA3448DD0BdeFc13dD7e5a59994f1f15D8cc18521", // JustToken address
+      governance: "0xFB195C11B511e646A4516d1a29DDa46E7516C9A4", // JustGovernance address
+      timelock: "0x4ac8b4aaA12D9F051FFD3cA27301007Dc1A3a26b", // JustTimelock address
+      analyticsHelper: "0xFe13C1DA26A1b5FeB032AA54155FC7e92E236b90", // JustAnalyticsHelper address
+      daoHelper: "0xc542d0fAD38404bFaac6c0AD8476535cbA88614E" // JustDAOHelper address
+    }
+  }
+];
+
+// The mainnet-like staging chain has no fixed chainId; it is only listed when configured
+if (env.REACT_APP_STAGING_CHAIN_ID) {
+  registry.push({
+    chainId: parseInt(env.REACT_APP_STAGING_CHAIN_ID, 10),
+    name: env.REACT_APP_STAGING_NAME || 'Staging',
+    shortName: 'Staging',
+    nativeCurrency: ETH,
+    rpcUrls: [env.REACT_APP_STAGING_RPC_URL].filter(Boolean),
+    explorerUrl: env.REACT_APP_STAGING_EXPLORER_URL || null,
+    explorerApiUrl: env.REACT_APP_STAGING_EXPLORER_API_URL || null,
+    explorerApiKey: env.REACT_APP_STAGING_EXPLORER_API_KEY || null,
+    deploymentBlock: parseInt(env.REACT_APP_STAGING_DEPLOYMENT_BLOCK || '0', 10),
+    addresses: addressesFromEnv('STAGING')
+  });
+}
+
+export const DEPLOYMENTS = registry.reduce((byChain, deployment) => {
+  byChain[deployment.chainId] = deployment;
+  return byChain;
+}, {});
+
+export const SUPPORTED_CHAIN_IDS = registry.map(deployment => deployment.chainId);
+
+export const DEFAULT_CHAIN_ID = DEPLOYMENTS[env.REACT_APP_DEFAULT_CHAIN_ID]
+  ? parseInt(env.REACT_APP_DEFAULT_CHAIN_ID, 10)
+  : 11155111;
+
+export const isSupportedChain = (chainId) => !!DEPLOYMENTS[chainId];
+
+export const getDeployment = (chainId) => DEPLOYMENTS[chainId] || null;
+
+// Hex chainId as expected by wallet_switchEthereumChain / wallet_addEthereumChain
+export const toHexChainId = (chainId) => '0x' + Number(chainId).toString(16);
+
+// Params for wallet_addEthereumChain
+export const getAddChainParams = (chainId) => {
+  const deployment = getDeployment(chainId);
+  if (!deployment) return null;
+
+  return {
+    chainId: toHexChainId(deployment.chainId),
+    chainName: deployment.name,
+    nativeCurrency: deployment.nativeCurrency,
+    rpcUrls: deployment.rpcUrls,
+    blockExplorerUrls: deployment.explorerUrl ? [deployment.explorerUrl] : []
+  };
+};
+
+// Block explorer link for an address or transaction (null when the chain has no explorer)
+export const getExplorerLink = (chainId, value, type = 'address') => {
+  const deployment = getDeployment(chainId);
+  if (!deployment?.explorerUrl || !value) return null;
+  return `${deployment.explorerUrl}/${type}/${value}`;
+};
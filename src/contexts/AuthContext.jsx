@@ -1,6 +1,7 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { ethers } from 'ethers';
 import { useWeb3 } from './Web3Context';
+import { ROLE_CONTRACTS, ROLE_NAMES, getRoleKey, fetchAccountRoles } from '../utils/roles';
 
 const AuthContext = createContext();
 
@@ -9,16 +10,18 @@ export function useAuth() {
 }
 
 export function AuthProvider({ children }) {
-  const { isConnected, account, contracts, contractsReady } = useWeb3();
+  const { isConnected, account, contracts, contractsReady, provider } = useWeb3();
   const [user, setUser] = useState({
     address: '',
-    roles: ['user'],
     balance: 0,
     votingPower: 0,
     delegate: '',
     lockedTokens: 0
   });
   const [loading, setLoading] = useState(true);
+  // Role keys (see getRoleKey) the account holds, per contract: {governance: ['admin'], ...}
+  const [roles, setRoles] = useState({});
+  const [rolesLoading, setRolesLoading] = useState(true);
 
   useEffect(() => {
     async function fetchUserData() {
@@ -39,49 +42,9 @@ export function AuthProvider({ children }) {
           const delegate = await contracts.token.getDelegate(account);
           const lockedTokens = await contracts.token.getLockedTokens(account);
           
-          // Check roles
-          const roles = ['user'];
-          
-          // Check for admin role
-          try {
-            const adminRoleHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("ADMIN_ROLE"));
-            const isAdmin = await contracts.governance.hasRole(adminRoleHash, account);
-            if (isAdmin) roles.push('admin');
-          } catch (error) {
-            console.error("Error checking admin role:", error);
-          }
-          
-          // Check for analytics role
-          try {
-            const analyticsRoleHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("ANALYTICS_ROLE"));
-            const isAnalytics = await contracts.governance.hasRole(analyticsRoleHash, account);
-            if (isAnalytics) roles.push('analytics');
-          } catch (error) {
-            console.error("Error checking analytics role:", error);
-          }
-          
-          // Check for guardian role
-          try {
-            const guardianRoleHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("GUARDIAN_ROLE"));
-            const isGuardian = await contracts.governance.hasRole(guardianRoleHash, account);
-            if (isGuardian) roles.push('guardian');
-          } catch (error) {
-            console.error("Error checking guardian role:", error);
-          }
-          
-          // Check for governance role
-          try {
-            const governanceRoleHash = ethers.utils.keccak256(ethers.utils.toUtf8Bytes("GOVERNANCE_ROLE"));
-            const isGovernance = await contracts.governance.hasRole(governanceRoleHash, account);
-            if (isGovernance) roles.push('governance');
-          } catch (error) {
-            console.error("Error checking governance role:", error);
-          }
-          
           // Update user state
           setUser({
             address: account,
-            roles,
             balance: ethers.utils.formatEther(balance),
             votingPower: ethers.utils.formatEther(votingPower),
             delegate: delegate,
@@ -97,7 +60,6 @@ export function AuthProvider({ children }) {
         // If not connected, reset user to default state
         setUser({
           address: '',
-          roles: ['user'],
           balance: 0,
           votingPower: 0,
           delegate: '',
@@ -110,13 +72,59 @@ export function AuthProvider({ children }) {
     fetchUserData();
   }, [isConnected, account, contracts, contractsReady]);
 
-  const hasRole = (role) => {
-    return user.roles.includes(role);
+  const loadRoles = useCallback(async () => {
+    if (!isConnected || !account || !contractsReady || !provider) {
+      setRoles({});
+      return;
+    }
+
+    try {
+      setRoles(await fetchAccountRoles(provider, contracts, account));
+    } catch (error) {
+      console.error("Error checking roles:", error);
+    }
+  }, [isConnected, account, contracts, contractsReady, provider]);
+
+  useEffect(() => {
+    setRolesLoading(true);
+    loadRoles().finally(() => setRolesLoading(false));
+  }, [loadRoles]);
+
+  // Re-check when a role of this account is granted or revoked on any contract
+  useEffect(() => {
+    if (!isConnected || !account || !contractsReady) return undefined;
+
+    // Filters go by full signature: JustTimelock overloads both events with a 2-argument
+    // variant, which leaves contract.filters.RoleGranted undefined there. The account is the
+    // second argument of every variant.
+    const subscriptions = ROLE_CONTRACTS
+      .map(entry => contracts[entry.key])
+      .filter(Boolean)
+      .flatMap(contract => Object.values(contract.interface.events)
+        .filter(fragment => fragment.name === 'RoleGranted' || fragment.name === 'RoleRevoked')
+        .map(fragment => [contract, contract.filters[fragment.format()](null, account)]));
+    const handleRoleEvent = () => {
+      loadRoles();
+    };
+
+    subscriptions.forEach(([contract, filter]) => contract.on(filter, handleRoleEvent));
+    return () => {
+      subscriptions.forEach(([contract, filter]) => contract.off(filter, handleRoleEvent));
+    };
+  }, [isConnected, account, contracts, contractsReady, loadRoles]);
+
+  // `role` is a role key ('analytics') or constant ('ANALYTICS_ROLE'). Without `contractKey`
+  // it checks whether the account holds the role on any contract.
+  const hasRole = (role, contractKey) => {
+    const key = ROLE_NAMES.includes(role) ? getRoleKey(role) : role;
+    if (contractKey) return (roles[contractKey] || []).includes(key);
+    return Object.values(roles).some(keys => keys.includes(key));
   };
 
   const value = {
     user,
-    loading,
+    roles,
+    loading: loading || rolesLoading,
     hasRole
   };
 
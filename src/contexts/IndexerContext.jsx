@@ -0,0 +1,106 @@
+// src/contexts/IndexerContext.jsx
+// Keeps the local event index (utils/eventIndexer.js) in sync with the selected deployment
+// and gives hooks a single place to read governance history from
+
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { useWeb3 } from './Web3Context';
+import { syncEvents, getIndexedEvents, clearIndexedEvents } from '../utils/eventIndexer';
+
+const IndexerContext = createContext();
+
+export function useIndexer() {
+  return useContext(IndexerContext);
+}
+
+export function IndexerProvider({ children }) {
+  const { contracts, contractsReady, selectedChainId, deployment, refreshCounter } = useWeb3();
+  const [syncing, setSyncing] = useState(false);
+  const [syncProgress, setSyncProgress] = useState(null);
+  const [lastSyncedBlock, setLastSyncedBlock] = useState(null);
+  const [syncError, setSyncError] = useState(null);
+  // Bumped whenever a sync stores new events, so views can re-read
+  const [indexVersion, setIndexVersion] = useState(0);
+
+  // The sync started for the current chain + refresh counter, shared by every reader
+  const syncRef = useRef({ key: null, promise: Promise.resolve() });
+
+  // Sync once per refresh: the first reader (or the effect below) starts it, the rest wait on it
+  const ensureSynced = useCallback(() => {
+    if (!contractsReady || !contracts.token) return Promise.resolve();
+
+    const key = `${selectedChainId}:${refreshCounter}`;
+    if (syncRef.current.key === key) return syncRef.current.promise;
+
+    const provider = contracts.token.provider;
+    const promise = syncRef.current.promise
+      .catch(() => {})
+      .then(async () => {
+        setSyncing(true);
+        setSyncError(null);
+
+        try {
+          const result = await syncEvents({
+            chainId: selectedChainId,
+            provider,
+            contracts,
+            deploymentBlock: deployment?.deploymentBlock || 0,
+            explorerApi: deployment?.explorerApiUrl
+              ? { url: deployment.explorerApiUrl, apiKey: deployment.explorerApiKey }
+              : null,
+            onProgress: setSyncProgress
+          });
+
+          setLastSyncedBlock(result.latestBlock);
+          if (result.newEvents > 0) {
+            setIndexVersion(prev => prev + 1);
+          }
+        } catch (error) {
+          console.error("Error syncing event index:", error);
+          setSyncError(error.message);
+        } finally {
+          setSyncing(false);
+          setSyncProgress(null);
+        }
+      });
+
+    syncRef.current = { key, promise };
+    return promise;
+  }, [contracts, contractsReady, selectedChainId, deployment, refreshCounter]);
+
+  useEffect(() => {
+    ensureSynced();
+  }, [ensureSynced]);
+
+  // Read indexed events of `contractKey` (token, governance, timelock, ...) after the current sync.
+  // If syncing fails, whatever is already stored is returned.
+  const getEvents = useCallback(async (contractKey, eventName, match) => {
+    await ensureSynced();
+    return getIndexedEvents(selectedChainId, contracts[contractKey]?.address, eventName, match);
+  }, [ensureSynced, selectedChainId, contracts]);
+
+  // Drop the index for the selected chain and rebuild it from the deployment block
+  const resetIndex = useCallback(async () => {
+    await syncRef.current.promise.catch(() => {});
+    await clearIndexedEvents(selectedChainId);
+    syncRef.current = { key: null, promise: Promise.resolve() };
+    setLastSyncedBlock(null);
+    await ensureSynced();
+    setIndexVersion(prev => prev + 1);
+  }, [selectedChainId, ensureSynced]);
+
+  const value = {
+    syncing,
+    syncProgress,
+    lastSyncedBlock,
+    syncError,
+    indexVersion,
+    getEvents,
+    resetIndex
+  };
+
+  return (
+    <IndexerContext.Provider value={value}>
+      {children}
+    </IndexerContext.Provider>
+  );
+}
@@ -8,7 +8,21 @@ import JustGovernanceABI from '../config/abis/JustGovernanceUpgradeable.json';
 import JustTimelockABI from '../config/abis/JustTimelockUpgradeable.json';
 import JustAnalyticsHelperABI from '../config/abis/JustAnalyticsHelperUpgradeable.json';
 import JustDAOHelperABI from '../config/abis/JustDAOHelperUpgradeable.json';
-import { CONTRACT_ADDRESSES } from '../utils/constants.js';
+import { WALLET_REQUIRED_ERROR } from '../utils/constants.js';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { DEFAULT_CHAIN_ID, getDeployment, isSupportedChain, toHexChainId, getAddChainParams } from '../config/deployments';
+
+// localStorage key remembering the network picked in the UI
+const SELECTED_CHAIN_KEY = 'justdao.selectedChainId';
+
+const getStoredChainId = () => {
+  try {
+    const stored = parseInt(localStorage.getItem(SELECTED_CHAIN_KEY), 10);
+    return isSupportedChain(stored) ? stored : DEFAULT_CHAIN_ID;
+  } catch (error) {
+    return DEFAULT_CHAIN_ID;
+  }
+};
 
 const Web3Context = createContext();
  
@@ -21,7 +35,13 @@ export function Web3Provider({ children }) {
   const [signer, setSigner] = useState(null);
   const [account, setAccount] = useState('');
   const [isConnected, setIsConnected] = useState(false);
+  // Read-only mode: contracts are wired to a plain JSON-RPC provider, no wallet connected
+  const [isReadOnly, setIsReadOnly] = useState(false);
+  // Action that triggered the "connect your wallet" prompt (null when the prompt is closed)
+  const [walletPrompt, setWalletPrompt] = useState(null);
   const [networkId, setNetworkId] = useState(null);
+  // Chain whose deployment the dashboard is showing (see config/deployments.js)
+  const [selectedChainId, setSelectedChainId] = useState(getStoredChainId);
   const [isCorrectNetwork, setIsCorrectNetwork] = useState(false);
   const [contracts, setContracts] = useState({
     token: null,
@@ -36,27 +56,47 @@ export function Web3Provider({ children }) {
   const [refreshCounter, setRefreshCounter] = useState(0);
   const [connectionError, setConnectionError] = useState(null);
   
-  // Expected network is Sepolia (chainId 11155111)
-  const EXPECTED_NETWORK_ID = 11155111;
-  const NETWORK_NAME = "Sepolia";
+  const deployment = getDeployment(selectedChainId);
+  
+  // Remember the selected network across reloads
+  useEffect(() => {
+    try {
+      localStorage.setItem(SELECTED_CHAIN_KEY, String(selectedChainId));
+    } catch (error) {
+      console.warn("Could not persist selected network:", error);
+    }
+  }, [selectedChainId]);
   
   // Use refs to store functions that need to access other functions
   // This prevents dependency cycles without hooks
   const functionsRef = useRef({});
 
   // Initialize contracts function
-  functionsRef.current.initializeContracts = async (provider, signer) => {
+  // `signer` may be a plain provider, in which case the contracts are read-only
+  functionsRef.current.initializeContracts = async (provider, signer, chainId = selectedChainId) => {
     try {
       setContractsReady(false);
       const newContractErrors = {};
       const newContracts = {};
       
-      console.log("Initializing contracts with addresses:", CONTRACT_ADDRESSES);
+      const chainDeployment = getDeployment(chainId);
+      if (!chainDeployment) {
+        throw new Error(`No JustDAO deployment registered for chain ${chainId}`);
+      }
+      
+      // Look up a contract address, failing that contract's initialization if it is not configured
+      const addressOf = (key) => {
+        const address = chainDeployment.addresses[key];
+        if (!address) throw new Error(`No ${key} address configured for ${chainDeployment.name}`);
+        return address;
+      };
+      
+      console.log(`Initializing contracts on ${chainDeployment.name} with addresses:`, chainDeployment.addresses);
       
       // Initialize token contract
       try {
         const tokenContract = new ethers.Contract(
-          CONTRACT_ADDRESSES.token,
+          addressOf('token'),
           JustTokenABI.abi,
           signer
         );
@@ -72,7 +112,7 @@ export function Web3Provider({ children }) {
       // Initialize governance contract
       try {
         const governanceContract = new ethers.Contract(
-          CONTRACT_ADDRESSES.governance,
+          addressOf('governance'),
           JustGovernanceABI.abi,
           signer
         );
@@ -94,7 +134,7 @@ export function Web3Provider({ children }) {
       // Initialize timelock contract
       try {
         const timelockContract = new ethers.Contract(
-          CONTRACT_ADDRESSES.timelock,
+          addressOf('timelock'),
           JustTimelockABI.abi,
           signer
         );
@@ -115,7 +155,7 @@ export function Web3Provider({ children }) {
       // Initialize analytics helper contract
       try {
         const analyticsHelperContract = new ethers.Contract(
-          CONTRACT_ADDRESSES.analyticsHelper,
+          addressOf('analyticsHelper'),
           JustAnalyticsHelperABI.abi,
           signer
         );
@@ -130,7 +170,7 @@ export function Web3Provider({ children }) {
       // Initialize DAO helper contract
       try {
         const daoHelperContract = new ethers.Contract(
-          CONTRACT_ADDRESSES.daoHelper,
+          addressOf('daoHelper'),
           JustDAOHelperABI.abi,
           signer
         );
@@ -164,13 +204,42 @@ export function Web3Provider({ children }) {
     }
   };
 
+  // Fall back to read-only mode: wire all contracts to the configured JSON-RPC endpoint
+  functionsRef.current.connectReadOnly = async (chainId = selectedChainId) => {
+    try {
+      const rpcUrl = getDeployment(chainId)?.rpcUrls[0];
+      if (!rpcUrl) throw new Error(`No RPC URL configured for chain ${chainId}`);
+      
+      const rpcProvider = new ethers.providers.JsonRpcProvider(rpcUrl, chainId);
+      
+      setProvider(rpcProvider);
+      setSigner(null);
+      setIsReadOnly(true);
+      setNetworkId(chainId);
+      setIsCorrectNetwork(true);
+      
+      console.log("No wallet connected, browsing in read-only mode via", rpcUrl);
+      
+      // initializeContracts reports failures through its result rather than throwing
+      const ready = await functionsRef.current.initializeContracts(rpcProvider, rpcProvider, chainId);
+      if (!ready) throw new Error(`JustDAO contracts could not be loaded on chain ${chainId}`);
+      return true;
+    } catch (error) {
+      console.error("Error initializing read-only provider:", error);
+      setIsReadOnly(false);
+      setConnectionError(`Could not load ${getDeployment(chainId)?.name || 'this network'} in read-only mode. Retry, pick another network or connect a wallet to continue.`);
+      return false;
+    }
+  };
+
   // Define handler functions and store in functionsRef
   functionsRef.current.handleAccountsChanged = (accounts) => {
     if (accounts.length === 0) {
-      // User has disconnected all accounts
+      // User has disconnected all accounts - keep browsing in read-only mode
       setIsConnected(false);
       setAccount('');
       setContractsReady(false);
+      functionsRef.current.connectReadOnly();
     } else {
       setAccount(accounts[0]);
       // Refresh contract data with new account
@@ -184,15 +253,22 @@ export function Web3Provider({ children }) {
 
   functionsRef.current.handleChainChanged = (chainIdHex) => {
     const chainId = parseInt(chainIdHex, 16);
-    // Reload the page when the chain changes
+    const supported = isSupportedChain(chainId);
     setNetworkId(chainId);
-    setIsCorrectNetwork(chainId === EXPECTED_NETWORK_ID);
+    setIsCorrectNetwork(supported);
     
-    // If network changed, reinitialize contracts
-    if (provider && isConnected) {
-      const signer = provider.getSigner();
+    // Follow the wallet onto any chain with a registered deployment
+    if (supported) {
+      setSelectedChainId(chainId);
+      
+      // The old provider is bound to the previous network, so build a new one
+      const web3Provider = new ethers.providers.Web3Provider(window.ethereum);
+      const signer = web3Provider.getSigner();
+      setProvider(web3Provider);
       setSigner(signer);
-      functionsRef.current.initializeContracts(provider, signer);
+      functionsRef.current.initializeContracts(web3Provider, signer, chainId);
+    } else {
+      setContractsReady(false);
     }
     
     console.log("Network changed to:", chainId);
@@ -216,11 +292,12 @@ export function Web3Provider({ children }) {
             setSigner(web3Provider.getSigner());
             setIsConnected(true);
             setNetworkId(chainId);
-            setIsCorrectNetwork(chainId === EXPECTED_NETWORK_ID);
+            setIsCorrectNetwork(isSupportedChain(chainId));
             
-            // Initialize contracts
-            if (chainId === EXPECTED_NETWORK_ID) {
-              await functionsRef.current.initializeContracts(web3Provider, web3Provider.getSigner());
+            // Initialize contracts for whichever registered network the wallet is on
+            if (isSupportedChain(chainId)) {
+              setSelectedChainId(chainId);
+              await functionsRef.current.initializeContracts(web3Provider, web3Provider.getSigner(), chainId);
             }
             
             // Set up listeners
@@ -229,12 +306,16 @@ export function Web3Provider({ children }) {
             
             console.log("Connected to wallet:", accounts[0]);
             console.log("Network:", network.name, "ChainId:", chainId);
+            return;
           }
         } catch (error) {
           console.error("Error checking wallet connection:", error);
           setConnectionError("Error connecting to wallet. Please try again.");
         }
       }
+      
+      // No wallet (or no connected account) - browse read-only
+      await functionsRef.current.connectReadOnly();
     };
     
     checkConnection();
@@ -248,14 +329,17 @@ export function Web3Provider({ children }) {
     };
   }, []); // No dependencies - this runs once on mount
 
-  async function switchToCorrectNetwork() {
+  async function switchToCorrectNetwork(chainId = selectedChainId) {
     if (!window.ethereum) return false;
     
+    const target = getDeployment(chainId);
+    if (!target) return false;
+    
     try {
-      // Try to switch to the Sepolia network
+      // Try to switch to the selected network
       await window.ethereum.request({
         method: 'wallet_switchEthereumChain',
-        params: [{ chainId: '0x' + EXPECTED_NETWORK_ID.toString(16) }],
+        params: [{ chainId: toHexChainId(chainId) }],
       });
       return true;
     } catch (error) {
@@ -264,33 +348,43 @@ export function Web3Provider({ children }) {
         try {
           await window.ethereum.request({
             method: 'wallet_addEthereumChain',
-            params: [
-              {
-                chainId: '0x' + EXPECTED_NETWORK_ID.toString(16),
-                chainName: 'Sepolia Test Network',
-                nativeCurrency: {
-                  name: 'Sepolia ETH',
-                  symbol: 'ETH',
-                  decimals: 18
-                },
-                rpcUrls: ['https://sepolia.infura.io/v3/'],
-                blockExplorerUrls: ['https://sepolia.etherscan.io/']
-              }
-            ],
+            params: [getAddChainParams(chainId)],
           });
           return true;
         } catch (addError) {
-          console.error("Error adding Sepolia network:", addError);
-          setConnectionError("Failed to add Sepolia network to your wallet.");
+          console.error(`Error adding ${target.name}:`, addError);
+          setConnectionError(`Failed to add ${target.name} to your wallet.`);
           return false;
         }
       }
       console.error("Error switching network:", error);
-      setConnectionError("Failed to switch to Sepolia network.");
+      setConnectionError(`Failed to switch to ${target.name}.`);
       return false;
     }
   }
 
+  // Network picker: show another deployment, switching the wallet along if one is connected
+  async function selectNetwork(chainId) {
+    const nextChainId = Number(chainId);
+    if (!isSupportedChain(nextChainId) || nextChainId === selectedChainId) return false;
+    
+    setConnectionError(null);
+    
+    if (isConnected) {
+      // The chainChanged listener re-initializes the contracts once the wallet has switched
+      return switchToCorrectNetwork(nextChainId);
+    }
+    
+    setSelectedChainId(nextChainId);
+    return functionsRef.current.connectReadOnly(nextChainId);
+  }
+
+  // Try read-only mode again after it failed, e.g. once the RPC endpoint is back
+  async function retryReadOnly() {
+    setConnectionError(null);
+    return functionsRef.current.connectReadOnly();
+  }
+
   async function connectWallet() {
     setConnectionError(null);
     try {
@@ -303,31 +397,38 @@ export function Web3Provider({ children }) {
         const accounts = await window.ethereum.request({ method: 'eth_requestAccounts' });
         
         // Get network info
-        const web3Provider = new ethers.providers.Web3Provider(window.ethereum);
-        const network = await web3Provider.getNetwork();
-        const chainId = network.chainId;
+        let web3Provider = new ethers.providers.Web3Provider(window.ethereum);
+        let network = await web3Provider.getNetwork();
+        let chainId = network.chainId;
         
-        // Check if we're on the correct network
-        const correctNetwork = chainId === EXPECTED_NETWORK_ID;
-        setIsCorrectNetwork(correctNetwork);
+        // Check if we're on the selected network
+        const correctNetwork = chainId === selectedChainId;
         
         // If not on correct network, prompt to switch
         if (!correctNetwork) {
           const networkSwitched = await switchToCorrectNetwork();
           if (!networkSwitched) {
-            setConnectionError(`Please switch to ${NETWORK_NAME} network to use this application.`);
+            setConnectionError(`Please switch to ${deployment?.name || 'a supported network'} to use this application.`);
             return false;
           }
+          
+          // The provider is bound to the old network - rebuild it after switching
+          web3Provider = new ethers.providers.Web3Provider(window.ethereum);
+          network = await web3Provider.getNetwork();
+          chainId = network.chainId;
         }
+        setIsCorrectNetwork(isSupportedChain(chainId));
         
         setAccount(accounts[0]);
         setProvider(web3Provider);
         setSigner(web3Provider.getSigner());
         setIsConnected(true);
+        setIsReadOnly(false);
+        setWalletPrompt(null);
         setNetworkId(chainId);
         
         // Initialize contracts
-        const success = await functionsRef.current.initializeContracts(web3Provider, web3Provider.getSigner());
+        const success = await functionsRef.current.initializeContracts(web3Provider, web3Provider.getSigner(), chainId);
         
         // Set up listeners
         window.ethereum.on('accountsChanged', functionsRef.current.handleAccountsChanged);
@@ -344,7 +445,7 @@ export function Web3Provider({ children }) {
       }
     } catch (error) {
       console.error("Error connecting to wallet:", error);
-      setConnectionError("Failed to connect to wallet: " + error.message);
+      setConnectionError("Failed to connect to wallet: " + getErrorMessage(error));
       return false;
     }
   }
@@ -375,6 +476,29 @@ export function Web3Provider({ children }) {
       window.ethereum.removeListener('accountsChanged', functionsRef.current.handleAccountsChanged);
       window.ethereum.removeListener('chainChanged', functionsRef.current.handleChainChanged);
     }
+    
+    // Keep the dashboard browsable after disconnecting
+    await functionsRef.current.connectReadOnly();
+  }
+
+  // Open the "connect your wallet" prompt for the given action
+  function requestWallet(action = 'continue') {
+    setWalletPrompt(action);
+  }
+
+  // Guard for write actions: without a wallet it opens the connect prompt and
+  // aborts the action with a WALLET_REQUIRED error before anything is sent
+  function requireWallet(action = 'continue') {
+    if (isConnected && signer) return;
+    
+    requestWallet(action);
+    const error = new Error(`Connect your wallet to ${action}.`);
+    error.code = WALLET_REQUIRED_ERROR;
+    throw error;
+  }
+
+  function dismissWalletPrompt() {
+    setWalletPrompt(null);
   }
 
   const value = {
@@ -382,8 +506,13 @@ export function Web3Provider({ children }) {
     signer,
     account,
     isConnected,
+    isReadOnly,
+    canWrite: isConnected && !!signer,
+    walletPrompt,
     networkId,
     isCorrectNetwork,
+    selectedChainId,
+    deployment,
     contracts,
     contractsReady,
     contractErrors,
@@ -392,7 +521,12 @@ export function Web3Provider({ children }) {
     connectWallet,
     disconnectWallet,
     refreshData,
-    switchToCorrectNetwork
+    switchToCorrectNetwork,
+    selectNetwork,
+    retryReadOnly,
+    requireWallet,
+    requestWallet,
+    dismissWalletPrompt
   };
 
   return (
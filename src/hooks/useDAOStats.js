@@ -1,13 +1,15 @@
 import { useState, useEffect, useCallback } from 'react';
 import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
+import { useIndexer } from '../contexts/IndexerContext';
 
 // Etherscan API key - you'll need to replace this with your actual API key
 // Ideally this should be in an environment variable
 const ETHERSCAN_API_KEY = "YourEtherscanAPIKey"; // Replace with your actual API key
 
 export function useDAOStats() {
-  const { contracts, contractsReady, refreshCounter, isConnected, account, networkId } = useWeb3();
+  const { contracts, contractsReady, refreshCounter, account, deployment } = useWeb3();
+  const { getEvents } = useIndexer();
   const [dashboardStats, setDashboardStats] = useState({
     totalHolders: 0,
     circulatingSupply: "0",
@@ -28,14 +30,8 @@ export function useDAOStats() {
       // If we have access to Etherscan API through the provider, we could use that
       // But since that's not reliably available, we'll use a direct approach
       
-      // 1. Get Transfer events to identify potential holders
-      const filter = contracts.token.filters.Transfer();
-      const blockNumber = await contracts.token.provider.getBlockNumber();
-      // Go back a reasonable number of blocks - adjust as needed for your token history
-      const fromBlock = Math.max(0, blockNumber - 100000); 
-      
-      console.log(`Querying transfer events from block ${fromBlock} to ${blockNumber}`);
-      const events = await contracts.token.queryFilter(filter, fromBlock);
+      // 1. Get Transfer events to identify potential holders (full history from the local index)
+      const events = await getEvents('token', 'Transfer');
       console.log(`Found ${events.length} transfer events`);
       
       // Get unique addresses from transfer events
@@ -141,7 +137,7 @@ export function useDAOStats() {
       // Return the known value from Etherscan as a fallback
       return 4;
     }
-  }, [contracts, account]);
+  }, [contracts, account, getEvents]);
 
   // Get token holders using Etherscan API
   const fetchTokenHoldersFromEtherscan = useCallback(async () => {
@@ -153,25 +149,16 @@ export function useDAOStats() {
     }
     
     try {
-      // Determine the appropriate Etherscan API URL based on network ID
-      let baseUrl = "https://api.etherscan.io/api";
-      
-      // Switch to the appropriate network API
-      if (networkId === 11155111) { // Sepolia
-        baseUrl = "https://api-sepolia.etherscan.io/api";
-      } else if (networkId === 5) { // Goerli
-        baseUrl = "https://api-goerli.etherscan.io/api";
-      } else if (networkId === 42161) { // Arbitrum
-        baseUrl = "https://api.arbiscan.io/api";
-      } else if (networkId === 137) { // Polygon
-        baseUrl = "https://api.polygonscan.com/api";
-      } else if (networkId === 10) { // Optimism
-        baseUrl = "https://api-optimistic.etherscan.io/api";
+      // Explorer API for the selected deployment (devnets have none)
+      const baseUrl = deployment?.explorerApiUrl;
+      if (!baseUrl) {
+        console.warn("No explorer API configured for this network, counting holders directly");
+        return await fetchTokenHoldersDirect();
       }
       
       // Prepare the Etherscan API request to get token holder count
       const tokenAddress = contracts.token.address;
-      const url = `${baseUrl}?module=token&action=tokenholderlist&contractaddress=${tokenAddress}&apikey=${ETHERSCAN_API_KEY}`;
+      const url = `${baseUrl}?chainid=${deployment.chainId}&module=token&action=tokenholderlist&contractaddress=${tokenAddress}&apikey=${ETHERSCAN_API_KEY}`;
       
       console.log("Requesting token holder data from Etherscan...");
       const response = await fetch(url);
@@ -187,7 +174,7 @@ export function useDAOStats() {
         console.warn("Etherscan API did not return holder data:", data.message || "Unknown error");
         
         // Try alternative API endpoint for holder count (more limited but might work)
-        const statsUrl = `${baseUrl}?module=token&action=tokeninfo&contractaddress=${tokenAddress}&apikey=${ETHERSCAN_API_KEY}`;
+        const statsUrl = `${baseUrl}?chainid=${deployment.chainId}&module=token&action=tokeninfo&contractaddress=${tokenAddress}&apikey=${ETHERSCAN_API_KEY}`;
         const statsResponse = await fetch(statsUrl);
         const statsData = await statsResponse.json();
         
@@ -209,7 +196,7 @@ export function useDAOStats() {
       // Fall back to direct counting method
       return await fetchTokenHoldersDirect();
     }
-  }, [contracts, networkId, fetchTokenHoldersDirect]);
+  }, [contracts, deployment, fetchTokenHoldersDirect]);
 
   // Fetch supply data including total and circulating supply
   const fetchSupplyData = useCallback(async () => {
@@ -291,24 +278,11 @@ export function useDAOStats() {
             // findLatestProposalId might be internal, so we need a fallback
             latestProposalId = await contracts.analyticsHelper.findLatestProposalId();
           } catch (error) {
-            // Use binary search to find the highest valid proposal ID
-            let low = 0;
-            let high = 100; // Reasonable starting upper limit
-            
-            while (low <= high) {
-              const mid = Math.floor((low + high) / 2);
-              
-              try {
-                await contracts.governance.getProposalState(mid);
-                // If we get here, this ID exists
-                low = mid + 1;
-              } catch (error) {
-                // This ID doesn't exist, so look lower
-                high = mid - 1;
-              }
-            }
-            
-            latestProposalId = high;
+            // Fall back to the proposal creation events in the local index
+            const creationEvents = await getEvents('governance', 'ProposalEvent', args => args.eventType === 0);
+            latestProposalId = creationEvents.reduce(
+              (max, event) => Math.max(max, Number(event.args.proposalId)), -1
+            );
           }
 
           if (latestProposalId > 0) {
@@ -355,27 +329,11 @@ export function useDAOStats() {
         }
       }
       
-      // If we couldn't get the count directly, use binary search
+      // If we couldn't get the count directly, count the indexed creation events
       if (totalProposals === 0) {
-        // Binary search approach to find the highest valid proposal ID
-        let low = 0;
-        let high = 1000; // Reasonable upper limit
-        
-        while (low <= high) {
-          const mid = Math.floor((low + high) / 2);
-          
-          try {
-            await contracts.governance.getProposalState(mid);
-            // If we get here, this ID exists
-            low = mid + 1;
-          } catch (error) {
-            // This ID doesn't exist, so look lower
-            high = mid - 1;
-          }
-        }
-        
-        totalProposals = high + 1; // +1 because IDs are 0-indexed
-        console.log("Total proposals from binary search:", totalProposals);
+        const creationEvents = await getEvents('governance', 'ProposalEvent', args => args.eventType === 0);
+        totalProposals = new Set(creationEvents.map(event => event.args.proposalId)).size;
+        console.log("Total proposals from creation events:", totalProposals);
       }
       
       // Count active and successful proposals
@@ -424,7 +382,7 @@ export function useDAOStats() {
         proposalSuccessRate: 0
       };
     }
-  }, [contracts]);
+  }, [contracts, getEvents]);
 
   // Fetch governance metrics - delegation and participation rates
   const fetchGovernanceMetrics = useCallback(async () => {
@@ -572,7 +530,8 @@ export function useDAOStats() {
   }, [contracts]);
 
   const loadDashboardData = useCallback(async () => {
-    if (!isConnected || !contractsReady || !contracts.token || !contracts.governance) {
+    // Works in read-only mode too - only the contracts are required
+    if (!contractsReady || !contracts.token || !contracts.governance) {
       return;
     }
 
@@ -615,7 +574,6 @@ export function useDAOStats() {
   }, [
     contracts, 
     contractsReady, 
-    isConnected, 
     fetchTokenHoldersFromEtherscan, 
     fetchSupplyData, 
     fetchProposalStats, 
@@ -624,18 +582,17 @@ export function useDAOStats() {
 
   // Load dashboard data when dependencies change
   useEffect(() => {
-    if (isConnected && contractsReady) {
+    if (contractsReady) {
       loadDashboardData();
     } else {
-      // Reset stats when disconnected
+      // Reset stats while contracts are unavailable
       setDashboardStats(prev => ({
         ...prev,
-        isLoading: !isConnected || !contractsReady,
-        errorMessage: !isConnected ? "Not connected to wallet" : 
-                      !contractsReady ? "Contracts not initialized" : null
+        isLoading: true,
+        errorMessage: "Contracts not initialized"
       }));
     }
-  }, [loadDashboardData, contractsReady, isConnected, refreshCounter, account]);
+  }, [loadDashboardData, contractsReady, refreshCounter, account]);
 
   // Format percentage values for display
   const formatPercentage = (value) => {
@@ -1,9 +1,14 @@
 import { useState, useEffect, useCallback } from 'react';
 import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
+import { simulateOrThrow } from '../utils/txSimulation';
+import { getErrorMessage } from '../utils/errorDecoder';
 
-export function useDelegation() {
-  const { contracts, account, isConnected, contractsReady, refreshCounter } = useWeb3();
+// `address` lets read-only visitors inspect any holder; defaults to the connected account
+export function useDelegation(address) {
+  const { contracts, account, contractsReady, canWrite, requireWallet, refreshCounter } = useWeb3();
+  const targetAddress = address || account;
+  const isOwnAccount = !!account && !!targetAddress && targetAddress.toLowerCase() === account.toLowerCase();
   const [delegationInfo, setDelegationInfo] = useState({
     currentDelegate: null,
     lockedTokens: "0",
@@ -15,7 +20,7 @@ export function useDelegation() {
   const [error, setError] = useState(null);
 
   const fetchDelegationInfo = useCallback(async () => {
-    if (!isConnected || !contractsReady || !contracts.token || !account) {
+    if (!contractsReady || !contracts.token || !targetAddress) {
       setLoading(false);
       return;
     }
@@ -24,22 +29,22 @@ export function useDelegation() {
       setLoading(true);
       setError(null);
       
-      console.log("Fetching delegation info for account:", account);
+      console.log("Fetching delegation info for account:", targetAddress);
       
       // Get user balance first to use for voting power calculations
-      const userBalance = await contracts.token.balanceOf(account);
+      const userBalance = await contracts.token.balanceOf(targetAddress);
       const formattedBalance = ethers.utils.formatEther(userBalance);
       
       // Get current delegate
-      const currentDelegate = await contracts.token.getDelegate(account);
+      const currentDelegate = await contracts.token.getDelegate(targetAddress);
       console.log("Current delegate:", currentDelegate);
       
       // Check if self-delegated (if delegate is self or zero address, consider it self-delegated)
-      const isSelfDelegated = currentDelegate === account || 
+      const isSelfDelegated = currentDelegate.toLowerCase() === targetAddress.toLowerCase() || 
                              currentDelegate === ethers.constants.AddressZero;
       
       // Check actual locked tokens from contract
-      let lockedTokens = await contracts.token.getLockedTokens(account);
+      let lockedTokens = await contracts.token.getLockedTokens(targetAddress);
       
       // IMPORTANT: Force tokens to be unlocked if self-delegated
       // This ensures correct reporting regardless of contract state
@@ -51,20 +56,22 @@ export function useDelegation() {
         lockedTokens = ethers.BigNumber.from(0);
         
         // Attempt to unlock tokens if they're incorrectly locked
-        try {
-          // This is a safety check - only try to call unlockTokens if the contract state is inconsistent
-          const unlockTx = await contracts.token.unlockTokens({
-            gasLimit: 200000
-          });
-          await unlockTx.wait();
-          console.log("Performed emergency token unlock due to inconsistent state");
-        } catch (unlockErr) {
-          console.warn("Could not perform emergency unlock:", unlockErr.message);
+        // (only possible for the connected wallet's own account)
+        if (canWrite && isOwnAccount) {
+          try {
+            // This is a safety check - only try to call unlockTokens if the contract state is inconsistent
+            const unlockOverrides = await simulateOrThrow(contracts.token, 'unlockTokens');
+            const unlockTx = await contracts.token.unlockTokens(unlockOverrides);
+            await unlockTx.wait();
+            console.log("Performed emergency token unlock due to inconsistent state");
+          } catch (unlockErr) {
+            console.warn("Could not perform emergency unlock:", unlockErr.message);
+          }
         }
       }
       
       // Get list of addresses delegating to this user
-      const delegatorAddresses = await contracts.token.getDelegatorsOf(account);
+      const delegatorAddresses = await contracts.token.getDelegatorsOf(targetAddress);
       
       // Get each delegator's balance
       const delegators = await Promise.all(
@@ -88,7 +95,7 @@ export function useDelegation() {
       // FIXED: Calculate delegatedToYou correctly by filtering out self-delegation
       // and manually summing the balances of other users who delegated to you
       const filteredDelegators = delegators.filter(
-        delegator => delegator.address.toLowerCase() !== account.toLowerCase()
+        delegator => delegator.address.toLowerCase() !== targetAddress.toLowerCase()
       );
       
       const delegatedToYou = filteredDelegators.reduce(
@@ -106,6 +113,8 @@ export function useDelegation() {
       const displayLockedTokens = isSelfDelegated ? "0" : formattedBalance;
       
       setDelegationInfo({
+        address: targetAddress,
+        balance: formattedBalance,
         currentDelegate,
         // Override contract's lockedTokens value for UI consistency
         lockedTokens: displayLockedTokens,
@@ -130,20 +139,21 @@ export function useDelegation() {
     } finally {
       setLoading(false);
     }
-  }, [contracts, account, isConnected, contractsReady]);
+  }, [contracts, targetAddress, isOwnAccount, canWrite, contractsReady]);
 
   // Rest of the code remains the same...
   
   // Load delegation info on initial load and when dependencies change
   useEffect(() => {
-    if (isConnected && contractsReady) {
+    if (contractsReady) {
       fetchDelegationInfo();
     }
-  }, [fetchDelegationInfo, isConnected, contractsReady, refreshCounter]);
+  }, [fetchDelegationInfo, contractsReady, refreshCounter]);
 
   // Delegate voting power to another address
   const delegate = async (delegateeAddress) => {
-    if (!isConnected || !contractsReady) throw new Error("Not connected");
+    requireWallet("delegate your voting power");
+    if (!contractsReady) throw new Error("Not connected");
     if (!contracts.token) throw new Error("Token contract not initialized");
     if (!ethers.utils.isAddress(delegateeAddress)) throw new Error("Invalid address format");
     
@@ -160,30 +170,25 @@ export function useDelegation() {
       
       // First check for potential delegation issues
       if (contracts.daoHelper) {
+        let warningLevel = 0;
         try {
-          const warningLevel = await contracts.daoHelper.checkDelegationDepthWarning(account, delegateeAddress);
-          
-          if (warningLevel === 3) {
-            throw new Error("This delegation would exceed the maximum delegation depth limit or create a cycle");
-          } else if (warningLevel === 2) {
-            console.warn("This delegation will reach the maximum allowed delegation depth");
-          } else if (warningLevel === 1) {
-            console.warn("This delegation is getting close to the maximum depth limit");
-          }
+          warningLevel = await contracts.daoHelper.checkDelegationDepthWarning(account, delegateeAddress);
         } catch (depthErr) {
-          // Only throw if this was an actual depth error, not a contract call error
-          if (depthErr.message.includes("delegation")) {
-            throw depthErr;
-          } else {
-            console.warn("Could not check delegation depth:", depthErr);
-          }
+          console.warn("Could not check delegation depth:", getErrorMessage(depthErr));
+        }
+        
+        if (warningLevel === 3) {
+          throw new Error("This delegation would exceed the maximum delegation depth limit or create a cycle");
+        } else if (warningLevel === 2) {
+          console.warn("This delegation will reach the maximum allowed delegation depth");
+        } else if (warningLevel === 1) {
+          console.warn("This delegation is getting close to the maximum depth limit");
         }
       }
       
-      // Execute the delegation
-      const tx = await contracts.token.delegate(delegateeAddress, {
-        gasLimit: 300000 // Set a reasonable gas limit
-      });
+      // Simulate, then execute the delegation
+      const txOverrides = await simulateOrThrow(contracts.token, 'delegate', [delegateeAddress]);
+      const tx = await contracts.token.delegate(delegateeAddress, txOverrides);
       
       await tx.wait();
       console.log("Delegation transaction confirmed");
@@ -194,7 +199,7 @@ export function useDelegation() {
       return true;
     } catch (err) {
       console.error("Error delegating:", err);
-      setError(err.message);
+      setError(getErrorMessage(err));
       throw err;
     } finally {
       setLoading(false);
@@ -203,7 +208,8 @@ export function useDelegation() {
 
   // Reset delegation (self-delegate)
   const resetDelegation = async () => {
-    if (!isConnected || !contractsReady) throw new Error("Not connected");
+    requireWallet("reset your delegation");
+    if (!contractsReady) throw new Error("Not connected");
     if (!contracts.token) throw new Error("Token contract not initialized");
     
     // Check if already self-delegated to prevent unnecessary transactions
@@ -220,9 +226,8 @@ export function useDelegation() {
         console.log("Found locked tokens even though self-delegated, attempting to unlock");
         try {
           // Call explicit unlock if tokens are still locked (backup)
-          const unlockTx = await contracts.token.unlockTokens({
-            gasLimit: 200000
-          });
+          const unlockOverrides = await simulateOrThrow(contracts.token, 'unlockTokens');
+          const unlockTx = await contracts.token.unlockTokens(unlockOverrides);
           await unlockTx.wait();
           console.log("Unlock transaction confirmed");
           
@@ -243,9 +248,8 @@ export function useDelegation() {
       console.log("Resetting delegation to self");
       
       // Call the resetDelegation method to self-delegate
-      const tx = await contracts.token.resetDelegation({
-        gasLimit: 200000
-      });
+      const txOverrides = await simulateOrThrow(contracts.token, 'resetDelegation');
+      const tx = await contracts.token.resetDelegation(txOverrides);
       
       await tx.wait();
       console.log("Reset delegation transaction confirmed");
@@ -259,9 +263,8 @@ export function useDelegation() {
         // Add explicit unlock call - many token contracts require this
         // If your contract doesn't have this method, you might need to modify this part
         try {
-          const unlockTx = await contracts.token.unlockTokens({
-            gasLimit: 200000
-          });
+          const unlockOverrides = await simulateOrThrow(contracts.token, 'unlockTokens');
+          const unlockTx = await contracts.token.unlockTokens(unlockOverrides);
           await unlockTx.wait();
           console.log("Unlock transaction confirmed");
         } catch (unlockErr) {
@@ -275,7 +278,7 @@ export function useDelegation() {
       return true;
     } catch (err) {
       console.error("Error resetting delegation:", err);
-      setError(err.message);
+      setError(getErrorMessage(err));
       throw err;
     } finally {
       setLoading(false);
@@ -284,7 +287,7 @@ export function useDelegation() {
 
   // Get delegation depth warning info
   const getDelegationDepthWarning = async (delegator, delegatee) => {
-    if (!isConnected || !contractsReady) throw new Error("Not connected");
+    if (!contractsReady) throw new Error("Not connected");
     
     // If trying to delegate to self, return no warning (it's just a reset)
     if (delegator.toLowerCase() === delegatee.toLowerCase()) {
@@ -379,6 +382,8 @@ export function useDelegation() {
     delegationInfo,
     loading,
     error,
+    canWrite,
+    isOwnAccount,
     delegate,
     resetDelegation,
     fetchDelegationInfo,
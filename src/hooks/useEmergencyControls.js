@@ -0,0 +1,111 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useIndexer } from '../contexts/IndexerContext';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { simulateTransaction, simulateOrThrow } from '../utils/txSimulation';
+import { multicall } from '../utils/multicall';
+import { ROLE_CONTRACTS } from '../utils/roles';
+import { PAUSE_EVENTS, getPauseCall, buildPauseHistory } from '../utils/pause';
+
+// paused() of every JustDAO contract and the pause history rebuilt from the event index,
+// plus pausing / unpausing any subset of the contracts in one go
+export function useEmergencyControls() {
+  const { contracts, contractsReady, provider, account, requireWallet, refreshCounter, refreshData } = useWeb3();
+  const { getEvents } = useIndexer();
+  const [statuses, setStatuses] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadEmergencyStatus = useCallback(async () => {
+    if (!contractsReady || !provider) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const available = ROLE_CONTRACTS.filter(entry => contracts[entry.key]);
+      const [pausedResults, eventLists] = await Promise.all([
+        multicall(provider, available.map(entry => ({ contract: contracts[entry.key], method: 'paused' }))),
+        Promise.all(available.flatMap(entry => PAUSE_EVENTS.map(eventName => getEvents(entry.key, eventName))))
+      ]);
+
+      // paused is null when the contract couldn't be read
+      setStatuses(available.map((entry, idx) => ({
+        ...entry,
+        paused: pausedResults[idx].success ? pausedResults[idx].value : null
+      })));
+      setHistory(buildPauseHistory(eventLists.flat()));
+    } catch (err) {
+      console.error("Error loading emergency status:", err);
+      setError("Failed to load emergency status: " + getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  }, [contracts, contractsReady, provider, getEvents]);
+
+  useEffect(() => {
+    loadEmergencyStatus();
+  }, [loadEmergencyStatus, refreshCounter]);
+
+  // Dry-run pausing or unpausing one contract from the connected account; null without a wallet
+  const previewPauseChange = useCallback(async (contractKey, pause) => {
+    const contract = contracts[contractKey];
+    if (!account || !contract) return null;
+
+    const { method, args } = getPauseCall(contract, pause);
+    return simulateTransaction(contract, method, args);
+  }, [contracts, account]);
+
+  // Pause or unpause each of `contractKeys` in turn. A failing contract doesn't stop the rest, but a
+  // rejected wallet prompt does and the remaining contracts are left out of the results.
+  // onProgress(contractKey, {status, hash, error}) reports 'sending', 'pending', 'done' or 'failed'.
+  const changePauseState = async (contractKeys, pause, onProgress = () => {}) => {
+    requireWallet(pause ? 'pause contracts' : 'unpause contracts');
+    const results = [];
+
+    for (const contractKey of contractKeys) {
+      const contract = contracts[contractKey];
+      let hash = null;
+
+      try {
+        if (!contract) throw new Error("Contract not initialized");
+        onProgress(contractKey, { status: 'sending' });
+
+        const { method, args } = getPauseCall(contract, pause);
+        const txOverrides = await simulateOrThrow(contract, method, args);
+        const tx = await contract[method](...args, txOverrides);
+        hash = tx.hash;
+        onProgress(contractKey, { status: 'pending', hash });
+
+        await tx.wait();
+        onProgress(contractKey, { status: 'done', hash });
+        results.push({ contractKey, success: true, hash });
+      } catch (err) {
+        console.error(`Error trying to ${pause ? 'pause' : 'unpause'} ${contractKey}:`, err);
+        const message = getErrorMessage(err, `Failed to ${pause ? 'pause' : 'unpause'}`);
+        onProgress(contractKey, { status: 'failed', hash, error: message });
+        results.push({ contractKey, success: false, hash, error: message });
+        // Rejecting one wallet prompt stops the batch
+        if (err.code === 'ACTION_REJECTED' || err.code === 4001) break;
+      }
+    }
+
+    // Refresh all data - this also re-syncs the event index
+    refreshData();
+    return results;
+  };
+
+  return {
+    statuses,
+    history,
+    loading,
+    error,
+    reload: loadEmergencyStatus,
+    previewPauseChange,
+    changePauseState
+  };
+}
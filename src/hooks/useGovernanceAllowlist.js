@@ -0,0 +1,143 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useIndexer } from '../contexts/IndexerContext';
+import { simulateOrThrow } from '../utils/txSimulation';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { CALLDATA_SOURCES, getSelectorSignature } from '../utils/calldataDecoder';
+import { NO_SELECTOR, NO_TARGET, replayAllowlist, buildAllowlistAudit } from '../utils/allowlist';
+
+// Target and function selector allowlist of JustGovernance, rebuilt from SecuritySettingUpdated
+// history and checked against allowedTargets / allowedFunctionSelectors
+export function useGovernanceAllowlist() {
+  const { contracts, contractsReady, deployment, provider, account, requireWallet, refreshCounter, refreshData } = useWeb3();
+  const { getEvents } = useIndexer();
+  const [targets, setTargets] = useState([]);
+  const [selectors, setSelectors] = useState([]);
+  const [audit, setAudit] = useState([]);
+  const [isAdmin, setIsAdmin] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Contract name of a deployment address, if it is one
+  const getTargetLabel = useCallback((address) => {
+    const addresses = deployment?.addresses || {};
+    const source = CALLDATA_SOURCES.find(entry =>
+      addresses[entry.key] && addresses[entry.key].toLowerCase() === address.toLowerCase());
+    return source ? source.contract : null;
+  }, [deployment]);
+
+  const loadAllowlist = useCallback(async () => {
+    if (!contractsReady || !contracts.governance) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const governance = contracts.governance;
+      const events = await getEvents('governance', 'SecuritySettingUpdated');
+      const replayed = replayAllowlist(events);
+
+      // The contract is the source of truth; the events only tell us which keys to ask about
+      const [targetEntries, selectorEntries] = await Promise.all([
+        Promise.all(Object.entries(replayed.targets).map(async ([address, entry]) => ({
+          ...entry,
+          address,
+          label: getTargetLabel(address),
+          allowed: await governance.allowedTargets(address)
+        }))),
+        Promise.all(Object.entries(replayed.selectors).map(async ([selector, entry]) => ({
+          ...entry,
+          selector,
+          signature: getSelectorSignature(selector),
+          allowed: await governance.allowedFunctionSelectors(selector)
+        })))
+      ]);
+
+      // Who sent each change - the event itself doesn't record it
+      const senders = {};
+      await Promise.all([...new Set(events.map(event => event.transactionHash))].map(async (hash) => {
+        try {
+          const tx = await provider.getTransaction(hash);
+          senders[hash] = tx ? tx.from : null;
+        } catch (err) {
+          console.warn(`Couldn't load sender of ${hash}:`, err);
+          senders[hash] = null;
+        }
+      }));
+
+      setTargets(targetEntries.filter(entry => entry.allowed));
+      setSelectors(selectorEntries.filter(entry => entry.allowed));
+      setAudit(buildAllowlistAudit(events).map(entry => ({
+        ...entry,
+        sender: senders[entry.transactionHash],
+        changes: entry.changes.map(change => ({
+          ...change,
+          label: change.kind === 'target' ? getTargetLabel(change.value) : getSelectorSignature(change.value)
+        }))
+      })));
+    } catch (err) {
+      console.error("Error loading governance allowlist:", err);
+      setError("Failed to load the governance allowlist: " + getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  }, [contracts, contractsReady, provider, getEvents, getTargetLabel]);
+
+  useEffect(() => {
+    loadAllowlist();
+  }, [loadAllowlist, refreshCounter]);
+
+  // Only governance admins can change the allowlist
+  useEffect(() => {
+    if (!contracts.governance || !account) {
+      setIsAdmin(false);
+      return;
+    }
+
+    contracts.governance.ADMIN_ROLE()
+      .then(role => contracts.governance.hasRole(role, account))
+      .then(setIsAdmin)
+      .catch(err => {
+        console.warn("Couldn't check governance admin role:", err);
+        setIsAdmin(false);
+      });
+  }, [contracts, account, refreshCounter]);
+
+  /**
+   * Allow or disallow a selector and/or a target in one updateSecurity call.
+   * Leave `selector` or `target` empty to change only the other one - the contract skips the
+   * zero placeholder sent in its place (see utils/allowlist.js).
+   */
+  const updateAllowlist = async ({ selector, selectorAllowed = false, target, targetAllowed = false }) => {
+    requireWallet("update the governance allowlist");
+    if (!contracts.governance) throw new Error("Governance contract not initialized");
+
+    const args = [
+      selector || NO_SELECTOR,
+      selector ? selectorAllowed : false,
+      target || NO_TARGET,
+      target ? targetAllowed : false
+    ];
+    const txOverrides = await simulateOrThrow(contracts.governance, 'updateSecurity', args);
+    const tx = await contracts.governance.updateSecurity(...args, txOverrides);
+    await tx.wait();
+
+    // Refresh all data - this also re-syncs the event index
+    refreshData();
+    return true;
+  };
+
+  return {
+    targets,
+    selectors,
+    audit,
+    isAdmin,
+    loading,
+    error,
+    reload: loadAllowlist,
+    updateAllowlist
+  };
+}
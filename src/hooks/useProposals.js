@@ -1,14 +1,35 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
-import { PROPOSAL_STATES, PROPOSAL_TYPES } from '../utils/constants';
+import { useIndexer } from '../contexts/IndexerContext';
+import { PROPOSAL_STATES, PROPOSAL_TYPES, PROPOSAL_EVENT_TYPES, SIMULATION_FAILED_ERROR } from '../utils/constants';
+import { sameAddress } from '../utils/eventIndexer';
+import { decodeProposalEventData } from '../utils/proposalTimeline';
+import { tallyVotes } from '../utils/votes';
+import { simulateOrThrow } from '../utils/txSimulation';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { getExecutorEligibility, describeExecutorGap } from '../utils/executorEligibility';
+import { checkProposalCall, describeAllowlistViolation } from '../utils/allowlist';
+import { getSelectorSignature } from '../utils/calldataDecoder';
+
+// Number of proposals loaded per page
+const PROPOSALS_PAGE_SIZE = 10;
+
+// States a proposal can still move out of - everything else is final and never re-fetched
+const MUTABLE_STATES = [PROPOSAL_STATES.ACTIVE, PROPOSAL_STATES.SUCCEEDED, PROPOSAL_STATES.QUEUED];
 
 export function useProposals() {
-  const { contracts, account, isConnected, contractsReady, refreshCounter } = useWeb3();
+  const { contracts, account, contractsReady, canWrite, requireWallet, refreshCounter, refreshData } = useWeb3();
+  const { getEvents } = useIndexer();
   const [proposals, setProposals] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [tokenHolders, setTokenHolders] = useState([]);
+  const [totalProposals, setTotalProposals] = useState(0);
+  const [visibleCount, setVisibleCount] = useState(PROPOSALS_PAGE_SIZE);
+  const [loadingMore, setLoadingMore] = useState(false);
+  // Loaded proposal details by ID, kept across refreshes
+  const proposalCacheRef = useRef(new Map());
   const [createProposalStatus, setCreateProposalStatus] = useState({
     isSubmitting: false,
     error: null,
@@ -29,9 +50,10 @@ export function useProposals() {
       let voteType = null;
       
       try {
-        // Try querying VoteCast events for this proposal and voter
-        const filter = contracts.governance.filters.VoteCast(proposalId, voter);
-        const events = await contracts.governance.queryFilter(filter);
+        // Look up indexed VoteCast events for this proposal and voter
+        const events = await getEvents('governance', 'VoteCast', args =>
+          args.proposalId === String(proposalId) && sameAddress(args.voter, voter)
+        );
         
         if (events.length > 0) {
           // Use the most recent vote event
@@ -51,7 +73,7 @@ export function useProposals() {
       console.error("Error getting vote details:", err);
       return { hasVoted: false, voteType: null, votingPower: "0" };
     }
-  }, [contracts]);
+  }, [contracts, getEvents]);
 
   // Helper function to extract title and description
   const extractTitleAndDescription = useCallback((rawDescription) => {
@@ -112,9 +134,11 @@ export function useProposals() {
       // This will give us access to the input data which contains all proposal details
       const provider = contracts.governance.provider;
       
-      // Create a filter for ProposalEvent events related to this proposal
-      const filter = contracts.governance.filters.ProposalEvent(proposalId, 0); // Type 0 is creation event
-      const events = await contracts.governance.queryFilter(filter);
+      // All indexed ProposalEvent events for this proposal, split by type below
+      const proposalEvents = await getEvents('governance', 'ProposalEvent', args =>
+        args.proposalId === String(proposalId)
+      );
+      const events = proposalEvents.filter(event => event.args.eventType === PROPOSAL_EVENT_TYPES.CREATED);
       
       if (events.length === 0) {
         // If no events found, create a minimal proposal object
@@ -129,6 +153,9 @@ export function useProposals() {
           yesVotes: "0",
           noVotes: "0",
           abstainVotes: "0",
+          yesVotesWei: "0",
+          noVotesWei: "0",
+          abstainVotesWei: "0",
           hasVoted: false,
           snapshotId: 0,
           target: ethers.constants.AddressZero,
@@ -145,11 +172,14 @@ export function useProposals() {
       // Get the transaction that created the proposal
       const txHash = creationEvent.transactionHash;
       const tx = await provider.getTransaction(txHash);
-      const txReceipt = await provider.getTransactionReceipt(txHash);
       
-      // Get timestamp for the block
-      const block = await provider.getBlock(txReceipt.blockNumber);
-      const createdAt = new Date(block.timestamp * 1000);
+      // Get timestamp for the block (the indexer stores it with the event)
+      let timestamp = creationEvent.timestamp;
+      if (!timestamp) {
+        const block = await provider.getBlock(creationEvent.blockNumber);
+        timestamp = block.timestamp;
+      }
+      const createdAt = new Date(timestamp * 1000);
       
       // Parse the input data to get proposal details
       // The createProposal function signature looks like:
@@ -191,49 +221,30 @@ export function useProposals() {
       const proposer = creationEvent.args.actor;
       let snapshotId = 0;
       
-      // Try to decode the data field which contains type and snapshotId
-      try {
-        const data = creationEvent.args.data;
-        const decoded = ethers.utils.defaultAbiCoder.decode(['uint8', 'uint256'], data);
-        proposalType = Number(decoded[0]);
-        snapshotId = decoded[1].toNumber();
-      } catch (err) {
-        console.warn("Couldn't decode event data:", err);
+      // The data field of the creation event contains type and snapshotId
+      const creationData = decodeProposalEventData(PROPOSAL_EVENT_TYPES.CREATED, creationEvent.args.data);
+      if (creationData) {
+        proposalType = creationData.proposalType;
+        snapshotId = Number(creationData.snapshotId);
+      } else {
+        console.warn(`Couldn't decode creation event data for proposal ${proposalId}`);
       }
       
-      // Try to get vote counts (this is challenging without direct access)
-      let yesVotes = "0";
-      let noVotes = "0";
-      let abstainVotes = "0";
-      
-      // Look for vote events (event type 6)
-      const voteFilter = contracts.governance.filters.ProposalEvent(proposalId, 6); // Type 6 is vote event
-      const voteEvents = await contracts.governance.queryFilter(voteFilter);
-      
-      // Aggregate votes from events
-      for (const event of voteEvents) {
-        try {
-          const data = event.args.data;
-          const decoded = ethers.utils.defaultAbiCoder.decode(['uint8', 'uint256'], data);
-          const voteType = decoded[0].toNumber();
-          const votePower = ethers.utils.formatEther(decoded[1]);
-          
-          if (voteType === 1) { // FOR
-            yesVotes = (parseFloat(yesVotes) + parseFloat(votePower)).toString();
-          } else if (voteType === 0) { // AGAINST
-            noVotes = (parseFloat(noVotes) + parseFloat(votePower)).toString();
-          } else if (voteType === 2) { // ABSTAIN
-            abstainVotes = (parseFloat(abstainVotes) + parseFloat(votePower)).toString();
-          }
-        } catch (err) {
-          console.warn("Couldn't decode vote event:", err);
-        }
-      }
+      // Vote totals from indexed VoteCast events, summed exactly in wei
+      const voteEvents = await getEvents('governance', 'VoteCast', args =>
+        args.proposalId === String(proposalId)
+      );
+      const tally = tallyVotes(voteEvents);
+      const yesVotes = ethers.utils.formatEther(tally.for);
+      const noVotes = ethers.utils.formatEther(tally.against);
+      const abstainVotes = ethers.utils.formatEther(tally.abstain);
       
       // Calculate deadline based on voting duration (from governance parameters)
       let deadline = new Date(createdAt);
+      let quorum = "0";
       try {
         const govParams = await contracts.governance.govParams();
+        quorum = govParams.quorum.toString();
         deadline = new Date(createdAt.getTime() + (govParams.votingDuration.toNumber() * 1000));
       } catch (err) {
         console.warn("Couldn't get voting duration:", err);
@@ -241,6 +252,16 @@ export function useProposals() {
         deadline = new Date(createdAt.getTime() + (3 * 24 * 60 * 60 * 1000));
       }
       
+      // Token supply at the proposal's snapshot, to relate votes and quorum to it
+      let snapshotSupply = "0";
+      if (snapshotId) {
+        try {
+          snapshotSupply = (await contracts.token.totalSupplyAt(snapshotId)).toString();
+        } catch (err) {
+          console.warn(`Couldn't get snapshot supply for proposal ${proposalId}:`, err);
+        }
+      }
+      
       // Check if the user has voted on this proposal
       let hasVoted = false;
       let votedYes = false;
@@ -264,16 +285,14 @@ export function useProposals() {
       
       // Check for timelock transaction hash in queued event
       let timelockTxHash = ethers.constants.HashZero;
-      const queuedFilter = contracts.governance.filters.ProposalEvent(proposalId, 2); // Type 2 is queued event
-      const queuedEvents = await contracts.governance.queryFilter(queuedFilter);
+      const queuedEvents = proposalEvents.filter(event => event.args.eventType === PROPOSAL_EVENT_TYPES.QUEUED);
       
       if (queuedEvents.length > 0) {
-        try {
-          const data = queuedEvents[0].args.data;
-          const decoded = ethers.utils.defaultAbiCoder.decode(['bytes32'], data);
-          timelockTxHash = decoded[0];
-        } catch (err) {
-          console.warn("Couldn't decode queued event:", err);
+        const decoded = decodeProposalEventData(PROPOSAL_EVENT_TYPES.QUEUED, queuedEvents[0].args.data);
+        if (decoded) {
+          timelockTxHash = decoded.timelockTxHash;
+        } else {
+          console.warn(`Couldn't decode queued event for proposal ${proposalId}`);
         }
       }
       
@@ -291,6 +310,12 @@ export function useProposals() {
         yesVotes,
         noVotes,
         abstainVotes,
+        // Exact totals for vote arithmetic; the fields above are formatted for display
+        yesVotesWei: tally.for.toString(),
+        noVotesWei: tally.against.toString(),
+        abstainVotesWei: tally.abstain.toString(),
+        quorum,
+        snapshotSupply,
         timelockTxHash,
         hasVoted,
         votedYes,
@@ -307,122 +332,79 @@ export function useProposals() {
       console.warn(`Error loading proposal ${proposalId}:`, err);
       return null;
     }
-  }, [contracts, account, getProposalStateLabel, getProposalTypeLabel, getVoteDetails, extractTitleAndDescription]);
+  }, [contracts, account, getEvents, getProposalStateLabel, getProposalTypeLabel, getVoteDetails, extractTitleAndDescription]);
+
+  // Discover proposal IDs from indexed creation events, newest first
+  const getProposalIds = useCallback(async () => {
+    const creationEvents = await getEvents('governance', 'ProposalEvent', args => args.eventType === PROPOSAL_EVENT_TYPES.CREATED);
+    const ids = new Set(creationEvents.map(event => Number(event.args.proposalId)));
+    return Array.from(ids).sort((a, b) => b - a);
+  }, [getEvents]);
 
-  // Fetch proposals using enhanced approach
+  // Load the first `visibleCount` proposals. Proposals already in the cache are only
+  // re-fetched while their state can still change (Active, Succeeded, Queued).
   const fetchProposals = useCallback(async () => {
-    if (!isConnected || !contractsReady || !contracts.governance) {
+    // Reads only need contracts, which are also available in read-only mode
+    if (!contractsReady || !contracts.governance) {
       setLoading(false);
       return;
     }
     
     try {
-      setLoading(true);
+      // Keep showing the current list while a refresh or next page loads
+      if (proposalCacheRef.current.size === 0) {
+        setLoading(true);
+      } else {
+        setLoadingMore(true);
+      }
       setError(null);
       
-      console.log("Fetching proposals from governance contract...");
-      
-      // Find the upper limit of proposal IDs more efficiently
-      let maxId = -1;
-      try {
-        // Try a binary search approach to find the highest valid proposal ID
-        let low = 0;
-        let high = 100; // Start with a reasonable upper bound
-        
-        // First, find an upper bound that's definitely too high
-        let foundTooHigh = false;
-        while (!foundTooHigh) {
-          try {
-            await contracts.governance.getProposalState(high);
-            // If this succeeds, our high is still valid, double it
-            low = high;
-            high = high * 2;
-            if (high > 10000) {
-              // Set a reasonable maximum to prevent infinite loops
-              foundTooHigh = true;
-            }
-          } catch (err) {
-            // Found a proposal ID that doesn't exist
-            foundTooHigh = true;
-          }
-        }
-        
-        // Now do binary search between known low and high
-        while (low <= high) {
-          const mid = Math.floor((low + high) / 2);
-          
-          try {
-            await contracts.governance.getProposalState(mid);
-            // If we can get the state, this ID exists
-            low = mid + 1;
-          } catch (err) {
-            // If we can't get the state, this ID doesn't exist
-            high = mid - 1;
-          }
-        }
-        
-        maxId = high; // The highest valid proposal ID
-        console.log("Highest valid proposal ID:", maxId);
-      } catch (err) {
-        console.error("Error finding max proposal ID:", err);
-        maxId = -1; // Reset if something went wrong
-      }
+      console.log("Fetching proposals from indexed creation events...");
       
-      // If we didn't find any proposals, try a linear search for a small range
-      if (maxId === -1) {
-        for (let i = 0; i < 20; i++) {
-          try {
-            await contracts.governance.getProposalState(i);
-            maxId = i;
-          } catch (err) {
-            // Skip if proposal doesn't exist
-          }
-        }
-      }
+      const ids = await getProposalIds();
+      setTotalProposals(ids.length);
       
-      if (maxId === -1) {
+      if (ids.length === 0) {
         console.log("No proposals found");
         setProposals([]);
-        setLoading(false);
         return;
       }
       
-      // Fetch all proposals up to maxId with detailed information
-      const proposalData = [];
-      const uniqueProposers = new Set();
+      const visibleIds = ids.slice(0, visibleCount);
+      const cache = proposalCacheRef.current;
+      const staleIds = visibleIds.filter(id => {
+        const cached = cache.get(id);
+        return !cached || MUTABLE_STATES.includes(Number(cached.state));
+      });
       
       // Load proposals in batches to avoid overloading the provider
       const batchSize = 5;
-      for (let batch = 0; batch <= Math.ceil(maxId / batchSize); batch++) {
-        const batchPromises = [];
-        const startIdx = batch * batchSize;
-        const endIdx = Math.min(startIdx + batchSize, maxId + 1);
-        
-        for (let i = startIdx; i < endIdx; i++) {
-          batchPromises.push(getProposalDetailsFromEvents(i));
-        }
+      for (let i = 0; i < staleIds.length; i += batchSize) {
+        const batch = staleIds.slice(i, i + batchSize);
+        const batchResults = await Promise.allSettled(batch.map(id => getProposalDetailsFromEvents(id)));
         
-        const batchResults = await Promise.allSettled(batchPromises);
-        
-        batchResults.forEach(result => {
+        batchResults.forEach((result, idx) => {
           if (result.status === 'fulfilled' && result.value) {
-            proposalData.push(result.value);
-            if (result.value.proposer !== ethers.constants.AddressZero) {
-              uniqueProposers.add(result.value.proposer);
-            }
+            cache.set(batch[idx], result.value);
           }
         });
         
         // Short delay between batches to avoid rate limiting
-        if (batch < Math.ceil(maxId / batchSize)) {
+        if (i + batchSize < staleIds.length) {
           await new Promise(resolve => setTimeout(resolve, 100));
         }
       }
       
-      console.log("Found", proposalData.length, "proposals");
-      setProposals(proposalData.sort((a, b) => b.id - a.id)); // Sort by most recent first
+      const proposalData = visibleIds.map(id => cache.get(id)).filter(Boolean);
+      console.log(`Loaded ${proposalData.length} of ${ids.length} proposals (${staleIds.length} fetched)`);
+      setProposals(proposalData); // Already sorted by most recent first
       
       // Update token holders count
+      const uniqueProposers = new Set(
+        proposalData
+          .map(proposal => proposal.proposer)
+          .filter(proposer => proposer && proposer !== ethers.constants.AddressZero)
+      );
       setTokenHolders(uniqueProposers.size);
       
     } catch (err) {
@@ -430,8 +412,27 @@ export function useProposals() {
       setError("Failed to fetch proposals: " + err.message);
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
-  }, [contracts, isConnected, contractsReady, getProposalDetailsFromEvents]);
+  }, [contracts, contractsReady, visibleCount, getProposalIds, getProposalDetailsFromEvents]);
+
+  // Show the next page of proposals
+  const loadMore = useCallback(() => {
+    setVisibleCount(prev => prev + PROPOSALS_PAGE_SIZE);
+  }, []);
+
+  // Load a single proposal (e.g. for a deep link), using the cache for final states
+  const getProposal = useCallback(async (proposalId) => {
+    const id = Number(proposalId);
+    if (!contractsReady || !contracts.governance || !Number.isInteger(id) || id < 0) return null;
+    
+    const cached = proposalCacheRef.current.get(id);
+    if (cached && !MUTABLE_STATES.includes(Number(cached.state))) return cached;
+    
+    const proposal = await getProposalDetailsFromEvents(id);
+    if (proposal) proposalCacheRef.current.set(id, proposal);
+    return proposal;
+  }, [contracts, contractsReady, getProposalDetailsFromEvents]);
 
   // The rest of your code remains the same (createProposal, cancelProposal, etc.)
   const createProposal = async (
@@ -447,7 +448,8 @@ export function useProposals() {
     newVotingDuration, 
     newTimelockDelay
   ) => {
-    if (!isConnected || !contractsReady) throw new Error("Not connected");
+    requireWallet("create a proposal");
+    if (!contractsReady) throw new Error("Not connected");
     if (!contracts.governance) throw new Error("Governance contract not initialized");
     
     console.log("Creating proposal with params:", {
@@ -477,6 +479,13 @@ export function useProposals() {
       if (type === PROPOSAL_TYPES.GENERAL) {
         if (!target) throw new Error("Target address is required for General proposals");
         if (!callData) throw new Error("Call data is required for General proposals");
+        if (!ethers.utils.isAddress(target)) throw new Error("Target must be a valid address");
+
+        // Governance rejects calls outside its allowlist, so catch them before paying for the revert
+        const allowlistCheck = await checkProposalCall(contracts.governance, target, callData);
+        if (!allowlistCheck.allowed) {
+          throw new Error(describeAllowlistViolation(allowlistCheck, getSelectorSignature(allowlistCheck.selector)));
+        }
       } else if (type === PROPOSAL_TYPES.WITHDRAWAL || 
                 type === PROPOSAL_TYPES.TOKEN_TRANSFER ||
                 type === PROPOSAL_TYPES.TOKEN_MINT ||
@@ -498,42 +507,7 @@ export function useProposals() {
         throw new Error(`Insufficient balance to create proposal. You need at least ${ethers.utils.formatEther(proposalThreshold)} JUST tokens.`);
       }
       
-      // Try to estimate gas with a safety margin
-      let gasEstimate;
-      try {
-        console.log("Estimating gas for proposal creation...");
-        gasEstimate = await contracts.governance.estimateGas.createProposal(
-          description,
-          type,
-          target || ethers.constants.AddressZero,
-          callData || "0x",
-          amount,
-          recipient || ethers.constants.AddressZero,
-          token || ethers.constants.AddressZero,
-          newThreshold,
-          newQuorum,
-          newVotingDuration,
-          newTimelockDelay
-        );
-        
-        // Add a 50% safety margin to account for blockchain conditions
-        gasEstimate = gasEstimate.mul(150).div(100);
-        console.log("Estimated gas with safety margin:", gasEstimate.toString());
-      } catch (gasError) {
-        console.warn("Gas estimation failed:", gasError);
-        // If gas estimation fails, use a high default value for Sepolia
-        gasEstimate = ethers.BigNumber.from(3000000); // 3 million gas should be sufficient for most proposals
-        console.log("Using default gas limit:", gasEstimate.toString());
-      }
-      
-      // Set a maximum gas limit to prevent excessive costs
-      const maxGasLimit = ethers.BigNumber.from(5000000); // 5 million gas
-      const finalGasLimit = gasEstimate.gt(maxGasLimit) ? maxGasLimit : gasEstimate;
-      
-      console.log("Final gas limit for transaction:", finalGasLimit.toString());
-      
-      // Create the proposal with the estimated gas limit
-      const tx = await contracts.governance.createProposal(
+      const proposalArgs = [
         description,
         type,
         target || ethers.constants.AddressZero,
@@ -544,11 +518,14 @@ export function useProposals() {
         newThreshold,
         newQuorum,
         newVotingDuration,
-        newTimelockDelay,
-        {
-          gasLimit: finalGasLimit
-        }
-      );
+        newTimelockDelay
+      ];
+      
+      // Simulate first so a revert is reported before the wallet prompt opens
+      const txOverrides = await simulateOrThrow(contracts.governance, 'createProposal', proposalArgs);
+      
+      // Create the proposal with the simulated gas limit
+      const tx = await contracts.governance.createProposal(...proposalArgs, txOverrides);
       
       console.log("Proposal creation transaction sent:", tx.hash);
       
@@ -561,27 +538,14 @@ export function useProposals() {
         success: true
       });
       
-      // Refresh proposals list
-      await fetchProposals();
+      // Refresh all data - this also re-syncs the event index
+      refreshData();
       
       return true;
     } catch (err) {
       console.error("Error creating proposal:", err);
       
-      // Provide better error messages for common issues
-      let errorMessage = "Failed to create proposal";
-      
-      if (err.code === 'UNPREDICTABLE_GAS_LIMIT') {
-        errorMessage = "Gas estimation failed. Your proposal may be too complex or there may be an issue with the contract.";
-      } else if (err.code === 'INSUFFICIENT_FUNDS') {
-        errorMessage = "You don't have enough ETH to pay for this transaction. Please add funds to your wallet.";
-      } else if (err.message.includes("gas required exceeds allowance")) {
-        errorMessage = "Transaction requires too much gas. Try simplifying your proposal or increasing your gas limit.";
-      } else if (err.message.includes("user rejected transaction")) {
-        errorMessage = "Transaction rejected by user.";
-      } else {
-        errorMessage = `Failed to create proposal: ${err.message}`;
-      }
+      const errorMessage = getErrorMessage(err, "Failed to create proposal");
       
       setError(errorMessage);
       setCreateProposalStatus({
@@ -589,14 +553,15 @@ export function useProposals() {
         error: errorMessage,
         success: false
       });
-      throw new Error(errorMessage);
+      throw err;
     } finally {
       setLoading(false);
     }
   };
 
   const cancelProposal = async (proposalId) => {
-    if (!isConnected || !contractsReady) throw new Error("Not connected");
+    requireWallet("cancel this proposal");
+    if (!contractsReady) throw new Error("Not connected");
     if (!contracts.governance) throw new Error("Governance contract not initialized");
     
     try {
@@ -610,20 +575,19 @@ export function useProposals() {
         throw new Error(`Proposal ${proposalId} not found`);
       }
       
-      const tx = await contracts.governance.cancelProposal(proposalId, {
-        gasLimit: 300000 // Higher gas limit for safety
-      });
+      const txOverrides = await simulateOrThrow(contracts.governance, 'cancelProposal', [proposalId]);
+      const tx = await contracts.governance.cancelProposal(proposalId, txOverrides);
       
       await tx.wait();
       console.log(`Proposal ${proposalId} cancelled successfully`);
       
-      // Refresh proposals list
-      await fetchProposals();
+      // Refresh all data - this also re-syncs the event index
+      refreshData();
       
       return true;
     } catch (err) {
       console.error("Error canceling proposal:", err);
-      setError("Failed to cancel proposal: " + err.message);
+      setError("Failed to cancel proposal: " + getErrorMessage(err));
       throw err;
     } finally {
       setLoading(false);
@@ -631,7 +595,8 @@ export function useProposals() {
   };
 
   const queueProposal = async (proposalId) => {
-    if (!isConnected || !contractsReady) throw new Error("Not connected");
+    requireWallet("queue this proposal");
+    if (!contractsReady) throw new Error("Not connected");
     if (!contracts.governance) throw new Error("Governance contract not initialized");
     
     try {
@@ -644,20 +609,19 @@ export function useProposals() {
         throw new Error("Only succeeded proposals can be queued");
       }
       
-      const tx = await contracts.governance.queueProposal(proposalId, {
-        gasLimit: 500000 // Higher gas limit for queueing due to complexity
-      });
+      const txOverrides = await simulateOrThrow(contracts.governance, 'queueProposal', [proposalId]);
+      const tx = await contracts.governance.queueProposal(proposalId, txOverrides);
       
       await tx.wait();
       console.log(`Proposal ${proposalId} queued successfully`);
       
-      // Refresh proposals list
-      await fetchProposals();
+      // Refresh all data - this also re-syncs the event index
+      refreshData();
       
       return true;
     } catch (err) {
       console.error("Error queuing proposal:", err);
-      setError("Failed to queue proposal: " + err.message);
+      setError("Failed to queue proposal: " + getErrorMessage(err));
       throw err;
     } finally {
       setLoading(false);
@@ -665,7 +629,8 @@ export function useProposals() {
   };
 
   const executeProposal = async (proposalId) => {
-    if (!isConnected || !contractsReady) throw new Error("Not connected");
+    requireWallet("execute this proposal");
+    if (!contractsReady) throw new Error("Not connected");
     if (!contracts.governance) throw new Error("Governance contract not initialized");
     
     try {
@@ -678,40 +643,42 @@ export function useProposals() {
         throw new Error("Only queued proposals can be executed");
       }
       
-      const tx = await contracts.governance.executeProposal(proposalId, {
-        gasLimit: 1000000 // Higher gas limit for execution due to complexity
-      });
+      // Execution runs the proposal's action through the timelock - simulate it end to end first
+      let txOverrides;
+      try {
+        txOverrides = await simulateOrThrow(contracts.governance, 'executeProposal', [proposalId]);
+      } catch (simulationError) {
+        // The timelock also accepts token holders above its threshold - say how far off the caller is
+        const authorizationFailed = simulationError.code === SIMULATION_FAILED_ERROR &&
+          ['NotAuthorized', 'NoTokenHolding'].includes(simulationError.simulation?.name);
+        if (authorizationFailed && contracts.timelock) {
+          const gap = describeExecutorGap(await getExecutorEligibility(contracts.timelock, contracts.token, account));
+          if (gap) simulationError.message = `${simulationError.message} ${gap}`;
+        }
+        throw simulationError;
+      }
+      const tx = await contracts.governance.executeProposal(proposalId, txOverrides);
       
       await tx.wait();
       console.log(`Proposal ${proposalId} executed successfully`);
       
-      // Refresh proposals list
-      await fetchProposals();
+      // Refresh all data - this also re-syncs the event index
+      refreshData();
       
       return true;
     } catch (err) {
       console.error("Error executing proposal:", err);
       
-      // Provide better error messages
-      let errorMessage = "Failed to execute proposal";
-      
-      if (err.message.includes("NotInTimelock")) {
-        errorMessage = "The transaction is no longer in the timelock queue. It may have been executed or cancelled.";
-      } else if (err.message.includes("NotQueued")) {
-        errorMessage = "The proposal is not properly queued for execution.";
-      } else {
-        errorMessage = `Failed to execute proposal: ${err.message}`;
-      }
-      
-      setError(errorMessage);
-      throw new Error(errorMessage);
+      setError("Failed to execute proposal: " + getErrorMessage(err));
+      throw err;
     } finally {
       setLoading(false);
     }
   };
 
   const claimRefund = async (proposalId) => {
-    if (!isConnected || !contractsReady) throw new Error("Not connected");
+    requireWallet("claim this refund");
+    if (!contractsReady) throw new Error("Not connected");
     if (!contracts.governance) throw new Error("Governance contract not initialized");
     
     try {
@@ -725,54 +692,55 @@ export function useProposals() {
         throw new Error(`Proposal ${proposalId} not found`);
       }
       
-      const tx = await contracts.governance.claimPartialStakeRefund(proposalId, {
-        gasLimit: 300000 // Higher gas limit for safety
-      });
+      const txOverrides = await simulateOrThrow(contracts.governance, 'claimPartialStakeRefund', [proposalId]);
+      const tx = await contracts.governance.claimPartialStakeRefund(proposalId, txOverrides);
       
       await tx.wait();
       console.log(`Successfully claimed refund for proposal ${proposalId}`);
       
-      // Refresh proposals list
-      await fetchProposals();
+      // Refresh all data - this also re-syncs the event index
+      refreshData();
       
       return true;
     } catch (err) {
       console.error("Error claiming refund:", err);
       
-      let errorMessage = "Failed to claim refund";
-      
-      if (err.message.includes("Already")) {
-        errorMessage = "This proposal's stake has already been refunded.";
-      } else if (err.message.includes("NotProposer")) {
-        errorMessage = "Only the proposer can claim a refund.";
-      } else {
-        errorMessage = `Failed to claim refund: ${err.message}`;
-      }
-      
-      setError(errorMessage);
-      throw new Error(errorMessage);
+      setError("Failed to claim refund: " + getErrorMessage(err));
+      throw err;
     } finally {
       setLoading(false);
     }
   };
 
   // Load proposals when the component mounts or dependencies change
+  // Cached details belong to one deployment and account (vote status) - start over when either changes
+  useEffect(() => {
+    proposalCacheRef.current = new Map();
+    setVisibleCount(PROPOSALS_PAGE_SIZE);
+  }, [contracts, account]);
+
   useEffect(() => {
-    if (isConnected && contractsReady) {
+    if (contractsReady) {
       fetchProposals();
     } else {
       setProposals([]);
       setLoading(false);
     }
-  }, [fetchProposals, isConnected, contractsReady, refreshCounter, account]);
+  }, [fetchProposals, contractsReady, refreshCounter, account]);
 
   return {
     proposals,
     loading,
+    loadingMore,
+    totalProposals,
+    hasMore: visibleCount < totalProposals,
+    loadMore,
     error,
+    canWrite,
     tokenHolders,
     createProposalStatus,
     fetchProposals,
+    getProposal,
     createProposal,
     cancelProposal,
     queueProposal,
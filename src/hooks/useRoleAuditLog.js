@@ -0,0 +1,77 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useIndexer } from '../contexts/IndexerContext';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { ROLE_CONTRACTS, ROLE_EVENTS, fetchRoleHashes, toRoleAuditEntry } from '../utils/roles';
+
+// Every grant, revoke and admin change on the JustDAO contracts, newest first
+export function useRoleAuditLog() {
+  const { contracts, contractsReady, provider, refreshCounter } = useWeb3();
+  const { getEvents } = useIndexer();
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadAuditLog = useCallback(async () => {
+    if (!contractsReady) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const available = ROLE_CONTRACTS.filter(entry => contracts[entry.key]);
+
+      // Role names by hash, read from the contracts themselves
+      const roleNames = {};
+      await Promise.all(available.map(async (entry) => {
+        try {
+          const hashes = await fetchRoleHashes(contracts[entry.key]);
+          Object.entries(hashes).forEach(([roleName, hash]) => {
+            roleNames[hash.toLowerCase()] = roleName;
+          });
+        } catch (err) {
+          console.warn(`Couldn't read role constants of ${entry.label}:`, err);
+        }
+      }));
+
+      const eventLists = await Promise.all(available.flatMap(entry =>
+        ROLE_EVENTS.map(eventName => getEvents(entry.key, eventName))));
+      const log = eventLists.flat()
+        .map(event => toRoleAuditEntry(event, roleNames))
+        .sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex));
+
+      // Only RoleGranted / RoleRevoked name the sender; take it from the transaction otherwise
+      const senders = {};
+      await Promise.all([...new Set(log.filter(entry => !entry.sender).map(entry => entry.transactionHash))]
+        .map(async (hash) => {
+          try {
+            const tx = await provider.getTransaction(hash);
+            senders[hash] = tx ? tx.from : null;
+          } catch (err) {
+            console.warn(`Couldn't load sender of ${hash}:`, err);
+          }
+        }));
+
+      setEntries(log.map(entry => (entry.sender ? entry : { ...entry, sender: senders[entry.transactionHash] || null })));
+    } catch (err) {
+      console.error("Error loading role audit log:", err);
+      setError("Failed to load the role audit log: " + getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  }, [contracts, contractsReady, provider, getEvents]);
+
+  useEffect(() => {
+    loadAuditLog();
+  }, [loadAuditLog, refreshCounter]);
+
+  return {
+    entries,
+    loading,
+    error,
+    reload: loadAuditLog
+  };
+}
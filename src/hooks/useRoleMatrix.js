@@ -0,0 +1,100 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { simulateOrThrow } from '../utils/txSimulation';
+import {
+  fetchRoleMatrix,
+  getRoleHolders,
+  assessRoleChange,
+  getRoleChangeMethod,
+  supportsContractRoles
+} from '../utils/roles';
+
+// Holders and admin roles of every role on every JustDAO contract (see utils/roles.js),
+// plus the grant / revoke / renounce workflow
+export function useRoleMatrix() {
+  const { contracts, contractsReady, provider, account, requireWallet, refreshCounter, refreshData } = useWeb3();
+  const [matrix, setMatrix] = useState({});
+  const [holders, setHolders] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadMatrix = useCallback(async () => {
+    if (!contractsReady) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const roles = await fetchRoleMatrix(contracts);
+      setMatrix(roles);
+      setHolders(getRoleHolders(roles));
+    } catch (err) {
+      console.error("Error loading roles:", err);
+      setError("Failed to load roles: " + getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  }, [contracts, contractsReady]);
+
+  useEffect(() => {
+    loadMatrix();
+  }, [loadMatrix, refreshCounter]);
+
+  // Errors and warnings for a role change {contractKey, roleName, action, account, contractVariant},
+  // checked against the caller's admin role and the current holders
+  const checkRoleChange = useCallback(async ({ contractKey, roleName, action, account: target, contractVariant }) => {
+    const contract = contracts[contractKey];
+    const roles = matrix[contractKey];
+    if (!contract || !roles || roles.error || !roles[roleName]) {
+      return { errors: ["This role can't be read on this network."], warnings: [] };
+    }
+
+    const [callerIsAdmin, code] = await Promise.all([
+      account ? contract.hasRole(roles[roleName].adminHash, account) : false,
+      provider.getCode(target)
+    ]);
+
+    return assessRoleChange({
+      action,
+      contractKey,
+      roleName,
+      account: target,
+      caller: account,
+      roles,
+      callerIsAdmin,
+      contractVariant: contractVariant && supportsContractRoles(contract),
+      accountIsContract: code !== '0x'
+    });
+  }, [contracts, matrix, provider, account]);
+
+  // Grant, revoke or renounce a role after simulating the call
+  const changeRole = async ({ contractKey, roleName, action, account: target, contractVariant }) => {
+    requireWallet(`${action} this role`);
+    const contract = contracts[contractKey];
+    if (!contract) throw new Error("Contract not initialized");
+
+    const method = getRoleChangeMethod(action, contractVariant && supportsContractRoles(contract));
+    const args = [matrix[contractKey][roleName].hash, target];
+    const txOverrides = await simulateOrThrow(contract, method, args);
+    const tx = await contract[method](...args, txOverrides);
+    await tx.wait();
+
+    // Refresh all data - this also re-syncs the event index
+    refreshData();
+    return true;
+  };
+
+  return {
+    matrix,
+    holders,
+    loading,
+    error,
+    reload: loadMatrix,
+    checkRoleChange,
+    changeRole
+  };
+}
@@ -0,0 +1,82 @@
+import { useCallback } from 'react';
+import { useWeb3 } from '../contexts/Web3Context';
+import { simulateOrThrow } from '../utils/txSimulation';
+import { multicall } from '../utils/multicall';
+import { THREAT_LEVELS } from '../utils/constants';
+
+// Function and address threat level classifications of JustTimelock. Reads are batched through
+// Multicall3 and nothing loads on mount, so the policy editor doesn't pull in the transaction
+// list of useTimelock.
+export function useThreatLevels() {
+  const { contracts, provider, requireWallet, refreshData } = useWeb3();
+
+  // Read `method` of the timelock once per argument; a failed read fails the whole lookup
+  // rather than showing up as level 0
+  const readTimelock = useCallback(async (method, argsList) => {
+    const results = await multicall(provider, argsList.map(args => ({ contract: contracts.timelock, method, args })));
+    const failed = results.findIndex(result => !result.success);
+    if (failed !== -1) throw new Error(`Couldn't read ${method}(${argsList[failed].join(', ')})`);
+    return results.map(result => result.value);
+  }, [contracts, provider]);
+
+  // Current threat level of each function selector
+  const getFunctionThreatLevels = useCallback(async (selectors) => {
+    if (!contracts.timelock || !provider) return {};
+
+    const levels = await readTimelock('functionThreatLevels', selectors.map(selector => [selector]));
+    return selectors.reduce((bySelector, selector, idx) => {
+      bySelector[selector] = Number(levels[idx]);
+      return bySelector;
+    }, {});
+  }, [contracts, provider, readTimelock]);
+
+  // Current threat level of each target address
+  const getAddressThreatLevels = useCallback(async (addresses) => {
+    if (!contracts.timelock || !provider) return {};
+
+    const levels = await readTimelock('addressThreatLevels', addresses.map(address => [address]));
+    return addresses.reduce((byAddress, address, idx) => {
+      byAddress[address.toLowerCase()] = Number(levels[idx]);
+      return byAddress;
+    }, {});
+  }, [contracts, provider, readTimelock]);
+
+  // Delay in seconds the timelock applies to each threat level
+  const getThreatLevelDelays = useCallback(async () => {
+    if (!contracts.timelock || !provider) return [];
+
+    const delays = await readTimelock('getDelayForThreatLevel', Object.values(THREAT_LEVELS).map(level => [level]));
+    return delays.map(delay => delay.toNumber());
+  }, [contracts, provider, readTimelock]);
+
+  // Send a timelock transaction after simulating it
+  const sendThreatLevelTransaction = async (action, method, args) => {
+    requireWallet(action);
+    if (!contracts.timelock) throw new Error("Timelock contract not initialized");
+
+    const txOverrides = await simulateOrThrow(contracts.timelock, method, args);
+    const tx = await contracts.timelock[method](...args, txOverrides);
+    await tx.wait();
+
+    // Refresh all data - this also re-syncs the event index
+    refreshData();
+    return true;
+  };
+
+  // Single changes use the plain setters, several at once go through the batch setters
+  const setFunctionThreatLevels = (selectors, levels) => selectors.length === 1
+    ? sendThreatLevelTransaction("change a function threat level", 'setFunctionThreatLevel', [selectors[0], levels[0]])
+    : sendThreatLevelTransaction("change function threat levels", 'setBatchFunctionThreatLevels', [selectors, levels]);
+
+  const setAddressThreatLevels = (addresses, levels) => addresses.length === 1
+    ? sendThreatLevelTransaction("change an address threat level", 'setAddressThreatLevel', [addresses[0], levels[0]])
+    : sendThreatLevelTransaction("change address threat levels", 'setBatchAddressThreatLevels', [addresses, levels]);
+
+  return {
+    getFunctionThreatLevels,
+    getAddressThreatLevels,
+    getThreatLevelDelays,
+    setFunctionThreatLevels,
+    setAddressThreatLevels
+  };
+}
@@ -0,0 +1,360 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { useWeb3 } from '../contexts/Web3Context';
+import { useIndexer } from '../contexts/IndexerContext';
+import { simulateOrThrow, simulateTransaction } from '../utils/txSimulation';
+import { multicall } from '../utils/multicall';
+import { getErrorMessage } from '../utils/errorDecoder';
+import { decodeCalldata } from '../utils/calldataDecoder';
+import { getExecutorEligibility } from '../utils/executorEligibility';
+
+// Timelock roles whose members are listed in the settings
+const TIMELOCK_ROLES = ['PROPOSER_ROLE', 'EXECUTOR_ROLE', 'CANCELLER_ROLE'];
+
+// Roles checked for the connected account when offering timelock actions
+const ACCOUNT_ROLES = ['ADMIN_ROLE', 'GUARDIAN_ROLE', 'GOVERNANCE_ROLE', 'EXECUTOR_ROLE', 'CANCELLER_ROLE'];
+
+// Settings, role members and queued transactions of JustTimelock
+export function useTimelock() {
+  const { contracts, contractsReady, deployment, provider, account, requireWallet, refreshCounter, refreshData } = useWeb3();
+  const { getEvents } = useIndexer();
+  const [settings, setSettings] = useState(null);
+  const [roleMembers, setRoleMembers] = useState({});
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Delay bounds, threat level delays and the token threshold for executors
+  const fetchSettings = useCallback(async () => {
+    const timelock = contracts.timelock;
+
+    const [
+      minDelay,
+      maxDelay,
+      gracePeriod,
+      lowThreatDelay,
+      mediumThreatDelay,
+      highThreatDelay,
+      criticalThreatDelay,
+      minExecutorTokenThreshold,
+      paused
+    ] = await Promise.all([
+      timelock.minDelay(),
+      timelock.maxDelay(),
+      timelock.gracePeriod(),
+      timelock.lowThreatDelay(),
+      timelock.mediumThreatDelay(),
+      timelock.highThreatDelay(),
+      timelock.criticalThreatDelay(),
+      timelock.minExecutorTokenThreshold(),
+      timelock.paused()
+    ]);
+
+    return {
+      minDelay: minDelay.toNumber(),
+      maxDelay: maxDelay.toNumber(),
+      gracePeriod: gracePeriod.toNumber(),
+      lowThreatDelay: lowThreatDelay.toNumber(),
+      mediumThreatDelay: mediumThreatDelay.toNumber(),
+      highThreatDelay: highThreatDelay.toNumber(),
+      criticalThreatDelay: criticalThreatDelay.toNumber(),
+      minExecutorTokenThreshold: ethers.utils.formatEther(minExecutorTokenThreshold),
+      paused
+    };
+  }, [contracts]);
+
+  // Current members of each timelock role (the timelock uses enumerable access control)
+  const fetchRoleMembers = useCallback(async () => {
+    const timelock = contracts.timelock;
+    const members = {};
+
+    for (const roleName of TIMELOCK_ROLES) {
+      try {
+        const role = await timelock[roleName]();
+        const count = (await timelock.getRoleMemberCount(role)).toNumber();
+        members[roleName] = await Promise.all(
+          Array.from({ length: count }, (_, idx) => timelock.getRoleMember(role, idx))
+        );
+      } catch (err) {
+        console.warn(`Couldn't load members of ${roleName}:`, err);
+        members[roleName] = [];
+      }
+    }
+
+    return members;
+  }, [contracts]);
+
+  // Every transaction ever queued, with its current status from getTransaction / queuedTransactions
+  // and the DAO helper, the proposal that submitted it and its decoded calldata
+  const fetchTransactions = useCallback(async (gracePeriod) => {
+    const timelock = contracts.timelock;
+    const addresses = deployment?.addresses || {};
+
+    const [
+      queuedEvents,
+      executedEvents,
+      canceledEvents,
+      failedEvents,
+      retriedEvents,
+      expiredExecutedEvents,
+      submissions
+    ] = await Promise.all([
+      getEvents('timelock', 'TransactionQueued'),
+      getEvents('timelock', 'TransactionExecuted'),
+      getEvents('timelock', 'TransactionCanceled'),
+      getEvents('timelock', 'TransactionExecutionFailed'),
+      getEvents('timelock', 'FailedTransactionRetried'),
+      getEvents('timelock', 'ExpiredTransactionExecuted'),
+      getEvents('governance', 'TimelockTransactionSubmitted')
+    ]);
+
+    // Retried failed and late-executed expired transactions count as executed
+    const executedHashes = new Set(
+      [...executedEvents, ...retriedEvents, ...expiredExecutedEvents].map(event => event.args.txHash.toLowerCase())
+    );
+    const canceledHashes = new Set(canceledEvents.map(event => event.args.txHash.toLowerCase()));
+    // Latest recorded failure of each transaction
+    const failures = failedEvents.reduce((byHash, event) => {
+      byHash[event.args.txHash.toLowerCase()] = {
+        reason: event.args.reason,
+        timestamp: event.timestamp,
+        transactionHash: event.transactionHash
+      };
+      return byHash;
+    }, {});
+    const proposalIds = submissions.reduce((byHash, event) => {
+      byHash[event.args.txHash.toLowerCase()] = event.args.proposalId;
+      return byHash;
+    }, {});
+    const now = Math.floor(Date.now() / 1000);
+
+    // Status reads of every transaction go out as one batch, grouped per transaction
+    const statusCalls = (txHash) => [
+      { contract: timelock, method: 'queuedTransactions', args: [txHash] },
+      { contract: timelock, method: 'getTransaction', args: [txHash] },
+      { contract: timelock, method: 'wasTransactionFailed', args: [txHash] },
+      ...(contracts.daoHelper ? [{ contract: contracts.daoHelper, method: 'checkTimelockTransaction', args: [txHash] }] : [])
+    ];
+    const callsPerTransaction = contracts.daoHelper ? 4 : 3;
+    const reads = await multicall(provider, queuedEvents.flatMap(event => statusCalls(event.args.txHash)));
+
+    const results = queuedEvents.map((event, idx) => {
+      const { txHash, target, value, data, eta, threatLevel } = event.args;
+      const [queued, details, wasFailed, check] = reads.slice(idx * callsPerTransaction, (idx + 1) * callsPerTransaction);
+
+      let isQueued = false;
+      let failed = false;
+      let executed = executedHashes.has(txHash.toLowerCase());
+      if (queued.success && details.success && wasFailed.success) {
+        isQueued = queued.value;
+        failed = wasFailed.value;
+        executed = executed || details.value.executed;
+      } else {
+        console.warn(`Couldn't load timelock transaction ${txHash}`);
+      }
+
+      const etaSeconds = Number(eta);
+      let expired = now > etaSeconds + gracePeriod;
+      let timeRemaining = Math.max(etaSeconds - now, 0);
+
+      // The DAO helper's view takes precedence over the client clock where it is deployed
+      if (check && check.success) {
+        executed = executed || check.value.executed;
+        expired = check.value.expired;
+        timeRemaining = check.value.timeRemaining.toNumber();
+      } else if (check) {
+        console.warn(`DAO helper couldn't check timelock transaction ${txHash}`);
+      }
+
+      const canceled = canceledHashes.has(txHash.toLowerCase());
+
+      let status = 'pending';
+      if (executed) status = 'executed';
+      else if (canceled) status = 'canceled';
+      else if (failed) status = 'failed';
+      else if (expired) status = 'expired';
+      else if (isQueued && now >= etaSeconds) status = 'ready';
+
+      return {
+        txHash,
+        target,
+        value: ethers.utils.formatEther(value),
+        data,
+        decoded: decodeCalldata(data, target, addresses),
+        eta: etaSeconds,
+        expiresAt: etaSeconds + gracePeriod,
+        timeRemaining,
+        threatLevel: Number(threatLevel),
+        isQueued,
+        status,
+        failure: failures[txHash.toLowerCase()] || null,
+        proposalId: proposalIds[txHash.toLowerCase()] || null,
+        queuedAt: event.timestamp,
+        queuedTxHash: event.transactionHash,
+        blockNumber: event.blockNumber
+      };
+    });
+
+    // Newest first
+    return results.sort((a, b) => b.blockNumber - a.blockNumber);
+  }, [contracts, deployment, provider, getEvents]);
+
+  const loadTimelock = useCallback(async () => {
+    if (!contractsReady || !contracts.timelock) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const timelockSettings = await fetchSettings();
+      const [members, queued] = await Promise.all([
+        fetchRoleMembers(),
+        fetchTransactions(timelockSettings.gracePeriod)
+      ]);
+
+      setSettings(timelockSettings);
+      setRoleMembers(members);
+      setTransactions(queued);
+    } catch (err) {
+      console.error("Error loading timelock:", err);
+      setError("Failed to load timelock settings: " + getErrorMessage(err));
+    } finally {
+      setLoading(false);
+    }
+  }, [contracts, contractsReady, fetchSettings, fetchRoleMembers, fetchTransactions]);
+
+  // Send a timelock transaction after simulating it
+  const sendTimelockTransaction = async (action, method, args) => {
+    requireWallet(action);
+    if (!contracts.timelock) throw new Error("Timelock contract not initialized");
+
+    const txOverrides = await simulateOrThrow(contracts.timelock, method, args);
+    const tx = await contracts.timelock[method](...args, txOverrides);
+    await tx.wait();
+
+    // Refresh all data - this also re-syncs the event index
+    refreshData();
+    return true;
+  };
+
+  const executeTransaction = (txHash) =>
+    sendTimelockTransaction("execute this timelock transaction", 'executeTransaction', [txHash]);
+
+  const cancelTransaction = (txHash) =>
+    sendTimelockTransaction("cancel this timelock transaction", 'cancelTransaction', [txHash]);
+
+  // Execute each ready transaction in turn, so one revert doesn't stop the rest
+  const executeReadyTransactions = async (txHashes) => {
+    requireWallet("execute ready timelock transactions");
+    if (!contracts.timelock) throw new Error("Timelock contract not initialized");
+
+    const results = [];
+    for (const txHash of txHashes) {
+      try {
+        const txOverrides = await simulateOrThrow(contracts.timelock, 'executeTransaction', [txHash]);
+        const tx = await contracts.timelock.executeTransaction(txHash, txOverrides);
+        await tx.wait();
+        results.push({ txHash, success: true, error: null });
+      } catch (err) {
+        console.error(`Error executing timelock transaction ${txHash}:`, err);
+        results.push({ txHash, success: false, error: getErrorMessage(err, 'Execution failed') });
+        // Rejecting one wallet prompt stops the batch
+        if (err.code === 'ACTION_REJECTED' || err.code === 4001) break;
+      }
+    }
+
+    // Refresh all data once at the end - this also re-syncs the event index
+    refreshData();
+    return results;
+  };
+
+  const markTransactionAsFailed = (txHash) =>
+    sendTimelockTransaction("mark this timelock transaction as failed", 'markTransactionAsFailed', [txHash]);
+
+  const executeFailedTransaction = (txHash) =>
+    sendTimelockTransaction("retry this failed timelock transaction", 'executeFailedTransaction', [txHash]);
+
+  const executeExpiredTransaction = (txHash) =>
+    sendTimelockTransaction("execute this expired timelock transaction", 'executeExpiredTransaction', [txHash]);
+
+  const updateDelays = (newMinDelay, newMaxDelay, newGracePeriod) =>
+    sendTimelockTransaction("update the timelock delays", 'updateDelays', [newMinDelay, newMaxDelay, newGracePeriod]);
+
+  const updateThreatLevelDelays = (lowDelay, mediumDelay, highDelay, criticalDelay) =>
+    sendTimelockTransaction(
+      "update the threat level delays",
+      'updateThreatLevelDelays',
+      [lowDelay, mediumDelay, highDelay, criticalDelay]
+    );
+
+  // Queued variants go through the timelock's own delay before taking effect
+  const queueDelayUpdate = (newMinDelay, newMaxDelay, newGracePeriod) =>
+    sendTimelockTransaction("queue a timelock delay update", 'queueDelayUpdate', [newMinDelay, newMaxDelay, newGracePeriod]);
+
+  const queueThreatLevelDelaysUpdate = (lowDelay, mediumDelay, highDelay, criticalDelay) =>
+    sendTimelockTransaction(
+      "queue a threat level delay update",
+      'queueThreatLevelDelaysUpdate',
+      [lowDelay, mediumDelay, highDelay, criticalDelay]
+    );
+
+  // Which of ACCOUNT_ROLES the connected account holds on the timelock, plus each role's hash
+  const getAccountRoles = useCallback(async () => {
+    if (!contracts.timelock || !account) return { held: {}, hashes: {} };
+
+    const hashes = {};
+    const held = {};
+    await Promise.all(ACCOUNT_ROLES.map(async (roleName) => {
+      try {
+        hashes[roleName] = await contracts.timelock[roleName]();
+        held[roleName] = await contracts.timelock.hasRole(hashes[roleName], account);
+      } catch (err) {
+        console.warn(`Couldn't check ${roleName}:`, err);
+        held[roleName] = false;
+      }
+    }));
+
+    return { held, hashes };
+  }, [contracts, account]);
+
+  // Whether the connected account can execute through its role or its token balance
+  const getEligibility = useCallback(async () => {
+    if (!contracts.timelock || !account) return null;
+    return getExecutorEligibility(contracts.timelock, contracts.token, account);
+  }, [contracts, account]);
+
+  // Dry-run a timelock action for `txHash` from the connected account without sending it
+  const previewTransactionAction = useCallback(async (method, txHash) => {
+    if (!contracts.timelock || !account) return null;
+    return simulateTransaction(contracts.timelock, method, [txHash]);
+  }, [contracts, account]);
+
+  useEffect(() => {
+    loadTimelock();
+  }, [loadTimelock, refreshCounter]);
+
+  return {
+    settings,
+    roleMembers,
+    transactions,
+    loading,
+    error,
+    reload: loadTimelock,
+    executeTransaction,
+    executeReadyTransactions,
+    cancelTransaction,
+    markTransactionAsFailed,
+    executeFailedTransaction,
+    executeExpiredTransaction,
+    getAccountRoles,
+    getEligibility,
+    previewTransactionAction,
+    updateDelays,
+    updateThreatLevelDelays,
+    queueDelayUpdate,
+    queueThreatLevelDelaysUpdate
+  };
+}
@@ -1,10 +1,15 @@
 import { useState, useCallback, useEffect } from 'react';
 import { ethers } from 'ethers';
 import { useWeb3 } from '../contexts/Web3Context';
+import { useIndexer } from '../contexts/IndexerContext';
 import { VOTE_TYPES } from '../utils/constants';
+import { sameAddress } from '../utils/eventIndexer';
+import { simulateOrThrow } from '../utils/txSimulation';
+import { getErrorMessage } from '../utils/errorDecoder';
 
 export function useVoting() {
-  const { contracts, account, isConnected, contractsReady, refreshCounter } = useWeb3();
+  const { contracts, account, isConnected, contractsReady, canWrite, requireWallet, refreshCounter, refreshData } = useWeb3();
+  const { getEvents } = useIndexer();
   const [voting, setVoting] = useState({
     loading: false,
     error: null,
@@ -18,8 +23,9 @@ export function useVoting() {
     
     try {
       // Try to find the creation event for this proposal
-      const filter = contracts.governance.filters.ProposalEvent(proposalId, 0); // Type 0 is creation event
-      const events = await contracts.governance.queryFilter(filter);
+      const events = await getEvents('governance', 'ProposalEvent', args =>
+        args.proposalId === String(proposalId) && args.eventType === 0 // Type 0 is creation event
+      );
       
       if (events.length > 0) {
         const creationEvent = events[0];
@@ -46,11 +52,12 @@ export function useVoting() {
         return 0;
       }
     }
-  }, [contracts]);
+  }, [contracts, getEvents]);
 
   // Cast a vote on a proposal
   const castVote = async (proposalId, voteType) => {
-    if (!isConnected || !contractsReady) throw new Error("Not connected to blockchain");
+    requireWallet("vote on this proposal");
+    if (!contractsReady) throw new Error("Not connected to blockchain");
     if (!contracts.governance) throw new Error("Governance contract not initialized");
     
     try {
@@ -92,14 +99,16 @@ export function useVoting() {
       
       console.log(`Casting vote with ${ethers.utils.formatEther(votingPower)} voting power`);
       
-      // Cast the vote with proper gas limit to prevent issues
-      const tx = await contracts.governance.castVote(proposalId, voteType, {
-        gasLimit: 300000 // Set a reasonable gas limit
-      });
+      // Simulate the vote first so a revert is reported before the wallet prompt opens
+      const txOverrides = await simulateOrThrow(contracts.governance, 'castVote', [proposalId, voteType]);
+      const tx = await contracts.governance.castVote(proposalId, voteType, txOverrides);
       
       const receipt = await tx.wait();
       console.log("Vote transaction confirmed:", receipt.transactionHash);
       
+      // Refresh all data - this also re-syncs the event index, so the vote shows up everywhere
+      refreshData();
+      
       setVoting({ 
         loading: false, 
         error: null, 
@@ -114,7 +123,7 @@ export function useVoting() {
       };
     } catch (err) {
       console.error("Error casting vote:", err);
-      const errorMessage = err.reason || err.message || "Unknown error";
+      const errorMessage = getErrorMessage(err, "Unknown error");
       
       setVoting({ 
         loading: false, 
@@ -187,9 +196,10 @@ export function useVoting() {
       let voteType = null;
       
       try {
-        // Check for VoteCast events for this proposal and user
-        const filter = contracts.governance.filters.VoteCast(proposalId, account);
-        const events = await contracts.governance.queryFilter(filter);
+        // Check indexed VoteCast events for this proposal and user
+        const events = await getEvents('governance', 'VoteCast', args =>
+          args.proposalId === String(proposalId) && sameAddress(args.voter, account)
+        );
         
         if (events.length > 0) {
           // Use the most recent vote (in case of any issues)
@@ -209,7 +219,7 @@ export function useVoting() {
       console.error("Error getting vote details:", err);
       return { hasVoted: false, votingPower: "0", voteType: null };
     }
-  }, [contracts, account, isConnected, contractsReady]);
+  }, [contracts, account, isConnected, contractsReady, getEvents]);
 
   // Clear voting state when dependencies change
   useEffect(() => {
@@ -226,6 +236,7 @@ export function useVoting() {
     hasVoted,
     getVotingPower,
     getVoteDetails,
-    voting
+    voting,
+    canWrite
   };
 }
\ No newline at end of file
@@ -1,17 +1,23 @@
 import React from 'react';
 import ReactDOM from 'react-dom';
+import { BrowserRouter } from 'react-router-dom';
 import './index.css';
 import App from './App';
 import { Web3Provider } from './contexts/Web3Context';
 import { AuthProvider } from './contexts/AuthContext';
+import { IndexerProvider } from './contexts/IndexerContext';
 
 ReactDOM.render(
   <React.StrictMode>
-    <Web3Provider>
-      <AuthProvider>
-        <App />
-      </AuthProvider>
-    </Web3Provider>
+    <BrowserRouter>
+      <Web3Provider>
+        <IndexerProvider>
+          <AuthProvider>
+            <App />
+          </AuthProvider>
+        </IndexerProvider>
+      </Web3Provider>
+    </BrowserRouter>
   </React.StrictMode>,
   document.getElementById('root')
 ); 
\ No newline at end of file
@@ -1,5 +1,7 @@
 import { ethers } from 'ethers';
 import React, { useState, useEffect } from 'react';
+import RoleChangeModal from '../components/RoleChangeModal';
+import { useRoleMatrix } from '../hooks/useRoleMatrix';
 
 const RoleCheckUtility = ({ contract, account }) => {
   const [hasAnalyticsRole, setHasAnalyticsRole] = useState(false);
@@ -7,6 +9,8 @@ const RoleCheckUtility = ({ contract, account }) => {
   const [analyticsRoleConstant, setAnalyticsRoleConstant] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [showGrantModal, setShowGrantModal] = useState(false);
+  const roles = useRoleMatrix();
 
   useEffect(() => {
     const checkRoles = async () => {
@@ -46,28 +50,6 @@ const RoleCheckUtility = ({ contract, account }) => {
     checkRoles();
   }, [contract, account]);
 
-  const grantAnalyticsRole = async () => {
-    if (!contract || !account || !hasAdminRole) return;
-    
-    try {
-      // Get accounts that can be granted the role
-      const userAddress = window.prompt("Enter address to grant ANALYTICS_ROLE to:");
-      if (!userAddress || !ethers.utils.isAddress(userAddress)) {
-        alert("Invalid Ethereum address");
-        return;
-      }
-      
-      // Grant role - this requires admin role
-      const tx = await contract.grantRole(analyticsRoleConstant, userAddress);
-      await tx.wait();
-      
-      alert(`ANALYTICS_ROLE granted to ${userAddress}`);
-    } catch (err) {
-      console.error("Error granting role:", err);
-      alert(`Error: ${err.message}`);
-    }
-  };
-
   if (loading) {
     return <div className="p-4">Checking roles...</div>;
   }
@@ -92,7 +74,8 @@ const RoleCheckUtility = ({ contract, account }) => {
           <div>
             <button 
               className="px-4 py-2 bg-blue-500 text-white rounded hover:bg-blue-600"
-              onClick={grantAnalyticsRole}
+              onClick={() => setShowGrantModal(true)}
+              disabled={roles.loading}
             >
               Grant ANALYTICS_ROLE to Address
             </button>
@@ -124,6 +107,14 @@ const RoleCheckUtility = ({ contract, account }) => {
           </p>
         </div>
       </div>
+
+      {showGrantModal && (
+        <RoleChangeModal
+          roles={roles}
+          initial={{ contractKey: 'analyticsHelper', roleName: 'ANALYTICS_ROLE', action: 'grant' }}
+          onClose={() => setShowGrantModal(false)}
+        />
+      )}
     </div>
   );
 };
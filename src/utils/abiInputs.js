@@ -0,0 +1,157 @@
+// src/utils/abiInputs.js
+// Turns text typed into the calldata builder into values ethers can ABI-encode. Scalars are typed
+// as plain text; arrays and tuples as JSON (tuples as an array in component order or an object keyed
+// by component name), with every element checked against its Solidity type.
+
+import { ethers } from 'ethers';
+
+/**
+ * Read an ABI from pasted or uploaded JSON
+ * @param {string} text - A bare ABI array or a compiler artifact with an `abi` field
+ * @returns {ethers.utils.Interface} Interface of the ABI's functions
+ * @throws {Error} If the text isn't a usable ABI
+ */
+export function parseAbiJson(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error("The ABI isn't valid JSON");
+  }
+
+  const abi = Array.isArray(json) ? json : json && json.abi;
+  if (!Array.isArray(abi)) throw new Error('Expected an ABI array or an artifact with an "abi" field');
+
+  const functions = abi.filter(entry => entry && entry.type === 'function');
+  if (functions.length === 0) throw new Error('The ABI has no functions');
+
+  try {
+    return new ethers.utils.Interface(functions);
+  } catch (err) {
+    throw new Error(`The ABI couldn't be read: ${err.reason || err.message}`);
+  }
+}
+
+// Integer type bounds, e.g. uint8 -> [0, 255]
+const integerRange = (type) => {
+  const signed = type.startsWith('int');
+  const bits = parseInt(type.replace(/^u?int/, ''), 10) || 256;
+  if (signed) {
+    const max = ethers.BigNumber.from(2).pow(bits - 1);
+    return [max.mul(-1), max.sub(1)];
+  }
+  return [ethers.constants.Zero, ethers.BigNumber.from(2).pow(bits).sub(1)];
+};
+
+const parseJsonInput = (raw, kind) => {
+  if (typeof raw !== 'string') return raw;
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Enter the ${kind} as JSON`);
+  }
+};
+
+/**
+ * Convert one input to a value for `param`
+ * @param {ethers.utils.ParamType} param - ABI parameter
+ * @param {*} raw - Text from the form, or an element of parsed JSON for nested types
+ * @returns {*} Value ready for encodeFunctionData
+ * @throws {Error} With a message describing what's wrong with the input
+ */
+export function parseAbiValue(param, raw) {
+  const type = param.baseType;
+
+  if (type === 'array') {
+    const items = parseJsonInput(raw, 'array');
+    if (!Array.isArray(items)) throw new Error('Expected an array, e.g. ["0x...", "0x..."]');
+    if (param.arrayLength >= 0 && items.length !== param.arrayLength) {
+      throw new Error(`Expected exactly ${param.arrayLength} items`);
+    }
+    return items.map((item, idx) => {
+      try {
+        return parseAbiValue(param.arrayChildren, item);
+      } catch (err) {
+        throw new Error(`Item ${idx}: ${err.message}`);
+      }
+    });
+  }
+
+  if (type === 'tuple') {
+    const fields = parseJsonInput(raw, 'tuple');
+    if (fields === null || typeof fields !== 'object') throw new Error('Expected a JSON array or object');
+    if (Array.isArray(fields) && fields.length !== param.components.length) {
+      throw new Error(`Expected ${param.components.length} fields`);
+    }
+    return param.components.map((component, idx) => {
+      const value = Array.isArray(fields) ? fields[idx] : fields[component.name];
+      if (value === undefined) throw new Error(`Missing field ${component.name || idx}`);
+      try {
+        return parseAbiValue(component, value);
+      } catch (err) {
+        throw new Error(`${component.name || `Field ${idx}`}: ${err.message}`);
+      }
+    });
+  }
+
+  const text = typeof raw === 'string' ? raw.trim() : raw;
+
+  if (type === 'address') {
+    if (typeof text !== 'string' || !ethers.utils.isAddress(text)) throw new Error('Not a valid address');
+    return ethers.utils.getAddress(text);
+  }
+
+  if (type.startsWith('uint') || type.startsWith('int')) {
+    if (text === '' || text === null || text === undefined) throw new Error('Enter a number');
+    let value;
+    try {
+      value = ethers.BigNumber.from(typeof text === 'number' ? String(text) : text);
+    } catch (err) {
+      throw new Error('Enter a whole number (decimal or 0x hex)');
+    }
+    const [min, max] = integerRange(param.type);
+    if (value.lt(min) || value.gt(max)) throw new Error(`Out of range for ${param.type}`);
+    return value;
+  }
+
+  if (type === 'bool') {
+    if (text === true || text === 'true') return true;
+    if (text === false || text === 'false') return false;
+    throw new Error('Enter true or false');
+  }
+
+  if (type.startsWith('bytes')) {
+    if (typeof text !== 'string' || !ethers.utils.isHexString(text) || text.length % 2 !== 0) {
+      throw new Error('Enter 0x-prefixed hex bytes');
+    }
+    const size = parseInt(type.slice(5), 10);
+    if (size && ethers.utils.hexDataLength(text) !== size) throw new Error(`Expected exactly ${size} bytes`);
+    return text;
+  }
+
+  if (type === 'string') return String(text);
+
+  throw new Error(`Unsupported type ${param.type}`);
+}
+
+/**
+ * Encode a function call from form inputs
+ * @param {ethers.utils.Interface} iface - Interface containing the function
+ * @param {ethers.utils.FunctionFragment} fragment - Function to call
+ * @param {Array} rawValues - Form text per input, in argument order
+ * @returns {{data: string|null, errors: Object}} Calldata, or null with an error message per input index
+ */
+export function encodeFunctionInputs(iface, fragment, rawValues) {
+  const errors = {};
+  const values = fragment.inputs.map((input, idx) => {
+    try {
+      return parseAbiValue(input, rawValues[idx] ?? '');
+    } catch (err) {
+      errors[idx] = err.message;
+      return null;
+    }
+  });
+
+  if (Object.keys(errors).length > 0) return { data: null, errors };
+  return { data: iface.encodeFunctionData(fragment, values), errors };
+}
@@ -0,0 +1,115 @@
+// src/utils/allowlist.js
+// JustGovernance only accepts General proposals whose target and function selector are
+// allowlisted. Both lists live in mappings that can't be enumerated, so they are rebuilt by
+// replaying SecuritySettingUpdated events; every updateSecurity call sets one selector and one target.
+
+import { ethers } from 'ethers';
+
+// Placeholders passed to updateSecurity for the half of the call that isn't being changed.
+// updateSecurity skips a zero selector and a zero target: it neither reverts (the ZeroAddress and
+// InvalidSelector errors don't come from it) nor stores them, whatever the allowed flag, but
+// SecuritySettingUpdated still logs the raw arguments. Checked by running the bundled
+// JustGovernance bytecode on a local node, since the contract source isn't part of this repo.
+export const NO_SELECTOR = '0x00000000';
+export const NO_TARGET = ethers.constants.AddressZero;
+
+const isPlaceholder = (value) =>
+  value.toLowerCase() === NO_SELECTOR || value.toLowerCase() === NO_TARGET.toLowerCase();
+
+/**
+ * Replay SecuritySettingUpdated events into the current allowlist
+ * @param {Array} events - Indexed SecuritySettingUpdated records, in chain order
+ * @returns {{targets: Object, selectors: Object}} Entries keyed by lowercased address / selector:
+ *   {allowed, updatedAt, transactionHash}
+ */
+export function replayAllowlist(events) {
+  const targets = {};
+  const selectors = {};
+
+  events.forEach(event => {
+    const { selector, selectorAllowed, target, targetAllowed } = event.args;
+    const change = { updatedAt: event.timestamp, transactionHash: event.transactionHash };
+
+    // Dropping placeholders loses nothing: the contract never allows a zero selector or target
+
+    if (!isPlaceholder(selector)) {
+      selectors[selector.toLowerCase()] = { allowed: selectorAllowed, ...change };
+    }
+    if (!isPlaceholder(target)) {
+      targets[target.toLowerCase()] = { allowed: targetAllowed, ...change };
+    }
+  });
+
+  return { targets, selectors };
+}
+
+/**
+ * Turn SecuritySettingUpdated events into audit entries, newest first
+ * @param {Array} events - Indexed SecuritySettingUpdated records, in chain order
+ * @returns {Array} [{id, changes: [{kind: 'selector'|'target', value, allowed}], timestamp, blockNumber, transactionHash}]
+ */
+export function buildAllowlistAudit(events) {
+  return [...events].reverse().map(event => {
+    const { selector, selectorAllowed, target, targetAllowed } = event.args;
+    const changes = [];
+    if (!isPlaceholder(selector)) changes.push({ kind: 'selector', value: selector, allowed: selectorAllowed });
+    if (!isPlaceholder(target)) changes.push({ kind: 'target', value: target, allowed: targetAllowed });
+
+    return {
+      id: event.id,
+      changes,
+      timestamp: event.timestamp,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash
+    };
+  });
+}
+
+/**
+ * Read a selector typed as either raw bytes4 or a function signature
+ * @param {string} value - "0xa9059cbb" or "transfer(address,uint256)"
+ * @returns {string|null} Lowercased selector, or null if the input is neither
+ */
+export function parseSelectorInput(value) {
+  const input = String(value || '').trim();
+  if (/^0x[0-9a-fA-F]{8}$/.test(input)) return input.toLowerCase();
+
+  try {
+    return ethers.utils.Interface.getSighash(ethers.utils.FunctionFragment.from(input.replace(/^function\s+/, '')));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Check a General proposal's target and calldata against the governance allowlist
+ * @param {ethers.Contract} governance - JustGovernance contract
+ * @param {string} target - Address the proposal will call
+ * @param {string} callData - Hex calldata; its first 4 bytes are the selector
+ * @returns {Promise<Object>} {target, selector, targetAllowed, selectorAllowed, allowed}
+ */
+export async function checkProposalCall(governance, target, callData) {
+  const selector = String(callData).slice(0, 10).toLowerCase();
+  const [targetAllowed, selectorAllowed] = await Promise.all([
+    governance.allowedTargets(target),
+    governance.allowedFunctionSelectors(selector)
+  ]);
+
+  return { target, selector, targetAllowed, selectorAllowed, allowed: targetAllowed && selectorAllowed };
+}
+
+/**
+ * Explain why a checked call would be rejected by governance
+ * @param {Object} check - Result of checkProposalCall
+ * @param {string} [signature] - Readable name of the selector, if known
+ * @returns {string} Message, or '' when the call is allowed
+ */
+export function describeAllowlistViolation(check, signature) {
+  const blocked = [];
+  if (!check.targetAllowed) blocked.push(`target ${check.target}`);
+  if (!check.selectorAllowed) blocked.push(`function ${signature || check.selector}`);
+  if (blocked.length === 0) return '';
+
+  return `Governance doesn't allow General proposals to call ${blocked.join(' or ')}. ` +
+    'A governance admin has to add it to the allowlist with updateSecurity first.';
+}
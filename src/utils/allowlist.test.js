@@ -0,0 +1,59 @@
+import { NO_SELECTOR, NO_TARGET, replayAllowlist, buildAllowlistAudit } from './allowlist';
+
+const TRANSFER = '0xa9059cbb';
+const APPROVE = '0x095ea7b3';
+const TARGET = '0x3333333333333333333333333333333333333333';
+
+const update = (n, selector, selectorAllowed, target, targetAllowed) => ({
+  id: `event-${n}`,
+  args: { selector, selectorAllowed, target, targetAllowed },
+  timestamp: 1000 + n,
+  blockNumber: 100 + n,
+  transactionHash: `0x${String(n).padStart(64, '0')}`
+});
+
+describe('replayAllowlist', () => {
+  it('keeps the latest setting of each selector and target', () => {
+    const { selectors, targets } = replayAllowlist([
+      update(1, TRANSFER, true, TARGET, true),
+      update(2, APPROVE, true, NO_TARGET, false),
+      update(3, TRANSFER, false, NO_TARGET, false)
+    ]);
+
+    expect(selectors[TRANSFER]).toMatchObject({ allowed: false, updatedAt: 1003 });
+    expect(selectors[APPROVE]).toMatchObject({ allowed: true, updatedAt: 1002 });
+    expect(targets[TARGET.toLowerCase()]).toMatchObject({ allowed: true, updatedAt: 1001 });
+  });
+
+  it('skips the placeholders of one-sided updates', () => {
+    const { selectors, targets } = replayAllowlist([
+      update(1, NO_SELECTOR, false, TARGET, true),
+      update(2, TRANSFER, true, NO_TARGET, false)
+    ]);
+
+    expect(Object.keys(selectors)).toEqual([TRANSFER]);
+    expect(Object.keys(targets)).toEqual([TARGET.toLowerCase()]);
+  });
+
+  it('keys targets case-insensitively', () => {
+    const { targets } = replayAllowlist([
+      update(1, NO_SELECTOR, false, TARGET.toUpperCase().replace('0X', '0x'), true),
+      update(2, NO_SELECTOR, false, TARGET, false)
+    ]);
+
+    expect(targets).toEqual({ [TARGET]: expect.objectContaining({ allowed: false }) });
+  });
+});
+
+describe('buildAllowlistAudit', () => {
+  it('lists the real changes of each update, newest first', () => {
+    const audit = buildAllowlistAudit([
+      update(1, TRANSFER, true, TARGET, true),
+      update(2, NO_SELECTOR, false, TARGET, false)
+    ]);
+
+    expect(audit.map(entry => entry.id)).toEqual(['event-2', 'event-1']);
+    expect(audit[0].changes).toEqual([{ kind: 'target', value: TARGET, allowed: false }]);
+    expect(audit[1].changes).toHaveLength(2);
+  });
+});
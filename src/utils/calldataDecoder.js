@@ -0,0 +1,166 @@
+// src/utils/calldataDecoder.js
+// Decodes timelock / proposal calldata against the function entries of the bundled ABIs, so a
+// queued call reads as "JustToken.governanceMint(to, amount)" instead of a raw selector.
+// When the target is one of the deployment's contracts only that ABI is tried.
+
+import { ethers } from 'ethers';
+import JustTokenABI from '../config/abis/JustTokenUpgradeable.json';
+import JustGovernanceABI from '../config/abis/JustGovernanceUpgradeable.json';
+import JustTimelockABI from '../config/abis/JustTimelockUpgradeable.json';
+import JustAnalyticsHelperABI from '../config/abis/JustAnalyticsHelperUpgradeable.json';
+import JustDAOHelperABI from '../config/abis/JustDAOHelperUpgradeable.json';
+
+// Contracts whose functions can be decoded, keyed like Web3Context's contracts / deployment addresses
+export const CALLDATA_SOURCES = [
+  { key: 'token', contract: 'JustToken', abi: JustTokenABI.abi },
+  { key: 'governance', contract: 'JustGovernance', abi: JustGovernanceABI.abi },
+  { key: 'timelock', contract: 'JustTimelock', abi: JustTimelockABI.abi },
+  { key: 'daoHelper', contract: 'JustDAOHelper', abi: JustDAOHelperABI.abi },
+  { key: 'analyticsHelper', contract: 'JustAnalyticsHelper', abi: JustAnalyticsHelperABI.abi }
+].map(source => ({
+  key: source.key,
+  contract: source.contract,
+  iface: new ethers.utils.Interface(source.abi.filter(entry => entry.type === 'function'))
+}));
+
+// Try to decode `data` as a call to one of `source`'s functions
+const decodeWithSource = (source, data) => {
+  let fragment;
+  try {
+    fragment = source.iface.getFunction(data.slice(0, 10));
+  } catch (err) {
+    return null;
+  }
+
+  let values;
+  try {
+    values = source.iface.decodeFunctionData(fragment, data);
+  } catch (err) {
+    // The selector matched but the arguments don't decode
+    return null;
+  }
+
+  const params = fragment.inputs.map((input, idx) => ({
+    name: input.name || `arg${idx}`,
+    type: input.type,
+    value: values[idx]
+  }));
+
+  return {
+    contractKey: source.key,
+    contract: source.contract,
+    name: fragment.name,
+    signature: fragment.format(),
+    params,
+    label: `${source.contract}.${fragment.name}(${params.map(param => param.name).join(', ')})`
+  };
+};
+
+/**
+ * Decode calldata against the known contract ABIs
+ * @param {string} data - Hex calldata
+ * @param {string} target - Address the call is sent to
+ * @param {Object} addresses - Deployment contract addresses keyed like CALLDATA_SOURCES
+ * @returns {Object|null} {selector, contractKey, contract, name, signature, params, label, targetKnown},
+ *   or null for empty calldata (a plain ETH transfer)
+ */
+export function decodeCalldata(data, target, addresses = {}) {
+  if (!data || data === '0x') return null;
+
+  const selector = data.slice(0, 10).toLowerCase();
+  const targetSource = target
+    ? CALLDATA_SOURCES.find(source =>
+        addresses[source.key] && addresses[source.key].toLowerCase() === target.toLowerCase())
+    : null;
+
+  const decoded = targetSource
+    ? decodeWithSource(targetSource, data)
+    : CALLDATA_SOURCES.reduce((found, source) => found || decodeWithSource(source, data), null);
+
+  if (!decoded) {
+    return {
+      selector,
+      contractKey: targetSource ? targetSource.key : null,
+      contract: targetSource ? targetSource.contract : null,
+      name: null,
+      signature: null,
+      params: [],
+      label: targetSource ? `${targetSource.contract}.${selector}` : `Unknown call ${selector}`,
+      targetKnown: !!targetSource
+    };
+  }
+
+  return { selector, ...decoded, targetKnown: !!targetSource };
+}
+
+/**
+ * Decode calldata against an ABI that isn't bundled, e.g. one pasted into the calldata builder
+ * @param {ethers.utils.Interface} iface - Interface to decode with
+ * @param {string} data - Hex calldata
+ * @param {string} contract - Name shown in the label
+ * @returns {Object|null} Same shape as decodeCalldata, or null if the ABI has no matching function
+ */
+export function decodeCalldataWithInterface(iface, data, contract = 'Contract') {
+  if (!data || data === '0x') return null;
+
+  const decoded = decodeWithSource({ key: null, contract, iface }, data);
+  return decoded ? { selector: data.slice(0, 10).toLowerCase(), ...decoded, targetKnown: false } : null;
+}
+
+/**
+ * List every function selector in the bundled ABIs
+ * @param {Object} options
+ * @param {boolean} options.includeViews - Also list view / pure functions
+ * @returns {Array} [{selector, signature, name, contracts, readOnly}] sorted by signature; a selector
+ *   shared by several contracts (hasRole, grantRole, ...) is listed once with all of them
+ */
+export function listFunctionSelectors({ includeViews = true } = {}) {
+  const bySelector = {};
+
+  CALLDATA_SOURCES.forEach(source => {
+    Object.values(source.iface.functions).forEach(fragment => {
+      const readOnly = fragment.stateMutability === 'view' || fragment.stateMutability === 'pure';
+      if (readOnly && !includeViews) return;
+
+      const selector = source.iface.getSighash(fragment);
+      if (!bySelector[selector]) {
+        bySelector[selector] = {
+          selector,
+          signature: fragment.format(),
+          name: fragment.name,
+          contracts: [],
+          readOnly
+        };
+      }
+      bySelector[selector].contracts.push(source.contract);
+    });
+  });
+
+  return Object.values(bySelector).sort((a, b) => a.signature.localeCompare(b.signature));
+}
+
+/**
+ * Look up the signature of a function selector
+ * @param {string} selector - 4-byte selector (0x12345678)
+ * @returns {string|null} Signature such as "transfer(address,uint256)", or null if no bundled ABI has it
+ */
+export function getSelectorSignature(selector) {
+  const match = listFunctionSelectors().find(fn => fn.selector === String(selector).toLowerCase());
+  return match ? match.signature : null;
+}
+
+/**
+ * Format a decoded argument for display
+ * @param {*} value - Decoded value (BigNumber, address, array, ...)
+ * @param {string} type - Solidity type of the argument
+ * @returns {string} Readable value
+ */
+export function formatCalldataValue(value, type = '') {
+  if (Array.isArray(value)) {
+    const itemType = type.endsWith('[]') ? type.slice(0, -2) : '';
+    return `[${value.map(item => formatCalldataValue(item, itemType)).join(', ')}]`;
+  }
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (value === null || value === undefined) return '';
+  return String(value);
+}
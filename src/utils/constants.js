@@ -1,11 +1,10 @@
-// Contract addresses (update these with your deployed contract addresses)
-export const CONTRACT_ADDRESSES = {
-    token: "0xA3448DD0BdeFc13dD7e5a59994f1f15D8cc18521", // JustToken address
-    governance: "0xFB195C11B511e646A4516d1a29DDa46E7516C9A4", // JustGovernance address
-    timelock: "0x4ac8b4aaA12D9F051FFD3cA27301007Dc1A3a26b", // JustTimelock address
-    analyticsHelper: "0xFe13C1DA26A1b5FeB032AA54155FC7e92E236b90", // JustAnalyticsHelper address
-    daoHelper: "0xc542d0fAD38404bFaac6c0AD8476535cbA88614E" // JustDAOHelper address 
-  };
+// Contract addresses, RPC endpoints and explorers per network live in config/deployments.js
+  
+  // Error code attached to errors thrown by write actions when no wallet is connected
+  export const WALLET_REQUIRED_ERROR = "WALLET_REQUIRED";
+
+  // Error code attached to errors thrown when a transaction simulation predicts a revert
+  export const SIMULATION_FAILED_ERROR = "SIMULATION_FAILED";
   
   // Proposal Types
   export const PROPOSAL_TYPES = {
@@ -35,6 +34,24 @@ export const CONTRACT_ADDRESSES = {
     FOR: 1,
     ABSTAIN: 2
   };
+
+  // JustGovernance's getProposalState counts yes + no + abstain votes against govParams.quorum,
+  // while the outcome only compares yes with no - so abstaining helps reach quorum without taking
+  // a side. The contract source isn't part of this repo; this was checked by running the bundled
+  // bytecode on a local node with a quorum of 100: 10 yes alone is Defeated, 10 yes + 1000
+  // abstain is Succeeded and 10 no + 1000 abstain is Defeated.
+  export const ABSTAIN_COUNTS_TOWARD_QUORUM = true;
+
+  // ProposalEvent eventType values emitted by the governance contract
+  export const PROPOSAL_EVENT_TYPES = {
+    CREATED: 0,
+    CANCELED: 1,
+    QUEUED: 2,
+    EXECUTED: 3,
+    EXPIRED: 4,
+    STAKE_REFUNDED: 5,
+    VOTE: 6
+  };
   
   // Timelock Threat Levels
   export const THREAT_LEVELS = {
@@ -43,14 +60,3 @@ export const CONTRACT_ADDRESSES = {
     HIGH: 2,
     CRITICAL: 3
   };
-  
-  // Role Definitions (keccak256 hashed strings for role definitions)
-  export const ROLES = {
-    DEFAULT_ADMIN_ROLE: "0x0000000000000000000000000000000000000000000000000000000000000000",
-    ADMIN_ROLE: "0xdf8b4c520ffe197c5343c6f5aec59570151ef9a492f2c624fd45ddde6135ec42",
-    GUARDIAN_ROLE: "0x453f3692ccb18feb8e89def77b6a1eabf5ef16e60b3c5b58ca8ef3ce3a07c96d",
-    ANALYTICS_ROLE: "0x8f82dbb8f65f0a98b6debd351f8cdf5034e44c5f5ee65c0a1688a3d16cdf9ccd",
-    PROPOSER_ROLE: "0xb09aa5aeb3702cfd50b6b62bc4532604938f21248a27a1d5ca736082b6819cc1",
-    EXECUTOR_ROLE: "0xd8aa0f3194971a2a116679f7c2090f6939c8d4e01a2a8d7e41d55e5351469e63",
-    MINTER_ROLE: "0x9f2df0fed2c77648de5860a4cc508cd0818c85b8b8a1ab4ceeef8d981c8956a6"
-  };
\ No newline at end of file
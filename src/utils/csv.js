@@ -0,0 +1,51 @@
+// src/utils/csv.js
+// Small helpers for exporting tables as CSV (or raw records as JSON) files from the browser
+
+// Quote a cell when it contains a separator, quote or line break
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert rows to CSV text
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<any>>} rows - Row values in header order
+ * @returns {string} CSV text
+ */
+export function toCsv(headers, rows) {
+  return [headers, ...rows].map(row => row.map(escapeCell).join(',')).join('\r\n');
+}
+
+// Save `content` through a temporary object URL
+const downloadFile = (filename, content, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Trigger a download of rows as a CSV file
+ * @param {string} filename - Name of the downloaded file
+ * @param {Array<string>} headers - Column headers
+ * @param {Array<Array<any>>} rows - Row values in header order
+ */
+export function downloadCsv(filename, headers, rows) {
+  downloadFile(filename, toCsv(headers, rows), 'text/csv;charset=utf-8');
+}
+
+/**
+ * Trigger a download of any JSON-serializable data
+ * @param {string} filename - Name of the downloaded file
+ * @param {*} data - Data to serialize
+ */
+export function downloadJson(filename, data) {
+  downloadFile(filename, JSON.stringify(data, null, 2), 'application/json');
+}
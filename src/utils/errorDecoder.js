@@ -0,0 +1,272 @@
+// src/utils/errorDecoder.js
+// Central error decoding for every contract call. Revert data is matched against the `error`
+// entries of the five bundled ABIs (plus Error(string) and Panic(uint256)) and mapped to a
+// human explanation; wallet and provider error codes from ethers are translated the same way.
+
+import { ethers } from 'ethers';
+import { WALLET_REQUIRED_ERROR, SIMULATION_FAILED_ERROR } from './constants';
+import JustTokenABI from '../config/abis/JustTokenUpgradeable.json';
+import JustGovernanceABI from '../config/abis/JustGovernanceUpgradeable.json';
+import JustTimelockABI from '../config/abis/JustTimelockUpgradeable.json';
+import JustAnalyticsHelperABI from '../config/abis/JustAnalyticsHelperUpgradeable.json';
+import JustDAOHelperABI from '../config/abis/JustDAOHelperUpgradeable.json';
+
+// Contracts whose custom errors can be decoded, in lookup order
+const ERROR_SOURCES = [
+  { contract: 'JustGovernance', abi: JustGovernanceABI.abi },
+  { contract: 'JustTimelock', abi: JustTimelockABI.abi },
+  { contract: 'JustToken', abi: JustTokenABI.abi },
+  { contract: 'JustDAOHelper', abi: JustDAOHelperABI.abi },
+  { contract: 'JustAnalyticsHelper', abi: JustAnalyticsHelperABI.abi }
+].map(source => ({
+  contract: source.contract,
+  iface: new ethers.utils.Interface(source.abi.filter(entry => entry.type === 'error'))
+}));
+
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+const PANIC_SELECTOR = '0x4e487b71';
+
+const PANIC_REASONS = {
+  0x01: "assertion failed",
+  0x11: "arithmetic overflow or underflow",
+  0x12: "division by zero",
+  0x21: "invalid enum value",
+  0x32: "array index out of bounds",
+  0x41: "out of memory"
+};
+
+const formatJust = (wei) => `${ethers.utils.formatEther(wei)} JUST`;
+const formatTimestamp = (seconds) => new Date(Number(seconds) * 1000).toLocaleString();
+const shortHash = (hash) => `${hash.slice(0, 10)}...`;
+
+// Human explanations per custom error name. Names shared by several contracts (NotAuthorized,
+// ZeroAddress, ...) mean the same thing everywhere; functions get the decoded arguments.
+const ERROR_EXPLANATIONS = {
+  // JustGovernance
+  AlreadyRefunded: "This proposal's stake has already been refunded.",
+  AlreadyVoted: "This address has already voted on the proposal.",
+  CallFailed: (args) => args.target
+    ? `The timelocked call to ${args.target} reverted.`
+    : "The proposal's call reverted when it was executed.",
+  InsufficientBalance: (args) =>
+    `Insufficient balance: ${formatJust(args.required)} required, ${formatJust(args.available)} available.`,
+  InvalidAmount: "The amount is invalid for this action.",
+  InvalidCalldata: "The call data is not valid for this proposal.",
+  InvalidDuration: (args) =>
+    `Duration of ${args.provided}s is outside the allowed range of ${args.min}s to ${args.max}s.`,
+  InvalidLockIndex: "The token lock index is invalid.",
+  InvalidPercentage: "The percentage must be between 0 and 100.",
+  InvalidProposalId: "No proposal exists with this ID.",
+  InvalidSelector: "This function selector is not allowed.",
+  InvalidVoteType: "The vote must be For, Against or Abstain.",
+  LastAdminRole: "The last admin can't be removed - grant the role to another account first.",
+  NoTxHash: "The proposal has no timelock transaction.",
+  NoValidChange: "The proposal doesn't change any governance parameter.",
+  NoVotingPower: "You had no voting power at the proposal's snapshot.",
+  NotAuthorized: (args) => args.role
+    ? `${args.caller} is missing the role required for this action.`
+    : "Your account doesn't have the role required for this action.",
+  NotDefeated: "The proposal has not been defeated.",
+  NotInTimelock: "The transaction is no longer in the timelock queue. It may have been executed or cancelled.",
+  NotProposer: "Only the proposer can do this.",
+  NotQueued: "The proposal is not properly queued for execution.",
+  NotSucceeded: "Only succeeded proposals can be queued.",
+  ProposalCanceled: "The proposal has been canceled.",
+  ProposalExecuted: "The proposal has already been executed.",
+  ProposalNotExpired: "The proposal has not expired yet.",
+  TimelockExecutionFailed: "The timelock failed to execute the proposal's transaction.",
+  TransferFailed: "The token or ETH transfer failed.",
+  VotingEnded: "Voting on this proposal has ended.",
+  ZeroAddress: (args) => args.param
+    ? `The ${args.param} address can't be the zero address.`
+    : "The zero address is not allowed here.",
+
+  // JustTimelock
+  AlreadyCanceled: (args) => `Timelock transaction ${shortHash(args.txHash)} was already canceled.`,
+  DelayHierarchyViolation: "Threat level delays must increase from low to critical and stay within the min and max delay.",
+  DelayTooLong: (args) => `Delay of ${args.provided}s is above the maximum of ${args.maximum}s.`,
+  DelayTooShort: (args) => `Delay of ${args.provided}s is below the minimum of ${args.minimum}s.`,
+  InvalidParams: "The parameters are invalid.",
+  NoTokenHolding: (args) => `${args.caller} must hold JUST tokens to do this.`,
+  TransactionNotExpired: (args) =>
+    `Timelock transaction ${shortHash(args.txHash)} hasn't expired yet (grace period ends ${formatTimestamp(ethers.BigNumber.from(args.eta).add(args.gracePeriod))}).`,
+  TransactionNotPreviouslyFailed: (args) =>
+    `Timelock transaction ${shortHash(args.txHash)} has not failed before, so it can't be retried.`,
+  TxAlreadyExecuted: (args) => `Timelock transaction ${shortHash(args.txHash)} was already executed.`,
+  TxAlreadyQueued: (args) => `Timelock transaction ${shortHash(args.txHash)} is already queued.`,
+  TxExpired: (args) =>
+    `Timelock transaction ${shortHash(args.txHash)} expired at ${formatTimestamp(ethers.BigNumber.from(args.eta).add(args.gracePeriod))}.`,
+  TxNotQueued: (args) => `Timelock transaction ${shortHash(args.txHash)} is not queued.`,
+  TxNotReady: (args) => `Timelock transaction ${shortHash(args.txHash)} can't be executed before ${formatTimestamp(args.eta)}.`,
+  ZeroDelay: "The delay can't be zero.",
+
+  // JustDAOHelper / JustAnalyticsHelper
+  DelegationTooComplex: "The delegation chain is too deep or contains a cycle.",
+  InvalidAccount: "The account is invalid.",
+  InvalidDelegator: "The delegator is invalid.",
+  InvalidParameters: "The parameters are invalid.",
+  NoGovernance: "The helper is not linked to the governance contract.",
+  NoTimelock: "The helper is not linked to the timelock contract.",
+  NoToken: "The helper is not linked to the token contract."
+};
+
+// ethers v5 error codes (and the legacy EIP-1193 rejection code) shown the same way everywhere
+const ETHERS_ERROR_MESSAGES = {
+  ACTION_REJECTED: "Transaction rejected in your wallet.",
+  4001: "Transaction rejected in your wallet.",
+  INSUFFICIENT_FUNDS: "You don't have enough ETH to pay for this transaction. Please add funds to your wallet.",
+  UNPREDICTABLE_GAS_LIMIT: "The transaction is expected to revert, so its gas could not be estimated.",
+  CALL_EXCEPTION: "The contract call reverted.",
+  NETWORK_ERROR: "Network error - check your connection and the selected network.",
+  TIMEOUT: "The request timed out. Please try again.",
+  SERVER_ERROR: "The RPC node returned an error. Please try again.",
+  NONCE_EXPIRED: "The nonce was already used - another transaction from your wallet went through first.",
+  REPLACEMENT_UNDERPRICED: "A pending transaction with this nonce has a higher gas price.",
+  TRANSACTION_REPLACED: "The transaction was replaced by another one from your wallet."
+};
+
+// Find the revert data in an ethers / provider error, which nests it differently per wallet
+function findRevertData(error, depth = 0) {
+  if (!error || depth > 5) return null;
+
+  if (typeof error === 'string') {
+    return /^0x[0-9a-fA-F]{8}/.test(error) ? error : null;
+  }
+  if (typeof error !== 'object') return null;
+
+  for (const key of ['data', 'error', 'originalError', 'body']) {
+    let value = error[key];
+
+    // JSON-RPC response bodies arrive as strings
+    if (key === 'body' && typeof value === 'string') {
+      try {
+        value = JSON.parse(value).error;
+      } catch (err) {
+        value = null;
+      }
+    }
+
+    const data = findRevertData(value, depth + 1);
+    if (data) return data;
+  }
+
+  return null;
+}
+
+/**
+ * Decode revert data into a named error with typed arguments
+ * @param {Error|string} error - Error thrown by a contract call, or raw revert data
+ * @returns {{name: string, contract: string|null, args: Object, signature: string}|null}
+ *   null when the error carries no revert data that can be matched
+ */
+export function decodeRevert(error) {
+  const data = findRevertData(error);
+  if (!data) return null;
+
+  const selector = data.slice(0, 10).toLowerCase();
+
+  try {
+    if (selector === ERROR_STRING_SELECTOR) {
+      const [reason] = ethers.utils.defaultAbiCoder.decode(['string'], ethers.utils.hexDataSlice(data, 4));
+      return { name: 'Error', contract: null, args: { reason }, signature: 'Error(string)' };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], ethers.utils.hexDataSlice(data, 4));
+      return { name: 'Panic', contract: null, args: { code: code.toNumber() }, signature: 'Panic(uint256)' };
+    }
+  } catch (err) {
+    return null;
+  }
+
+  for (const { contract, iface } of ERROR_SOURCES) {
+    try {
+      const parsed = iface.parseError(data);
+      const args = {};
+      parsed.errorFragment.inputs.forEach((input, idx) => {
+        const value = parsed.args[idx];
+        args[input.name || `arg${idx}`] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+      });
+
+      return { name: parsed.name, contract, args, signature: parsed.signature };
+    } catch (err) {
+      // Not an error of this contract - try the next ABI
+    }
+  }
+
+  return null;
+}
+
+// Explanation for a decoded revert
+function explainRevert(revert) {
+  if (revert.name === 'Error') return revert.args.reason;
+  if (revert.name === 'Panic') {
+    return `The contract panicked: ${PANIC_REASONS[revert.args.code] || `code ${revert.args.code}`}.`;
+  }
+
+  const explanation = ERROR_EXPLANATIONS[revert.name];
+  if (typeof explanation === 'function') {
+    try {
+      return explanation(revert.args);
+    } catch (err) {
+      // Unexpected argument shape - fall back to the error name
+    }
+  } else if (explanation) {
+    return explanation;
+  }
+
+  // No documented meaning (e.g. JustToken's short codes) - show the raw error and its arguments
+  // rather than guessing at the cause
+  const args = Object.entries(revert.args).map(([name, value]) => `${name}: ${value}`).join(', ');
+  return `${revert.contract || 'The contract'} rejected the call with ${revert.name}(${args}).`;
+}
+
+/**
+ * Decode any error from a contract call or wallet interaction
+ * @param {Error} error - Error thrown by ethers, the wallet or the app
+ * @returns {{code: string|number|null, name: string|null, contract: string|null, args: Object, message: string}}
+ *   message is a human explanation suitable for the UI
+ */
+export function decodeError(error) {
+  const code = error?.code ?? null;
+
+  // Errors raised by the app itself already carry a readable message
+  if (code === WALLET_REQUIRED_ERROR || code === SIMULATION_FAILED_ERROR) {
+    return { code, name: null, contract: null, args: {}, message: error.message };
+  }
+
+  const revert = decodeRevert(error);
+  if (revert) {
+    return { code, name: revert.name, contract: revert.contract, args: revert.args, message: explainRevert(revert) };
+  }
+
+  // Rejections can also arrive wrapped by the provider
+  const isRejection = code === 'ACTION_REJECTED' || code === 4001 || error?.error?.code === 4001 ||
+    /user (rejected|denied)/i.test(error?.message || '');
+  if (isRejection) {
+    return { code, name: null, contract: null, args: {}, message: ETHERS_ERROR_MESSAGES.ACTION_REJECTED };
+  }
+
+  if (ETHERS_ERROR_MESSAGES[code]) {
+    return { code, name: null, contract: null, args: {}, message: ETHERS_ERROR_MESSAGES[code] };
+  }
+
+  return {
+    code,
+    name: null,
+    contract: null,
+    args: {},
+    message: error?.reason || error?.error?.message || error?.message || "Unknown error"
+  };
+}
+
+/**
+ * Human-readable message for an error, for alerts and error banners
+ * @param {Error} error - Any error
+ * @param {string} fallback - Message used when nothing better is available
+ * @returns {string} Explanation of the error
+ */
+export function getErrorMessage(error, fallback = "Something went wrong. See console for details.") {
+  if (!error) return fallback;
+  return decodeError(error).message || fallback;
+}
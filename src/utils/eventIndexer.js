@@ -0,0 +1,414 @@
+// src/utils/eventIndexer.js
+// Shared event indexer: scans every log emitted by the DAO contracts in chunked block
+// ranges from the deployment block, decodes them with the contract ABIs and keeps
+// them in IndexedDB together with the last synced block, so later syncs only fetch
+// the new blocks (plus the last REORG_DEPTH blocks again, replacing what was stored for
+// them, so events from reorged-out blocks don't linger). Falls back to an in-memory store
+// when IndexedDB is unavailable.
+
+import { ethers } from 'ethers';
+
+const DB_NAME = 'justdao-indexer';
+const DB_VERSION = 2;
+
+// Contracts from Web3Context whose events are indexed (securityManager is an alias of governance)
+export const INDEXED_CONTRACTS = ['token', 'governance', 'timelock', 'analyticsHelper', 'daoHelper'];
+
+// Block range per eth_getLogs call - halved whenever the provider rejects a range
+const DEFAULT_CHUNK_SIZE = 5000;
+const MIN_CHUNK_SIZE = 10;
+
+// Blocks below the last synced one that every sync scans again, in case they were reorged
+const REORG_DEPTH = 12;
+
+// High-volume events that don't need block timestamps
+const UNTIMED_EVENTS = ['Transfer', 'Approval'];
+
+// Compare two addresses case-insensitively
+export const sameAddress = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+const streamKey = (chainId, address, eventName) => `${chainId}:${address.toLowerCase()}:${eventName}`;
+const progressKey = (chainId, address) => `${chainId}:${address.toLowerCase()}`;
+
+const memoryStore = {
+  events: new Map(),
+  progress: new Map(),
+  blocks: new Map()
+};
+
+let dbPromise = null;
+
+// Resolves to the IndexedDB database, or null when the in-memory store has to be used
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        const events = db.createObjectStore('events', { keyPath: 'id' });
+        events.createIndex('stream', 'stream');
+        events.createIndex('chainId', 'chainId');
+        db.createObjectStore('progress', { keyPath: 'key' });
+        db.createObjectStore('blocks', { keyPath: 'key' });
+      }
+      if (event.oldVersion < 2) {
+        // Lets a re-scan drop a contract's events from a block onwards
+        request.transaction.objectStore('events').createIndex('block', ['chainId', 'address', 'blockNumber']);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  }).catch(error => {
+    console.warn("Event indexer falling back to memory storage:", error.message);
+    return null;
+  });
+
+  return dbPromise;
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const readRecord = async (storeName, key) => {
+  const db = await openDatabase();
+  if (!db) return memoryStore[storeName].get(key) || null;
+
+  const result = await requestToPromise(db.transaction(storeName).objectStore(storeName).get(key));
+  return result || null;
+};
+
+const readStream = async (stream) => {
+  const db = await openDatabase();
+  if (!db) {
+    return Array.from(memoryStore.events.values()).filter(event => event.stream === stream);
+  }
+
+  return requestToPromise(db.transaction('events').objectStore('events').index('stream').getAll(stream));
+};
+
+// Store a scanned chunk atomically: its events, block timestamps and the new progress marker.
+// With `replaceFrom`, the contract's stored events from that block on are dropped first.
+// Resolves to the ids of the dropped events.
+const writeChunk = async (events, blocks, progress, replaceFrom = null) => {
+  const db = await openDatabase();
+  if (!db) {
+    const replaced = [];
+    if (replaceFrom !== null) {
+      memoryStore.events.forEach((event, id) => {
+        if (event.chainId === progress.chainId && event.address === progress.address && event.blockNumber >= replaceFrom) {
+          replaced.push(id);
+        }
+      });
+      replaced.forEach(id => memoryStore.events.delete(id));
+    }
+    events.forEach(event => memoryStore.events.set(event.id, event));
+    blocks.forEach(block => memoryStore.blocks.set(block.key, block));
+    memoryStore.progress.set(progress.key, progress);
+    return replaced;
+  }
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(['events', 'blocks', 'progress'], 'readwrite');
+    const eventStore = tx.objectStore('events');
+    const blockStore = tx.objectStore('blocks');
+    const replaced = [];
+
+    const write = () => {
+      events.forEach(event => eventStore.put(event));
+      blocks.forEach(block => blockStore.put(block));
+      tx.objectStore('progress').put(progress);
+    };
+
+    if (replaceFrom === null) {
+      write();
+    } else {
+      // Finish deleting before writing, or the cursor would also visit the re-added events
+      const range = IDBKeyRange.bound(
+        [progress.chainId, progress.address, replaceFrom],
+        [progress.chainId, progress.address, Infinity]
+      );
+      const request = eventStore.index('block').openCursor(range);
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+          replaced.push(cursor.primaryKey);
+          cursor.delete();
+          cursor.continue();
+        } else {
+          write();
+        }
+      };
+    }
+
+    tx.oncomplete = () => resolve(replaced);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+// Remove everything indexed for a chain (e.g. after a devnet reset)
+export async function clearIndexedEvents(chainId) {
+  const prefix = `${chainId}:`;
+  const db = await openDatabase();
+
+  if (!db) {
+    Object.values(memoryStore).forEach(store => {
+      Array.from(store.keys())
+        .filter(key => key.startsWith(prefix))
+        .forEach(key => store.delete(key));
+    });
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    const tx = db.transaction(['events', 'blocks', 'progress'], 'readwrite');
+    const range = IDBKeyRange.bound(prefix, prefix + '\uffff');
+    ['events', 'blocks', 'progress'].forEach(storeName => tx.objectStore(storeName).delete(range));
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Make decoded values storable: BigNumbers become decimal strings
+const serializeValue = (value) => {
+  if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+  if (ethers.utils.Indexed.isIndexed(value)) return value.hash;
+  if (Array.isArray(value)) return value.map(serializeValue);
+  return value;
+};
+
+const decodeLog = (chainId, contractKey, contract, log) => {
+  let parsed;
+  try {
+    parsed = contract.interface.parseLog(log);
+  } catch (error) {
+    // Not in the ABI (e.g. emitted by a library) - nothing we can show
+    return null;
+  }
+
+  const args = {};
+  parsed.eventFragment.inputs.forEach((input, index) => {
+    args[input.name || index] = serializeValue(parsed.args[index]);
+  });
+
+  return {
+    id: `${chainId}:${log.transactionHash}:${log.logIndex}`,
+    chainId,
+    contract: contractKey,
+    address: log.address.toLowerCase(),
+    stream: streamKey(chainId, log.address, parsed.name),
+    event: parsed.name,
+    signature: parsed.signature,
+    args,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.logIndex,
+    timestamp: null
+  };
+};
+
+// Attach block timestamps to the events that need them, reusing cached blocks below `refetchFrom`
+const loadTimestamps = async (provider, chainId, events, refetchFrom = Infinity) => {
+  const blockNumbers = [...new Set(
+    events
+      .filter(event => !UNTIMED_EVENTS.includes(event.event))
+      .map(event => event.blockNumber)
+  )];
+
+  const timestamps = {};
+  const newBlocks = [];
+
+  for (const blockNumber of blockNumbers) {
+    const key = `${chainId}:${blockNumber}`;
+    // A re-scanned block may have been replaced by a reorg, so don't trust its cached timestamp
+    const cached = blockNumber < refetchFrom ? await readRecord('blocks', key) : null;
+
+    if (cached) {
+      timestamps[blockNumber] = cached.timestamp;
+    } else {
+      const block = await provider.getBlock(blockNumber);
+      timestamps[blockNumber] = block.timestamp;
+      newBlocks.push({ key, chainId, blockNumber, timestamp: block.timestamp });
+    }
+  }
+
+  events.forEach(event => {
+    if (timestamps[event.blockNumber] !== undefined) {
+      event.timestamp = timestamps[event.blockNumber];
+    }
+  });
+
+  return newBlocks;
+};
+
+// Block of the transaction that created `address`, from an Etherscan V2 compatible explorer API
+// (getcontractcreation) plus that transaction's receipt, so no archive node is needed
+const findCreationBlock = async (provider, explorerApi, chainId, address) => {
+  if (!explorerApi || !explorerApi.url || typeof fetch === 'undefined') return null;
+
+  try {
+    const params = new URLSearchParams({
+      chainid: String(chainId),
+      module: 'contract',
+      action: 'getcontractcreation',
+      contractaddresses: address
+    });
+    if (explorerApi.apiKey) params.set('apikey', explorerApi.apiKey);
+
+    const response = await fetch(`${explorerApi.url}?${params.toString()}`);
+    const body = await response.json();
+    const txHash = Array.isArray(body.result) && body.result[0] ? body.result[0].txHash : null;
+    if (!txHash) return null;
+
+    const receipt = await provider.getTransactionReceipt(txHash);
+    return receipt ? receipt.blockNumber : null;
+  } catch (error) {
+    console.warn("Could not look up the creation block on the explorer:", error.message);
+    return null;
+  }
+};
+
+// Binary search for the first block with code at `address` (needs an archive node)
+const findDeploymentBlock = async (provider, address, latestBlock) => {
+  try {
+    let low = 0;
+    let high = latestBlock;
+
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const code = await provider.getCode(address, mid);
+      if (code && code !== '0x') {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+
+    return low;
+  } catch (error) {
+    console.warn("Could not locate deployment block, scanning from genesis:", error.message);
+    return 0;
+  }
+};
+
+const syncContract = async ({ chainId, provider, contractKey, contract, deploymentBlock, explorerApi, latestBlock, onProgress }) => {
+  const key = progressKey(chainId, contract.address);
+  const progress = await readRecord('progress', key);
+
+  let fromBlock;
+  // First block of the re-scan that replaces stored events, if any
+  let replaceFrom = null;
+  if (progress) {
+    fromBlock = Math.max(0, progress.lastBlock + 1 - REORG_DEPTH);
+    replaceFrom = fromBlock;
+  } else if (deploymentBlock > 0) {
+    fromBlock = deploymentBlock;
+  } else {
+    const creationBlock = await findCreationBlock(provider, explorerApi, chainId, contract.address);
+    fromBlock = creationBlock !== null ? creationBlock : await findDeploymentBlock(provider, contract.address, latestBlock);
+  }
+
+  let chunkSize = DEFAULT_CHUNK_SIZE;
+  let newEvents = 0;
+
+  while (fromBlock <= latestBlock) {
+    const toBlock = Math.min(fromBlock + chunkSize - 1, latestBlock);
+
+    let logs;
+    try {
+      logs = await provider.getLogs({ address: contract.address, fromBlock, toBlock });
+    } catch (error) {
+      // Providers cap the block range / result size of eth_getLogs - retry with a smaller range
+      if (chunkSize > MIN_CHUNK_SIZE) {
+        chunkSize = Math.max(MIN_CHUNK_SIZE, Math.floor(chunkSize / 2));
+        continue;
+      }
+      throw error;
+    }
+
+    const events = logs
+      .filter(log => !log.removed)
+      .map(log => decodeLog(chainId, contractKey, contract, log))
+      .filter(Boolean);
+    const blocks = await loadTimestamps(provider, chainId, events, replaceFrom === null ? Infinity : replaceFrom);
+
+    const replaced = await writeChunk(events, blocks, {
+      key,
+      chainId,
+      contract: contractKey,
+      address: contract.address.toLowerCase(),
+      lastBlock: toBlock
+    }, replaceFrom);
+
+    // Re-scanned events that were already stored aren't new, but dropped ones are a change
+    const ids = new Set(events.map(event => event.id));
+    const replacedIds = new Set(replaced);
+    newEvents += events.filter(event => !replacedIds.has(event.id)).length
+      + replaced.filter(id => !ids.has(id)).length;
+    replaceFrom = null;
+    if (onProgress) onProgress({ contract: contractKey, fromBlock, toBlock, latestBlock });
+
+    fromBlock = toBlock + 1;
+    chunkSize = Math.min(DEFAULT_CHUNK_SIZE, chunkSize * 2);
+  }
+
+  return newEvents;
+};
+
+const activeSyncs = new Map();
+
+// Bring the index for `chainId` up to the latest block. Concurrent calls share one run.
+// Without a `deploymentBlock`, each contract's first sync starts at its creation block, looked up
+// through `explorerApi` ({url, apiKey}) or, failing that, by a getCode binary search.
+export function syncEvents({ chainId, provider, contracts, deploymentBlock = 0, explorerApi = null, onProgress }) {
+  const syncKey = String(chainId);
+  if (activeSyncs.has(syncKey)) return activeSyncs.get(syncKey);
+
+  const run = (async () => {
+    const latestBlock = await provider.getBlockNumber();
+    let newEvents = 0;
+
+    for (const contractKey of INDEXED_CONTRACTS) {
+      const contract = contracts[contractKey];
+      if (!contract) continue;
+
+      newEvents += await syncContract({
+        chainId,
+        provider,
+        contractKey,
+        contract,
+        deploymentBlock,
+        explorerApi,
+        latestBlock,
+        onProgress
+      });
+    }
+
+    return { latestBlock, newEvents };
+  })().finally(() => activeSyncs.delete(syncKey));
+
+  activeSyncs.set(syncKey, run);
+  return run;
+}
+
+// Indexed events of one type emitted by `address`, oldest first.
+// `match(args, event)` optionally filters them; numeric args are decimal strings.
+export async function getIndexedEvents(chainId, address, eventName, match) {
+  if (!address) return [];
+
+  const events = await readStream(streamKey(chainId, address, eventName));
+
+  return events
+    .filter(event => !match || match(event.args, event))
+    .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
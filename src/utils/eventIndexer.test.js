@@ -0,0 +1,83 @@
+import { ethers } from 'ethers';
+import { syncEvents, getIndexedEvents } from './eventIndexer';
+
+const ADDRESS = '0x4747474747474747474747474747474747474747';
+const ACCOUNT = '0x1111111111111111111111111111111111111111';
+const iface = new ethers.utils.Interface(['event Paused(address account)']);
+const contract = new ethers.Contract(ADDRESS, iface);
+
+const pausedLog = (blockNumber, txByte) => ({
+  ...iface.encodeEventLog(iface.getEvent('Paused'), [ACCOUNT]),
+  address: ADDRESS,
+  blockNumber,
+  transactionHash: `0x${txByte.repeat(32)}`,
+  logIndex: 0,
+  removed: false
+});
+
+// Provider over a chain whose logs can be swapped out between syncs
+const fakeProvider = (state) => ({
+  getBlockNumber: async () => state.latestBlock,
+  getBlock: async (blockNumber) => ({ number: blockNumber, timestamp: 1000 + blockNumber }),
+  getLogs: async ({ fromBlock, toBlock }) =>
+    state.logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock)
+});
+
+const sync = (chainId, provider) => syncEvents({ chainId, provider, contracts: { governance: contract }, deploymentBlock: 1 });
+
+beforeAll(() => {
+  // No IndexedDB under jsdom - the indexer says so once and keeps events in memory
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  console.warn.mockRestore();
+});
+
+describe('syncEvents', () => {
+  it('indexes decoded events with their block timestamps', async () => {
+    const state = { latestBlock: 20, logs: [pausedLog(15, '01')] };
+    const result = await sync(1001, fakeProvider(state));
+
+    expect(result).toEqual({ latestBlock: 20, newEvents: 1 });
+    const events = await getIndexedEvents(1001, ADDRESS, 'Paused');
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ blockNumber: 15, timestamp: 1015, args: { account: ACCOUNT } });
+  });
+
+  it('reports no new events when a re-scan finds the same logs', async () => {
+    const state = { latestBlock: 20, logs: [pausedLog(15, '01')] };
+    await sync(1002, fakeProvider(state));
+
+    state.latestBlock = 25;
+    expect((await sync(1002, fakeProvider(state))).newEvents).toBe(0);
+    expect(await getIndexedEvents(1002, ADDRESS, 'Paused')).toHaveLength(1);
+  });
+
+  it('replaces events of reorged blocks on the next sync', async () => {
+    const state = { latestBlock: 20, logs: [pausedLog(15, '02')] };
+    await sync(1003, fakeProvider(state));
+
+    // Block 15 was reorged out; the transaction landed in block 16 under another hash
+    state.latestBlock = 22;
+    state.logs = [pausedLog(16, '03')];
+    const result = await sync(1003, fakeProvider(state));
+
+    expect(result.newEvents).toBe(2);
+    const events = await getIndexedEvents(1003, ADDRESS, 'Paused');
+    expect(events.map(event => [event.blockNumber, event.transactionHash])).toEqual([[16, `0x${'03'.repeat(32)}`]]);
+    expect(events[0].timestamp).toBe(1016);
+  });
+
+  it('keeps events below the re-scanned blocks', async () => {
+    const state = { latestBlock: 100, logs: [pausedLog(10, '04')] };
+    await sync(1004, fakeProvider(state));
+
+    // The old event is far below the re-scan window and no longer returned by getLogs there
+    state.latestBlock = 110;
+    state.logs = [];
+    await sync(1004, fakeProvider(state));
+
+    expect(await getIndexedEvents(1004, ADDRESS, 'Paused')).toHaveLength(1);
+  });
+});
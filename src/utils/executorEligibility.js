@@ -0,0 +1,46 @@
+// src/utils/executorEligibility.js
+// JustTimelock lets accounts without EXECUTOR_ROLE execute ready transactions once they hold at
+// least minExecutorTokenThreshold JUST (isAuthorizedByTokens), so any holder can act as a keeper.
+
+import { ethers } from 'ethers';
+
+/**
+ * Check whether an account may execute ready timelock transactions
+ * @param {ethers.Contract} timelock - JustTimelock contract
+ * @param {ethers.Contract} token - JustToken contract
+ * @param {string} account - Account to check
+ * @returns {Promise<Object>} {hasExecutorRole, authorizedByTokens, canExecute, threshold, balance, gap},
+ *   amounts as BigNumbers in wei; gap is zero once the balance reaches the threshold
+ */
+export async function getExecutorEligibility(timelock, token, account) {
+  const [executorRole, threshold, authorizedByTokens, balance] = await Promise.all([
+    timelock.EXECUTOR_ROLE(),
+    timelock.minExecutorTokenThreshold(),
+    timelock.isAuthorizedByTokens(account),
+    token ? token.balanceOf(account) : ethers.constants.Zero
+  ]);
+  const hasExecutorRole = await timelock.hasRole(executorRole, account);
+
+  return {
+    hasExecutorRole,
+    authorizedByTokens,
+    canExecute: hasExecutorRole || authorizedByTokens,
+    threshold,
+    balance,
+    gap: balance.gte(threshold) ? ethers.constants.Zero : threshold.sub(balance)
+  };
+}
+
+/**
+ * Explain why an account can't execute, or null if it can
+ * @param {Object} eligibility - Result of getExecutorEligibility
+ * @returns {string|null}
+ */
+export function describeExecutorGap(eligibility) {
+  if (!eligibility || eligibility.canExecute) return null;
+
+  return `Executing requires the timelock's executor role or at least ` +
+    `${ethers.utils.formatEther(eligibility.threshold)} JUST. ` +
+    `You hold ${ethers.utils.formatEther(eligibility.balance)} JUST ` +
+    `(${ethers.utils.formatEther(eligibility.gap)} more needed).`;
+}
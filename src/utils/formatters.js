@@ -151,6 +151,25 @@ export function formatCountdown(timestamp) {
   }
 }
 
+// Format a timestamp to a detailed countdown string (e.g., "2d 04h 13m 05s")
+export function formatCountdownDetailed(timestamp) {
+  if (!timestamp) return '';
+  
+  const diffMs = new Date(timestamp) - new Date();
+  if (diffMs <= 0) {
+    return 'Ended';
+  }
+  
+  const totalSeconds = Math.floor(diffMs / 1000);
+  const days = Math.floor(totalSeconds / 86400);
+  const hours = Math.floor((totalSeconds % 86400) / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+  const pad = (value) => String(value).padStart(2, '0');
+  
+  return `${days > 0 ? `${days}d ` : ''}${pad(hours)}h ${pad(minutes)}m ${pad(seconds)}s`;
+}
+
 // Format a number to a percentage string
 export function formatPercentage(value, decimals = 2) {
   if (value === null || value === undefined) return '0%';
@@ -173,6 +192,7 @@ export function getStatusColor(status) {
     case 'active':
       return 'bg-yellow-100 text-yellow-800';
     case 'succeeded':
+    case 'ready':
       return 'bg-green-100 text-green-800';
     case 'pending':
     case 'queued':
@@ -180,6 +200,7 @@ export function getStatusColor(status) {
     case 'executed':
       return 'bg-indigo-100 text-indigo-800';
     case 'defeated':
+    case 'failed':
       return 'bg-red-100 text-red-800';
     case 'canceled':
     case 'expired':
@@ -189,6 +210,30 @@ export function getStatusColor(status) {
   }
 }
 
+// Timelock threat level names, indexed by THREAT_LEVELS value
+const THREAT_LEVEL_NAMES = ['Low', 'Medium', 'High', 'Critical'];
+
+// Helper function for timelock threat level names
+export function getThreatLevelName(level) {
+  return THREAT_LEVEL_NAMES[Number(level)] || 'Unknown';
+}
+
+// Helper function for timelock threat level colors
+export function getThreatLevelColor(level) {
+  switch (Number(level)) {
+    case 0:
+      return 'bg-green-100 text-green-800';
+    case 1:
+      return 'bg-yellow-100 text-yellow-800';
+    case 2:
+      return 'bg-orange-100 text-orange-800';
+    case 3:
+      return 'bg-red-100 text-red-800';
+    default:
+      return 'bg-gray-100 text-gray-800';
+  }
+}
+
 // Helper function to format time in seconds to readable format
 export function formatTime(seconds) {
   const days = Math.floor(seconds / 86400);
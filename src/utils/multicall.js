@@ -0,0 +1,65 @@
+// src/utils/multicall.js
+// Batches read-only contract calls into one eth_call through Multicall3, which is deployed at
+// the same address on almost every chain. Chains without it (e.g. a fresh local devnet) fall
+// back to one call per read, so callers get the same results either way.
+
+import { ethers } from 'ethers';
+
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+];
+
+// Whether Multicall3 is deployed, cached per provider
+const availability = new WeakMap();
+
+const hasMulticall = (provider) => {
+  if (!availability.has(provider)) {
+    availability.set(provider, provider.getCode(MULTICALL3_ADDRESS)
+      .then(code => code !== '0x')
+      .catch(() => false));
+  }
+  return availability.get(provider);
+};
+
+// Decode one return value the way calling the contract directly would
+const decodeResult = (contract, method, returnData) => {
+  const result = contract.interface.decodeFunctionResult(method, returnData);
+  return result.length === 1 ? result[0] : result;
+};
+
+/**
+ * Run several read-only calls in one batch
+ * @param {ethers.providers.Provider} provider - Provider to read through
+ * @param {Array} calls - [{contract, method, args}]
+ * @returns {Promise<Array>} [{success, value}] in the order of `calls`; a reverted call has
+ *   success false and value null instead of failing the whole batch
+ */
+export async function multicall(provider, calls) {
+  if (calls.length === 0) return [];
+
+  if (!(await hasMulticall(provider))) {
+    return Promise.all(calls.map(({ contract, method, args = [] }) =>
+      contract.callStatic[method](...args)
+        .then(value => ({ success: true, value }))
+        .catch(() => ({ success: false, value: null }))));
+  }
+
+  const multicallContract = new ethers.Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI, provider);
+  const results = await multicallContract.callStatic.aggregate3(calls.map(({ contract, method, args = [] }) => ({
+    target: contract.address,
+    allowFailure: true,
+    callData: contract.interface.encodeFunctionData(method, args)
+  })));
+
+  return results.map(({ success, returnData }, idx) => {
+    if (!success) return { success: false, value: null };
+    try {
+      return { success: true, value: decodeResult(calls[idx].contract, calls[idx].method, returnData) };
+    } catch (err) {
+      // Empty return data from a contract that doesn't implement the method
+      return { success: false, value: null };
+    }
+  });
+}
@@ -0,0 +1,72 @@
+// src/utils/pause.js
+// Pause switches of the JustDAO contracts. Governance, token and the analytics helper expose
+// pause() / unpause(); the timelock and the DAO helper expose setPaused(bool). Governance and the
+// timelock emit ContractPaused / ContractUnpaused next to OpenZeppelin's Paused / Unpaused, so one
+// transaction can log both.
+
+// Events that record a pause or unpause
+export const PAUSE_EVENTS = ['Paused', 'Unpaused', 'ContractPaused', 'ContractUnpaused'];
+
+const PAUSING_EVENTS = ['Paused', 'ContractPaused'];
+
+/**
+ * Contract method and arguments that pause or unpause a contract
+ * @param {ethers.Contract} contract - Any JustDAO contract
+ * @param {boolean} pause - true to pause, false to unpause
+ * @returns {{method: string, args: Array}} Method name and arguments
+ */
+export function getPauseCall(contract, pause) {
+  if (contract.interface.functions['setPaused(bool)']) {
+    return { method: 'setPaused', args: [pause] };
+  }
+  return { method: pause ? 'pause' : 'unpause', args: [] };
+}
+
+/**
+ * Readable form of a pause call
+ * @param {ethers.Contract} contract - Any JustDAO contract
+ * @param {boolean} pause - true to pause, false to unpause
+ * @returns {string} e.g. "setPaused(true)" or "unpause()"
+ */
+export function describePauseCall(contract, pause) {
+  const { method, args } = getPauseCall(contract, pause);
+  return `${method}(${args.join(', ')})`;
+}
+
+/**
+ * Merge indexed pause events into one history entry per contract, transaction and direction
+ * @param {Array} events - Indexed records of PAUSE_EVENTS from any JustDAO contract
+ * @returns {Array} [{id, contractKey, action, by, events, timestamp, blockNumber, logIndex, transactionHash}]
+ *   newest first; `action` is 'pause' or 'unpause' and `events` lists the event names merged
+ */
+export function buildPauseHistory(events) {
+  const entries = {};
+
+  events.forEach(event => {
+    const action = PAUSING_EVENTS.includes(event.event) ? 'pause' : 'unpause';
+    const key = `${event.contract}:${event.transactionHash}:${action}`;
+    const by = event.args.account || event.args.pauser || event.args.unpauser || event.args.guardian || null;
+
+    if (!entries[key]) {
+      entries[key] = {
+        id: key,
+        contractKey: event.contract,
+        action,
+        by,
+        events: [],
+        timestamp: event.timestamp,
+        blockNumber: event.blockNumber,
+        logIndex: event.logIndex,
+        transactionHash: event.transactionHash
+      };
+    }
+
+    const entry = entries[key];
+    entry.events.push(event.event);
+    if (!entry.by) entry.by = by;
+    if (event.logIndex < entry.logIndex) entry.logIndex = event.logIndex;
+  });
+
+  return Object.values(entries)
+    .sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex));
+}
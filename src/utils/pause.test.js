@@ -0,0 +1,69 @@
+import { ethers } from 'ethers';
+import { getPauseCall, describePauseCall, buildPauseHistory } from './pause';
+
+const GUARDIAN = '0x1111111111111111111111111111111111111111';
+const ADMIN = '0x2222222222222222222222222222222222222222';
+
+const record = (contract, event, txHash, blockNumber, logIndex, args) => ({
+  contract,
+  event,
+  args,
+  blockNumber,
+  logIndex,
+  transactionHash: txHash,
+  timestamp: blockNumber * 12
+});
+
+describe('getPauseCall', () => {
+  const withSetPaused = { interface: new ethers.utils.Interface(['function setPaused(bool paused)']) };
+  const withPause = { interface: new ethers.utils.Interface(['function pause()', 'function unpause()']) };
+
+  it('uses setPaused(bool) where the contract has it', () => {
+    expect(getPauseCall(withSetPaused, true)).toEqual({ method: 'setPaused', args: [true] });
+    expect(describePauseCall(withSetPaused, false)).toBe('setPaused(false)');
+  });
+
+  it('uses pause() / unpause() otherwise', () => {
+    expect(getPauseCall(withPause, false)).toEqual({ method: 'unpause', args: [] });
+    expect(describePauseCall(withPause, true)).toBe('pause()');
+  });
+});
+
+describe('buildPauseHistory', () => {
+  it('merges the events of one transaction into one entry', () => {
+    const history = buildPauseHistory([
+      record('governance', 'ContractPaused', '0xaa', 10, 4, { pauser: GUARDIAN }),
+      record('governance', 'Paused', '0xaa', 10, 3, { account: GUARDIAN })
+    ]);
+
+    expect(history).toHaveLength(1);
+    expect(history[0]).toMatchObject({
+      contractKey: 'governance',
+      action: 'pause',
+      by: GUARDIAN,
+      events: ['ContractPaused', 'Paused'],
+      logIndex: 3
+    });
+  });
+
+  it('keeps contracts and directions apart, newest first', () => {
+    const history = buildPauseHistory([
+      record('token', 'Paused', '0xbb', 20, 0, { account: GUARDIAN }),
+      record('timelock', 'Paused', '0xbb', 20, 1, { account: GUARDIAN }),
+      record('token', 'Unpaused', '0xcc', 30, 0, { account: ADMIN })
+    ]);
+
+    expect(history.map(entry => `${entry.contractKey}:${entry.action}`))
+      .toEqual(['token:unpause', 'timelock:pause', 'token:pause']);
+    expect(history[0].by).toBe(ADMIN);
+  });
+
+  it('fills in who acted from any merged event', () => {
+    const history = buildPauseHistory([
+      record('timelock', 'ContractUnpaused', '0xdd', 40, 2, {}),
+      record('timelock', 'Unpaused', '0xdd', 40, 1, { account: ADMIN })
+    ]);
+
+    expect(history[0].by).toBe(ADMIN);
+  });
+});
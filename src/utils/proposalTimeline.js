@@ -0,0 +1,228 @@
+// src/utils/proposalTimeline.js
+// Builds a proposal's lifecycle from the event index: every ProposalEvent type emitted by
+// governance, the TimelockTransactionSubmitted hand-off and the JustTimelock events for the
+// resulting timelock transaction, so the UI can show where a proposal stalled.
+
+import { ethers } from 'ethers';
+import { PROPOSAL_EVENT_TYPES, VOTE_TYPES, THREAT_LEVELS } from './constants';
+
+// JustTimelock events that follow a queued proposal, keyed by their txHash argument
+const TIMELOCK_EVENTS = [
+  'TransactionQueued',
+  'TransactionExecuted',
+  'TransactionCanceled',
+  'TransactionExecutionFailed',
+  'FailedTransactionRetried',
+  'ExpiredTransactionExecuted'
+];
+
+const PROPOSAL_EVENT_LABELS = {
+  [PROPOSAL_EVENT_TYPES.CREATED]: "Created",
+  [PROPOSAL_EVENT_TYPES.CANCELED]: "Canceled",
+  [PROPOSAL_EVENT_TYPES.QUEUED]: "Queued",
+  [PROPOSAL_EVENT_TYPES.EXECUTED]: "Executed",
+  [PROPOSAL_EVENT_TYPES.EXPIRED]: "Expired",
+  [PROPOSAL_EVENT_TYPES.STAKE_REFUNDED]: "Stake Refunded",
+  [PROPOSAL_EVENT_TYPES.VOTE]: "Vote Cast"
+};
+
+const TIMELOCK_EVENT_LABELS = {
+  TimelockTransactionSubmitted: "Submitted to Timelock",
+  TransactionQueued: "Queued in Timelock",
+  TransactionExecuted: "Executed by Timelock",
+  TransactionCanceled: "Canceled in Timelock",
+  TransactionExecutionFailed: "Timelock Execution Failed",
+  FailedTransactionRetried: "Failed Transaction Retried",
+  ExpiredTransactionExecuted: "Expired Transaction Executed"
+};
+
+const VOTE_LABELS = {
+  [VOTE_TYPES.AGAINST]: "Against",
+  [VOTE_TYPES.FOR]: "For",
+  [VOTE_TYPES.ABSTAIN]: "Abstain"
+};
+
+const threatLevelLabel = (level) =>
+  Object.keys(THREAT_LEVELS).find(key => THREAT_LEVELS[key] === Number(level)) || `Level ${level}`;
+
+const sameHash = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// Decode the `data` payload of a ProposalEvent. Returns null when it can't be decoded.
+export function decodeProposalEventData(eventType, data) {
+  try {
+    switch (eventType) {
+      case PROPOSAL_EVENT_TYPES.CREATED: {
+        const [proposalType, snapshotId] = ethers.utils.defaultAbiCoder.decode(['uint8', 'uint256'], data);
+        return { proposalType: Number(proposalType), snapshotId: snapshotId.toString() };
+      }
+      case PROPOSAL_EVENT_TYPES.VOTE: {
+        const [support, votingPower] = ethers.utils.defaultAbiCoder.decode(['uint8', 'uint256'], data);
+        return { support: Number(support), votingPower: votingPower.toString() };
+      }
+      case PROPOSAL_EVENT_TYPES.QUEUED: {
+        const [timelockTxHash] = ethers.utils.defaultAbiCoder.decode(['bytes32'], data);
+        return { timelockTxHash };
+      }
+      default:
+        return null;
+    }
+  } catch (err) {
+    return null;
+  }
+}
+
+const describeProposalEvent = (eventType, decoded) => {
+  if (!decoded) return null;
+
+  switch (eventType) {
+    case PROPOSAL_EVENT_TYPES.CREATED:
+      return `Voting power snapshot #${decoded.snapshotId}`;
+    case PROPOSAL_EVENT_TYPES.VOTE:
+      return `${VOTE_LABELS[decoded.support] || "Unknown"} with ${ethers.utils.formatEther(decoded.votingPower)} JUST`;
+    case PROPOSAL_EVENT_TYPES.QUEUED:
+      return `Timelock tx ${decoded.timelockTxHash}`;
+    default:
+      return null;
+  }
+};
+
+const describeTimelockEvent = (event) => {
+  const { args } = event;
+
+  switch (event.event) {
+    case 'TimelockTransactionSubmitted':
+      return `Timelock tx ${args.txHash}`;
+    case 'TransactionQueued':
+      return `ETA ${new Date(Number(args.eta) * 1000).toLocaleString()} · ${threatLevelLabel(args.threatLevel)} threat`;
+    case 'TransactionExecutionFailed':
+      return args.reason ? `Reason: ${args.reason}` : null;
+    default:
+      return null;
+  }
+};
+
+const toEntry = (event, { kind, label, eventType = null, actor = null, details = null }) => ({
+  id: event.id,
+  kind,
+  label,
+  event: event.event,
+  eventType,
+  actor,
+  details,
+  timestamp: event.timestamp,
+  blockNumber: event.blockNumber,
+  logIndex: event.logIndex,
+  transactionHash: event.transactionHash
+});
+
+/**
+ * Merge governance and timelock events for one proposal into a single ordered timeline
+ * @param {Object} events
+ * @param {Array} events.proposalEvents - Indexed ProposalEvent records for the proposal
+ * @param {Array} events.submissions - Indexed TimelockTransactionSubmitted records for the proposal
+ * @param {Array} events.timelockEvents - Indexed JustTimelock records for the proposal's timelock tx
+ * @returns {Array} Entries sorted by block and log index
+ */
+export function buildProposalTimeline({ proposalEvents = [], submissions = [], timelockEvents = [] }) {
+  const entries = [];
+
+  proposalEvents.forEach(event => {
+    const eventType = Number(event.args.eventType);
+    const decoded = decodeProposalEventData(eventType, event.args.data);
+
+    entries.push(toEntry(event, {
+      kind: 'governance',
+      label: PROPOSAL_EVENT_LABELS[eventType] || `Event ${eventType}`,
+      eventType,
+      actor: event.args.actor,
+      details: describeProposalEvent(eventType, decoded)
+    }));
+  });
+
+  [...submissions, ...timelockEvents].forEach(event => {
+    entries.push(toEntry(event, {
+      kind: 'timelock',
+      label: TIMELOCK_EVENT_LABELS[event.event] || event.event,
+      details: describeTimelockEvent(event)
+    }));
+  });
+
+  return entries.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+}
+
+/**
+ * Work out how far a proposal got through governance and the timelock
+ * @param {Array} timeline - Output of buildProposalTimeline
+ * @returns {{status: string, message: string}} status is one of complete, stalled, pending, closed
+ */
+export function getTimelineStatus(timeline) {
+  const hasGovernance = (eventType) =>
+    timeline.some(entry => entry.eventType === eventType);
+  const hasTimelock = (eventName) => timeline.some(entry => entry.event === eventName);
+
+  if (!hasGovernance(PROPOSAL_EVENT_TYPES.CREATED)) {
+    return { status: 'pending', message: "The creation event has not been indexed yet" };
+  }
+  if (hasGovernance(PROPOSAL_EVENT_TYPES.EXECUTED)) {
+    return { status: 'complete', message: "Executed through the timelock" };
+  }
+  if (hasGovernance(PROPOSAL_EVENT_TYPES.CANCELED)) {
+    return { status: 'closed', message: "The proposal was canceled" };
+  }
+  if (hasGovernance(PROPOSAL_EVENT_TYPES.EXPIRED)) {
+    return { status: 'closed', message: "Expired before it was executed" };
+  }
+  if (!hasGovernance(PROPOSAL_EVENT_TYPES.QUEUED)) {
+    return { status: 'pending', message: "Not queued in the timelock" };
+  }
+  if (!hasTimelock('TimelockTransactionSubmitted')) {
+    return { status: 'stalled', message: "Queued in governance, but no TimelockTransactionSubmitted event was found" };
+  }
+  if (!hasTimelock('TransactionQueued')) {
+    return { status: 'stalled', message: "Submitted to the timelock, but JustTimelock never emitted TransactionQueued" };
+  }
+  if (hasTimelock('TransactionCanceled')) {
+    return { status: 'stalled', message: "The timelock transaction was canceled" };
+  }
+  if (hasTimelock('TransactionExecuted') || hasTimelock('ExpiredTransactionExecuted')) {
+    return { status: 'stalled', message: "Executed by the timelock, but governance has not recorded the execution" };
+  }
+  if (hasTimelock('TransactionExecutionFailed') && !hasTimelock('FailedTransactionRetried')) {
+    return { status: 'stalled', message: "Timelock execution failed and has not been retried" };
+  }
+  return { status: 'pending', message: "Waiting in the timelock for execution" };
+}
+
+/**
+ * Load every indexed event in a proposal's lifecycle and build its timeline
+ * @param {Function} getEvents - getEvents from IndexerContext
+ * @param {string|number} proposalId - Proposal ID
+ * @returns {Promise<Array>} Timeline entries (see buildProposalTimeline)
+ */
+export async function loadProposalTimeline(getEvents, proposalId) {
+  const id = String(proposalId);
+
+  const [proposalEvents, submissions] = await Promise.all([
+    getEvents('governance', 'ProposalEvent', args => args.proposalId === id),
+    getEvents('governance', 'TimelockTransactionSubmitted', args => args.proposalId === id)
+  ]);
+
+  // Timelock tx hashes come from the submission event and the Queued ProposalEvent payload
+  const txHashes = submissions.map(event => event.args.txHash);
+  proposalEvents
+    .filter(event => Number(event.args.eventType) === PROPOSAL_EVENT_TYPES.QUEUED)
+    .forEach(event => {
+      const decoded = decodeProposalEventData(PROPOSAL_EVENT_TYPES.QUEUED, event.args.data);
+      if (decoded) txHashes.push(decoded.timelockTxHash);
+    });
+
+  let timelockEvents = [];
+  if (txHashes.length > 0) {
+    const results = await Promise.all(TIMELOCK_EVENTS.map(eventName =>
+      getEvents('timelock', eventName, args => txHashes.some(hash => sameHash(hash, args.txHash)))
+    ));
+    timelockEvents = results.flat();
+  }
+
+  return buildProposalTimeline({ proposalEvents, submissions, timelockEvents });
+}
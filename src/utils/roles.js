@@ -0,0 +1,373 @@
+// src/utils/roles.js
+// Role catalogue for the five JustDAO contracts. Every contract uses OpenZeppelin's enumerable
+// AccessControl, so current holders are read with getRoleMemberCount / getRoleMember rather than
+// replayed from RoleGranted / RoleRevoked, which goes wrong when a role is re-granted after a revoke.
+
+import { multicall } from './multicall';
+
+// Role constants in display order; each contract exposes the subset its ABI declares
+export const ROLE_NAMES = [
+  'DEFAULT_ADMIN_ROLE',
+  'ADMIN_ROLE',
+  'GUARDIAN_ROLE',
+  'GOVERNANCE_ROLE',
+  'PROPOSER_ROLE',
+  'EXECUTOR_ROLE',
+  'CANCELLER_ROLE',
+  'MINTER_ROLE',
+  'ANALYTICS_ROLE',
+  'TIMELOCK_ADMIN_ROLE'
+];
+
+// Contracts with access control, keyed like Web3Context's contracts / deployment addresses
+export const ROLE_CONTRACTS = [
+  { key: 'token', label: 'JustToken' },
+  { key: 'governance', label: 'JustGovernance' },
+  { key: 'timelock', label: 'JustTimelock' },
+  { key: 'analyticsHelper', label: 'JustAnalyticsHelper' },
+  { key: 'daoHelper', label: 'JustDAOHelper' }
+];
+
+/**
+ * Readable name of a role constant
+ * @param {string} roleName - e.g. "TIMELOCK_ADMIN_ROLE"
+ * @returns {string} e.g. "Timelock Admin"
+ */
+export function getRoleDisplayName(roleName) {
+  return roleName
+    .replace(/_ROLE$/, '')
+    .split('_')
+    .map(word => word.charAt(0) + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
+/**
+ * Role constants declared by a contract's ABI
+ * @param {ethers.Contract} contract - Any JustDAO contract
+ * @returns {Array<string>} Names from ROLE_NAMES the contract has a getter for
+ */
+export function getContractRoleNames(contract) {
+  return ROLE_NAMES.filter(roleName => !!contract.interface.functions[`${roleName}()`]);
+}
+
+/**
+ * Label of an address that is one of the deployment's contracts
+ * @param {string} address - Address to look up
+ * @param {Object} addresses - Deployment addresses keyed like ROLE_CONTRACTS
+ * @returns {string|null} Contract label, or null for any other address
+ */
+export function getContractLabel(address, addresses = {}) {
+  if (!address) return null;
+  const match = ROLE_CONTRACTS.find(entry =>
+    addresses[entry.key] && addresses[entry.key].toLowerCase() === address.toLowerCase());
+  return match ? match.label : null;
+}
+
+/**
+ * Read the role constants a contract declares
+ * @param {ethers.Contract} contract - Any JustDAO contract
+ * @returns {Promise<Object>} {[roleName]: hash}
+ */
+export async function fetchRoleHashes(contract) {
+  const roleNames = getContractRoleNames(contract);
+  const hashes = await Promise.all(roleNames.map(roleName => contract[roleName]()));
+
+  return roleNames.reduce((byName, roleName, idx) => {
+    byName[roleName] = hashes[idx];
+    return byName;
+  }, {});
+}
+
+/**
+ * Enumerate every role of one contract
+ * @param {ethers.Contract} contract - Contract with enumerable access control
+ * @returns {Promise<Object>} {[roleName]: {hash, adminHash, adminName, members}}; adminName is null when
+ *   the admin role isn't one of the contract's named roles
+ */
+export async function fetchContractRoles(contract) {
+  const roleHashes = await fetchRoleHashes(contract);
+  const roleNames = Object.keys(roleHashes);
+  const hashes = Object.values(roleHashes);
+
+  const roles = {};
+  await Promise.all(roleNames.map(async (roleName, idx) => {
+    const hash = hashes[idx];
+    const [adminHash, count] = await Promise.all([
+      contract.getRoleAdmin(hash),
+      contract.getRoleMemberCount(hash)
+    ]);
+    const members = await Promise.all(
+      Array.from({ length: count.toNumber() }, (_, memberIdx) => contract.getRoleMember(hash, memberIdx))
+    );
+    const adminIdx = hashes.findIndex(candidate => candidate === adminHash);
+
+    roles[roleName] = { hash, adminHash, adminName: adminIdx >= 0 ? roleNames[adminIdx] : null, members };
+  }));
+
+  return roles;
+}
+
+/**
+ * Enumerate the roles of every deployed JustDAO contract
+ * @param {Object} contracts - Web3Context contracts
+ * @returns {Promise<Object>} {[contractKey]: fetchContractRoles result}, or an {error} entry for a contract
+ *   that couldn't be read
+ */
+export async function fetchRoleMatrix(contracts) {
+  const available = ROLE_CONTRACTS.filter(entry => contracts[entry.key]);
+
+  const matrix = {};
+  await Promise.all(available.map(async (entry) => {
+    try {
+      matrix[entry.key] = await fetchContractRoles(contracts[entry.key]);
+    } catch (err) {
+      console.warn(`Couldn't enumerate roles of ${entry.label}:`, err);
+      matrix[entry.key] = { error: err };
+    }
+  }));
+
+  return matrix;
+}
+
+/**
+ * Flatten a role matrix into one row per holder
+ * @param {Object} matrix - fetchRoleMatrix result
+ * @returns {Array} [{address, roles: [{contractKey, roleName}]}] sorted by number of roles held
+ */
+export function getRoleHolders(matrix) {
+  const holders = {};
+
+  Object.entries(matrix).forEach(([contractKey, roles]) => {
+    if (roles.error) return;
+    Object.entries(roles).forEach(([roleName, role]) => {
+      role.members.forEach(member => {
+        const key = member.toLowerCase();
+        if (!holders[key]) holders[key] = { address: member, roles: [] };
+        holders[key].roles.push({ contractKey, roleName });
+      });
+    });
+  });
+
+  return Object.values(holders).sort((a, b) => b.roles.length - a.roles.length);
+}
+
+// Access control events kept in the role audit log
+export const ROLE_EVENTS = [
+  'RoleGranted',
+  'RoleRevoked',
+  'RoleAdminChanged',
+  'RoleChange',
+  'GovernanceRoleChanged',
+  'GovernanceRoleTransferred'
+];
+
+export const ROLE_ACTION_LABELS = {
+  grant: 'Granted',
+  revoke: 'Revoked',
+  'admin-change': 'Admin changed',
+  transfer: 'Transferred'
+};
+
+/**
+ * Normalize an indexed role event into an audit log entry
+ * @param {Object} event - Indexed record of one of ROLE_EVENTS
+ * @param {Object} roleNames - Role name by lowercased hash
+ * @returns {Object} {id, contractKey, event, action, roleName, role, account, sender, previousAdminRole,
+ *   newAdminRole, previousAccount, timestamp, blockNumber, logIndex, transactionHash}
+ */
+export function toRoleAuditEntry(event, roleNames) {
+  const { args } = event;
+  const nameOf = (hash) => (hash ? roleNames[hash.toLowerCase()] || null : null);
+
+  const entry = {
+    id: event.id,
+    contractKey: event.contract,
+    event: event.event,
+    action: null,
+    roleName: null,
+    role: null,
+    account: null,
+    sender: args.sender || null,
+    previousAdminRole: null,
+    newAdminRole: null,
+    previousAccount: null,
+    timestamp: event.timestamp,
+    blockNumber: event.blockNumber,
+    logIndex: event.logIndex,
+    transactionHash: event.transactionHash
+  };
+
+  switch (event.event) {
+    case 'RoleGranted':
+    case 'RoleRevoked':
+      return {
+        ...entry,
+        action: event.event === 'RoleGranted' ? 'grant' : 'revoke',
+        role: args.role,
+        roleName: nameOf(args.role),
+        account: args.account
+      };
+    case 'RoleChange':
+      return {
+        ...entry,
+        action: args.isGranted ? 'grant' : 'revoke',
+        role: args.role,
+        roleName: nameOf(args.role),
+        account: args.account
+      };
+    case 'RoleAdminChanged':
+      return {
+        ...entry,
+        action: 'admin-change',
+        role: args.role,
+        roleName: nameOf(args.role),
+        previousAdminRole: nameOf(args.previousAdminRole) || args.previousAdminRole,
+        newAdminRole: nameOf(args.newAdminRole) || args.newAdminRole
+      };
+    case 'GovernanceRoleChanged':
+      return { ...entry, action: args.isGranted ? 'grant' : 'revoke', roleName: 'GOVERNANCE_ROLE', account: args.account };
+    case 'GovernanceRoleTransferred':
+      return {
+        ...entry,
+        action: 'transfer',
+        roleName: 'GOVERNANCE_ROLE',
+        account: args.newGovernance,
+        previousAccount: args.oldGovernance
+      };
+    default:
+      return entry;
+  }
+}
+
+// Admin roles whose last holder JustGovernance refuses to remove (LastAdminRole)
+const GOVERNANCE_PROTECTED_ROLES = ['DEFAULT_ADMIN_ROLE', 'ADMIN_ROLE'];
+
+/**
+ * Whether a contract has the grantContractRole / revokeContractRole variants
+ * @param {ethers.Contract} contract - Any JustDAO contract
+ * @returns {boolean}
+ */
+export function supportsContractRoles(contract) {
+  return !!contract.interface.functions['grantContractRole(bytes32,address)'];
+}
+
+/**
+ * Contract method for a role change
+ * @param {string} action - 'grant', 'revoke' or 'renounce'
+ * @param {boolean} contractVariant - Use grantContractRole / revokeContractRole
+ * @returns {string} Method name
+ */
+export function getRoleChangeMethod(action, contractVariant = false) {
+  if (action === 'renounce') return 'renounceRole';
+  return `${action}${contractVariant ? 'ContractRole' : 'Role'}`;
+}
+
+/**
+ * Check a role change before it is sent
+ * @param {Object} change
+ * @param {string} change.action - 'grant', 'revoke' or 'renounce'
+ * @param {string} change.contractKey - Contract the role lives on
+ * @param {string} change.roleName - Role being changed
+ * @param {string} change.account - Account gaining or losing the role
+ * @param {string} change.caller - Connected account
+ * @param {Object} change.roles - That contract's fetchContractRoles result
+ * @param {boolean} change.callerIsAdmin - Whether the caller holds the role's admin role
+ * @param {boolean} change.contractVariant - Whether grantContractRole / revokeContractRole is used
+ * @param {boolean} change.accountIsContract - Whether the account has code
+ * @returns {{errors: Array<string>, warnings: Array<string>}} Errors block the change; warnings need confirming
+ */
+export function assessRoleChange(change) {
+  const { action, contractKey, roleName, account, caller, roles, callerIsAdmin, contractVariant, accountIsContract } = change;
+  const errors = [];
+  const warnings = [];
+  const role = roles[roleName];
+  const roleLabel = getRoleDisplayName(roleName);
+  const adminLabel = role.adminName ? getRoleDisplayName(role.adminName) : 'its admin role';
+  const isMember = role.members.some(member => member.toLowerCase() === account.toLowerCase());
+  const isSelf = !!caller && account.toLowerCase() === caller.toLowerCase();
+
+  if (action === 'grant' && isMember) errors.push(`This account already holds ${roleLabel}.`);
+  if (action !== 'grant' && !isMember) errors.push(`This account doesn't hold ${roleLabel}.`);
+  if (action === 'renounce' && !isSelf) errors.push('Only the connected account can renounce its own roles.');
+  if (action !== 'renounce' && !callerIsAdmin) {
+    errors.push(`You need ${adminLabel} on this contract to ${action} ${roleLabel}.`);
+  }
+
+  if (contractVariant && !accountIsContract) {
+    warnings.push(`${getRoleChangeMethod(action, true)} is meant for contract accounts, and this address has no code.`);
+  }
+  if (!contractVariant && accountIsContract && action === 'grant') {
+    warnings.push('This address is a contract; it can only use the role if it is able to call this contract.');
+  }
+
+  if (action !== 'grant' && isMember) {
+    // Removing the last holder of a role that administers others
+    const administered = Object.entries(roles)
+      .filter(([, other]) => other.adminHash === role.hash)
+      .map(([name]) => getRoleDisplayName(name));
+
+    if (role.members.length === 1) {
+      if (contractKey === 'governance' && GOVERNANCE_PROTECTED_ROLES.includes(roleName)) {
+        errors.push(`This is the last ${roleLabel} of JustGovernance, which rejects removing it (LastAdminRole).`);
+      } else if (administered.length > 0) {
+        warnings.push(`This is the last ${roleLabel}. Nobody will be able to grant or revoke ${administered.join(', ')} afterwards.`);
+      } else {
+        warnings.push(`This is the last holder of ${roleLabel}.`);
+      }
+    }
+
+    if (isSelf && administered.length > 0) {
+      warnings.push(`You will lose the ability to grant or revoke ${administered.join(', ')} yourself.`);
+    }
+    if (isSelf && action === 'renounce') {
+      warnings.push(`Only a holder of ${adminLabel} can give ${roleLabel} back to you.`);
+    }
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Short key AuthContext uses for a role constant
+ * @param {string} roleName - e.g. "TIMELOCK_ADMIN_ROLE"
+ * @returns {string} e.g. "timelockAdmin"
+ */
+export function getRoleKey(roleName) {
+  return roleName
+    .replace(/_ROLE$/, '')
+    .toLowerCase()
+    .replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+}
+
+/**
+ * Roles an account holds on every deployed JustDAO contract. The role constants and the
+ * hasRole checks are each read in one multicall batch.
+ * @param {ethers.providers.Provider} provider - Provider to read through
+ * @param {Object} contracts - Web3Context contracts
+ * @param {string} account - Account to check
+ * @returns {Promise<Object>} {[contractKey]: Array of getRoleKey keys}; contracts whose
+ *   constants can't be read are left out
+ */
+export async function fetchAccountRoles(provider, contracts, account) {
+  const constantCalls = ROLE_CONTRACTS
+    .filter(entry => contracts[entry.key])
+    .flatMap(entry => getContractRoleNames(contracts[entry.key]).map(roleName => ({
+      contractKey: entry.key,
+      roleName,
+      contract: contracts[entry.key],
+      method: roleName
+    })));
+  const constants = await multicall(provider, constantCalls);
+
+  const roleCalls = constantCalls
+    .map((call, idx) => ({ ...call, hash: constants[idx].value }))
+    .filter((call, idx) => constants[idx].success)
+    .map(call => ({ ...call, method: 'hasRole', args: [call.hash, account] }));
+  const checks = await multicall(provider, roleCalls);
+
+  return roleCalls.reduce((byContract, call, idx) => {
+    if (!byContract[call.contractKey]) byContract[call.contractKey] = [];
+    if (checks[idx].success && checks[idx].value) byContract[call.contractKey].push(getRoleKey(call.roleName));
+    return byContract;
+  }, {});
+}
@@ -0,0 +1,72 @@
+// src/utils/timelockDelays.js
+// Client-side checks mirroring JustTimelock's delay rules, so updateDelays / queueDelayUpdate and
+// updateThreatLevelDelays / queueThreatLevelDelaysUpdate aren't sent with values that revert with
+// ZeroDelay, DelayTooShort, DelayTooLong or DelayHierarchyViolation.
+
+import { formatTime } from './formatters';
+
+// Threat level delay fields in ascending order - each must be at least the one before it
+export const THREAT_DELAY_KEYS = ['lowThreatDelay', 'mediumThreatDelay', 'highThreatDelay', 'criticalThreatDelay'];
+
+// Bound fields of updateDelays / queueDelayUpdate, in argument order
+export const BOUND_DELAY_KEYS = ['minDelay', 'maxDelay', 'gracePeriod'];
+
+const isWholeSeconds = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate new delay bounds
+ * @param {Object} delays - {minDelay, maxDelay, gracePeriod} in seconds
+ * @param {Object} threatDelays - Current threat level delays, which must stay inside the new bounds
+ * @returns {Object} Error message per field; empty when valid
+ */
+export function validateDelayBounds(delays, threatDelays = {}) {
+  const errors = {};
+
+  BOUND_DELAY_KEYS.forEach(key => {
+    if (!isWholeSeconds(delays[key])) errors[key] = 'Enter a whole number of seconds';
+    else if (delays[key] === 0) errors[key] = "The delay can't be zero";
+  });
+  if (Object.keys(errors).length > 0) return errors;
+
+  if (delays.minDelay > delays.maxDelay) {
+    errors.maxDelay = `Must be at least the minimum delay (${formatTime(delays.minDelay)})`;
+  }
+
+  // Threat level delays outside the new bounds would break the hierarchy
+  const lowest = threatDelays[THREAT_DELAY_KEYS[0]];
+  const highest = threatDelays[THREAT_DELAY_KEYS[THREAT_DELAY_KEYS.length - 1]];
+  if (!errors.maxDelay && lowest !== undefined && delays.minDelay > lowest) {
+    errors.minDelay = `Must not exceed the current low threat delay (${formatTime(lowest)})`;
+  }
+  if (!errors.maxDelay && highest !== undefined && delays.maxDelay < highest) {
+    errors.maxDelay = `Must be at least the current critical threat delay (${formatTime(highest)})`;
+  }
+
+  return errors;
+}
+
+/**
+ * Validate new threat level delays
+ * @param {Object} threatDelays - {lowThreatDelay, mediumThreatDelay, highThreatDelay, criticalThreatDelay} in seconds
+ * @param {Object} bounds - Current {minDelay, maxDelay}
+ * @returns {Object} Error message per field; empty when valid
+ */
+export function validateThreatLevelDelays(threatDelays, bounds) {
+  const errors = {};
+
+  THREAT_DELAY_KEYS.forEach((key, idx) => {
+    const value = threatDelays[key];
+    if (!isWholeSeconds(value)) {
+      errors[key] = 'Enter a whole number of seconds';
+    } else if (value < bounds.minDelay) {
+      errors[key] = `Below the minimum delay of ${formatTime(bounds.minDelay)}`;
+    } else if (value > bounds.maxDelay) {
+      errors[key] = `Above the maximum delay of ${formatTime(bounds.maxDelay)}`;
+    } else if (idx > 0 && isWholeSeconds(threatDelays[THREAT_DELAY_KEYS[idx - 1]])
+      && value < threatDelays[THREAT_DELAY_KEYS[idx - 1]]) {
+      errors[key] = 'Must be at least the delay of the level below';
+    }
+  });
+
+  return errors;
+}
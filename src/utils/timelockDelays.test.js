@@ -0,0 +1,59 @@
+import { validateDelayBounds, validateThreatLevelDelays } from './timelockDelays';
+
+const HOUR = 3600;
+const DAY = 86400;
+
+const threatDelays = {
+  lowThreatDelay: DAY,
+  mediumThreatDelay: 3 * DAY,
+  highThreatDelay: 7 * DAY,
+  criticalThreatDelay: 14 * DAY
+};
+
+describe('validateDelayBounds', () => {
+  it('accepts bounds around the current threat level delays', () => {
+    expect(validateDelayBounds({ minDelay: HOUR, maxDelay: 30 * DAY, gracePeriod: 14 * DAY }, threatDelays)).toEqual({});
+  });
+
+  it('rejects zero and fractional delays', () => {
+    const errors = validateDelayBounds({ minDelay: 0, maxDelay: 1.5, gracePeriod: DAY });
+    expect(Object.keys(errors).sort()).toEqual(['maxDelay', 'minDelay']);
+  });
+
+  it('rejects a minimum above the maximum', () => {
+    expect(validateDelayBounds({ minDelay: 2 * DAY, maxDelay: DAY, gracePeriod: DAY })).toHaveProperty('maxDelay');
+  });
+
+  it('keeps the threat level delays inside the new bounds', () => {
+    const tooHighMin = validateDelayBounds({ minDelay: 2 * DAY, maxDelay: 30 * DAY, gracePeriod: DAY }, threatDelays);
+    expect(Object.keys(tooHighMin)).toEqual(['minDelay']);
+
+    const tooLowMax = validateDelayBounds({ minDelay: HOUR, maxDelay: 10 * DAY, gracePeriod: DAY }, threatDelays);
+    expect(Object.keys(tooLowMax)).toEqual(['maxDelay']);
+  });
+});
+
+describe('validateThreatLevelDelays', () => {
+  const bounds = { minDelay: HOUR, maxDelay: 30 * DAY };
+
+  it('accepts an ascending hierarchy inside the bounds', () => {
+    expect(validateThreatLevelDelays(threatDelays, bounds)).toEqual({});
+    expect(validateThreatLevelDelays({ ...threatDelays, mediumThreatDelay: DAY }, bounds)).toEqual({});
+  });
+
+  it('rejects a level below the one before it', () => {
+    const errors = validateThreatLevelDelays({ ...threatDelays, highThreatDelay: 2 * DAY }, bounds);
+    expect(Object.keys(errors)).toEqual(['highThreatDelay']);
+  });
+
+  it('rejects delays outside the bounds', () => {
+    const errors = validateThreatLevelDelays({ ...threatDelays, lowThreatDelay: 60, criticalThreatDelay: 31 * DAY }, bounds);
+    expect(Object.keys(errors).sort()).toEqual(['criticalThreatDelay', 'lowThreatDelay']);
+  });
+
+  it('rejects values that are not whole seconds', () => {
+    const errors = validateThreatLevelDelays({ ...threatDelays, mediumThreatDelay: NaN }, bounds);
+    expect(errors).toHaveProperty('mediumThreatDelay');
+    expect(errors).not.toHaveProperty('highThreatDelay');
+  });
+});
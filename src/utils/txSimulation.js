@@ -0,0 +1,59 @@
+// src/utils/txSimulation.js
+// Dry-runs state-changing calls with callStatic against the pending block before the wallet
+// prompt opens, so reverts surface as a readable reason instead of a mined failed transaction.
+// Reverts are explained by utils/errorDecoder.js.
+
+import { SIMULATION_FAILED_ERROR } from './constants';
+import { decodeError } from './errorDecoder';
+
+// Gas estimates get this much headroom (in percent) on top of the estimate
+const GAS_MARGIN_PERCENT = 20;
+
+/**
+ * Simulate a contract call against the pending block and estimate its gas
+ * @param {ethers.Contract} contract - Contract connected to the user's signer
+ * @param {string} method - Contract method name
+ * @param {Array} args - Method arguments
+ * @param {Object} overrides - Transaction overrides (e.g. value)
+ * @returns {Promise<{success: boolean, gasLimit: BigNumber|null, error: Object|null}>}
+ *   gasLimit includes a safety margin and is null when estimation is unavailable
+ */
+export async function simulateTransaction(contract, method, args = [], overrides = {}) {
+  try {
+    await contract.callStatic[method](...args, { ...overrides, blockTag: 'pending' });
+  } catch (err) {
+    return { success: false, gasLimit: null, error: decodeError(err) };
+  }
+
+  let gasLimit = null;
+  try {
+    const estimate = await contract.estimateGas[method](...args, overrides);
+    gasLimit = estimate.mul(100 + GAS_MARGIN_PERCENT).div(100);
+  } catch (err) {
+    // The call itself succeeded, so let the wallet estimate gas when sending
+    console.warn(`Gas estimation for ${method} failed after a successful simulation:`, err);
+  }
+
+  return { success: true, gasLimit, error: null };
+}
+
+/**
+ * Simulate a call and throw a readable error if it would revert
+ * @param {ethers.Contract} contract - Contract connected to the user's signer
+ * @param {string} method - Contract method name
+ * @param {Array} args - Method arguments
+ * @param {Object} overrides - Transaction overrides (e.g. value)
+ * @returns {Promise<Object>} Overrides to send the transaction with, including gasLimit when known
+ */
+export async function simulateOrThrow(contract, method, args = [], overrides = {}) {
+  const result = await simulateTransaction(contract, method, args, overrides);
+
+  if (!result.success) {
+    const error = new Error(`This transaction would fail: ${result.error.message}`);
+    error.code = SIMULATION_FAILED_ERROR;
+    error.simulation = { method, name: result.error.name, contract: result.error.contract, args: result.error.args };
+    throw error;
+  }
+
+  return result.gasLimit ? { ...overrides, gasLimit: result.gasLimit } : overrides;
+}
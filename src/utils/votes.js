@@ -0,0 +1,104 @@
+// src/utils/votes.js
+// Exact vote arithmetic over indexed VoteCast(proposalId, voter, support, votingPower) events.
+// Voting power is kept in wei as BigNumber and only formatted for display.
+
+import { ethers } from 'ethers';
+import { VOTE_TYPES, ABSTAIN_COUNTS_TOWARD_QUORUM } from './constants';
+
+/**
+ * Sum voting power per vote type
+ * @param {Array} voteEvents - Indexed VoteCast records
+ * @returns {{for: BigNumber, against: BigNumber, abstain: BigNumber, total: BigNumber}} Totals in wei
+ */
+export function tallyVotes(voteEvents) {
+  const zero = ethers.constants.Zero;
+  const totals = { for: zero, against: zero, abstain: zero, total: zero };
+
+  voteEvents.forEach(({ args }) => {
+    const power = ethers.BigNumber.from(args.votingPower || 0);
+    const support = Number(args.support);
+
+    if (support === VOTE_TYPES.FOR) totals.for = totals.for.add(power);
+    else if (support === VOTE_TYPES.AGAINST) totals.against = totals.against.add(power);
+    else if (support === VOTE_TYPES.ABSTAIN) totals.abstain = totals.abstain.add(power);
+    else return;
+
+    totals.total = totals.total.add(power);
+  });
+
+  return totals;
+}
+
+/**
+ * Share of `part` in `whole` as a percentage string, computed in basis points
+ * @param {BigNumber|string} part - Amount in wei
+ * @param {BigNumber|string} whole - Amount in wei
+ * @param {number} decimals - Decimal places (up to 2)
+ * @returns {string} Percentage such as "12.34", or "0" when whole is zero
+ */
+export function percentOf(part, whole, decimals = 2) {
+  const total = ethers.BigNumber.from(whole || 0);
+  if (total.isZero()) return "0";
+
+  const basisPoints = ethers.BigNumber.from(part || 0).mul(10000).div(total);
+  return (basisPoints.toNumber() / 100).toFixed(decimals);
+}
+
+/**
+ * Wei totals of a proposal, from the exact yesVotesWei/noVotesWei/abstainVotesWei fields
+ * (yesVotes etc. may already be formatted for display, e.g. "1,500")
+ * @param {Object} proposal - Proposal from useProposals
+ * @returns {{for: BigNumber, against: BigNumber, abstain: BigNumber, total: BigNumber}} Totals in wei
+ * @throws If a total is missing or isn't an integer amount of wei
+ */
+export function tallyFromProposal(proposal) {
+  const totals = {
+    for: ethers.BigNumber.from(proposal.yesVotesWei),
+    against: ethers.BigNumber.from(proposal.noVotesWei),
+    abstain: ethers.BigNumber.from(proposal.abstainVotesWei)
+  };
+  totals.total = totals.for.add(totals.against).add(totals.abstain);
+  return totals;
+}
+
+/**
+ * Project where a vote stands against quorum and which way it is heading
+ * @param {Object} tally - Output of tallyVotes or tallyFromProposal
+ * @param {BigNumber|string} quorum - govParams().quorum in wei
+ * @returns {Object} countedVotes, quorumReached, remainingToQuorum, quorumProgress and
+ *   outcome ('passing', 'failing' or 'no-quorum')
+ */
+export function projectOutcome(tally, quorum) {
+  const quorumAmount = ethers.BigNumber.from(quorum || 0);
+  const countedVotes = ABSTAIN_COUNTS_TOWARD_QUORUM ? tally.total : tally.for.add(tally.against);
+  const quorumReached = countedVotes.gte(quorumAmount);
+  const passing = tally.for.gt(tally.against);
+
+  return {
+    countedVotes,
+    quorumReached,
+    remainingToQuorum: quorumReached ? ethers.constants.Zero : quorumAmount.sub(countedVotes),
+    quorumProgress: quorumReached ? "100.00" : percentOf(countedVotes, quorumAmount),
+    outcome: !quorumReached ? 'no-quorum' : passing ? 'passing' : 'failing'
+  };
+}
+
+/**
+ * Check whether an extra vote of `votingPower` could change the projected outcome
+ * @param {Object} tally - Current totals in wei
+ * @param {BigNumber|string} quorum - govParams().quorum in wei
+ * @param {BigNumber|string} votingPower - Power of the extra vote in wei
+ * @returns {boolean} True if voting For or Against would lead to a different outcome
+ */
+export function canChangeOutcome(tally, quorum, votingPower) {
+  const power = ethers.BigNumber.from(votingPower || 0);
+  if (power.isZero()) return false;
+
+  const current = projectOutcome(tally, quorum).outcome;
+  const withVote = (key) => {
+    const next = { ...tally, [key]: tally[key].add(power), total: tally.total.add(power) };
+    return projectOutcome(next, quorum).outcome;
+  };
+
+  return withVote('for') !== current || withVote('against') !== current;
+}
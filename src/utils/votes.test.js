@@ -0,0 +1,102 @@
+import { ethers } from 'ethers';
+import { VOTE_TYPES } from './constants';
+import { tallyVotes, percentOf, tallyFromProposal, projectOutcome, canChangeOutcome } from './votes';
+
+const just = (amount) => ethers.utils.parseEther(String(amount));
+const vote = (support, amount) => ({ args: { support: String(support), votingPower: just(amount).toString() } });
+const tally = (forVotes, against, abstain) =>
+  tallyVotes([vote(VOTE_TYPES.FOR, forVotes), vote(VOTE_TYPES.AGAINST, against), vote(VOTE_TYPES.ABSTAIN, abstain)]);
+
+describe('tallyVotes', () => {
+  it('sums voting power per vote type in wei', () => {
+    const totals = tallyVotes([
+      vote(VOTE_TYPES.FOR, '1500.5'),
+      vote(VOTE_TYPES.FOR, '0.000000000000000001'),
+      vote(VOTE_TYPES.AGAINST, 200),
+      vote(VOTE_TYPES.ABSTAIN, 3)
+    ]);
+
+    expect(totals.for.toString()).toBe(just('1500.500000000000000001').toString());
+    expect(totals.against.eq(just(200))).toBe(true);
+    expect(totals.abstain.eq(just(3))).toBe(true);
+    expect(totals.total.eq(just('1703.500000000000000001'))).toBe(true);
+  });
+
+  it('ignores unknown vote types', () => {
+    const totals = tallyVotes([vote(VOTE_TYPES.FOR, 1), vote(7, 100)]);
+    expect(totals.total.eq(just(1))).toBe(true);
+  });
+
+  it('returns zero totals without votes', () => {
+    expect(tallyVotes([]).total.isZero()).toBe(true);
+  });
+});
+
+describe('percentOf', () => {
+  it('rounds down to basis points', () => {
+    expect(percentOf(1, 3)).toBe('33.33');
+    expect(percentOf(2, 3, 1)).toBe('66.7');
+    expect(percentOf(just(1), just(1))).toBe('100.00');
+  });
+
+  it('handles amounts beyond the safe integer range', () => {
+    expect(percentOf(just(1000000), just(4000000))).toBe('25.00');
+  });
+
+  it('returns "0" for an empty whole', () => {
+    expect(percentOf(5, 0)).toBe('0');
+    expect(percentOf(5, null)).toBe('0');
+  });
+});
+
+describe('tallyFromProposal', () => {
+  it('reads the exact wei totals', () => {
+    const totals = tallyFromProposal({
+      yesVotes: '1,500',
+      yesVotesWei: just(1500).toString(),
+      noVotesWei: just(2).toString(),
+      abstainVotesWei: '0'
+    });
+
+    expect(totals.for.eq(just(1500))).toBe(true);
+    expect(totals.total.eq(just(1502))).toBe(true);
+  });
+
+  it('throws on display-formatted or missing totals', () => {
+    expect(() => tallyFromProposal({ yesVotesWei: '1,500', noVotesWei: '0', abstainVotesWei: '0' })).toThrow();
+    expect(() => tallyFromProposal({ noVotesWei: '0', abstainVotesWei: '0' })).toThrow();
+  });
+});
+
+describe('projectOutcome', () => {
+  it('counts abstain votes toward quorum but not toward the outcome', () => {
+    const projection = projectOutcome(tally(10, 0, 1000), just(100));
+    expect(projection.quorumReached).toBe(true);
+    expect(projection.outcome).toBe('passing');
+
+    expect(projectOutcome(tally(0, 10, 1000), just(100)).outcome).toBe('failing');
+  });
+
+  it('reports the votes still needed for quorum', () => {
+    const projection = projectOutcome(tally(10, 5, 10), just(100));
+    expect(projection.outcome).toBe('no-quorum');
+    expect(projection.remainingToQuorum.eq(just(75))).toBe(true);
+    expect(projection.quorumProgress).toBe('25.00');
+  });
+
+  it('treats a tie as failing', () => {
+    expect(projectOutcome(tally(50, 50, 0), just(100)).outcome).toBe('failing');
+  });
+});
+
+describe('canChangeOutcome', () => {
+  it('is true when one more vote decides the outcome', () => {
+    expect(canChangeOutcome(tally(60, 50, 0), just(100), just(20))).toBe(true);
+    expect(canChangeOutcome(tally(10, 0, 0), just(100), just(90))).toBe(true);
+  });
+
+  it('is false when the vote is too small to matter', () => {
+    expect(canChangeOutcome(tally(500, 10, 0), just(100), just(20))).toBe(false);
+    expect(canChangeOutcome(tally(60, 50, 0), just(100), 0)).toBe(false);
+  });
+});